@@ -0,0 +1,376 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { CONFIG } from "../config.js";
+import { fetchKlineRange } from "../data/coinbase.js";
+import { computeSignal } from "../engines/signal.js";
+import { computeEdge, decide } from "../engines/edge-kalshi.js";
+import { kalshiFee } from "../engines/fees.js";
+import { appendCsvRow, ensureDir, formatNumber, formatPct, readJsonFile, writeJsonAtomic } from "../utils.js";
+import { createKalshiPricer, createSyntheticPricer } from "./pricing.js";
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Same history the live loop fetches: 240 1m candles, 200 5m candles
+const WINDOW_1M = 240;
+const WINDOW_5M = 200;
+// An hour whose last candle is older than this is not settled
+const MAX_CLOSE_GAP_MS = 5 * MINUTE_MS;
+
+const PHASES = ["EARLY", "MID", "LATE"];
+const STRENGTHS = ["STRONG", "GOOD", "OPTIONAL"];
+
+const TRADE_CSV_HEADER = [
+  "hour",
+  "time",
+  "minutes_left",
+  "ticker",
+  "strike",
+  "side",
+  "phase",
+  "strength",
+  "regime",
+  "spot",
+  "price_cents",
+  "model_prob",
+  "edge",
+  "count",
+  "fee",
+  "close_price",
+  "result",
+  "won",
+  "pnl"
+];
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Roll 1m candles up into `minutes`-wide candles, aligned on the clock (oldest first)
+ */
+export function aggregateCandles(candles1m, minutes) {
+  const width = minutes * MINUTE_MS;
+  const out = [];
+  for (const c of candles1m) {
+    const openTime = Math.floor(c.openTime / width) * width;
+    const last = out[out.length - 1];
+    if (last && last.openTime === openTime) {
+      last.high = Math.max(last.high, c.high);
+      last.low = Math.min(last.low, c.low);
+      last.close = c.close;
+      last.volume += c.volume;
+    } else {
+      out.push({ openTime, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume, closeTime: openTime + width });
+    }
+  }
+  return out;
+}
+
+/**
+ * Replay the hourly strategy over 1m candles
+ *
+ * Every minute of every full hour in [startMs, endMs) runs what the live loop runs: the last
+ * 240 closed 1m candles (and 5m candles rolled up from them) through computeSignal, the
+ * contract price from `pricer` for the strike nearest spot, computeEdge at that ask with the
+ * taker fee, and decide(). An ENTER buys `count` contracts at the ask, held to settlement:
+ * the pricer's result for the hour, whose close is the last 1m close. The nearest strike
+ * moves with spot, so an hour can enter several tickers, each once (no adds), but all on
+ * the side it entered first: an ENTER on the other side is skipped, never held against it.
+ * Candles up to each minute are all it sees.
+ *
+ * Returns { trades, hours, evaluated, signals }; hours carry the running P&L (`equity`)
+ */
+export async function runBacktest({ candles, pricer, startMs, endMs, settings = CONFIG.backtest, windowMinutes = CONFIG.candleWindowMinutes, onHour = null }) {
+  const candles1m = [...candles].sort((a, b) => a.openTime - b.openTime);
+  const candles5m = aggregateCandles(candles1m, 5);
+  const windowMs = windowMinutes * MINUTE_MS;
+
+  const trades = [];
+  const hours = [];
+  let equity = 0;
+  let evaluated = 0;
+  let signals = 0;
+  let i1 = 0;
+  let i5 = 0;
+
+  for (let openMs = Math.ceil(startMs / windowMs) * windowMs; openMs + windowMs <= endMs; openMs += windowMs) {
+    const closeMs = openMs + windowMs;
+    // ticker -> trade, for this hour
+    const held = new Map();
+    // "yes" / "no" once the hour has entered
+    let hourSide = null;
+
+    for (let m = 0; m < windowMinutes; m += 1) {
+      const time = openMs + m * MINUTE_MS;
+      while (i1 < candles1m.length && candles1m[i1].closeTime <= time) i1 += 1;
+      while (i5 < candles5m.length && candles5m[i5].closeTime <= time) i5 += 1;
+      if (i1 < WINDOW_1M) continue;
+      const window1m = candles1m.slice(i1 - WINDOW_1M, i1);
+      const last = window1m[window1m.length - 1];
+      if (time - last.closeTime > MAX_CLOSE_GAP_MS) continue;
+
+      const price = last.close;
+      const remainingMinutes = (closeMs - time) / MINUTE_MS;
+      const signal = computeSignal({
+        candles1m: window1m,
+        candles5m: candles5m.slice(Math.max(0, i5 - WINDOW_5M), i5),
+        price,
+        remainingMinutes,
+        windowMinutes
+      });
+      evaluated += 1;
+
+      const quote = await pricer.quote({ time, closeMs, price, sigmaPerMinute: signal.vol.sigmaPerMinute });
+      if (!quote) continue;
+      // Same as computeSignal with the strike, without running the indicators twice
+      const modelUp = signal.modelDist?.probAbove(quote.strike) ?? signal.timeAware.adjustedUp;
+      const modelDown = 1 - modelUp;
+      const edge = computeEdge({
+        modelUp,
+        modelDown,
+        marketYes: quote.yesAsk === null ? null : quote.yesAsk / 100,
+        marketNo: quote.noAsk === null ? null : quote.noAsk / 100,
+        count: settings.count,
+        liquidity: "taker"
+      });
+      const rec = decide({ remainingMinutes, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp, modelDown });
+      if (rec.action !== "ENTER") continue;
+      signals += 1;
+      const side = rec.side === "UP" ? "yes" : "no";
+      if (held.has(quote.ticker) || (hourSide !== null && side !== hourSide)) continue;
+      hourSide = side;
+
+      const priceCents = side === "yes" ? quote.yesAsk : quote.noAsk;
+      held.set(quote.ticker, {
+        hour: iso(openMs),
+        time: iso(time),
+        minutesLeft: remainingMinutes,
+        ticker: quote.ticker,
+        strike: quote.strike,
+        side,
+        phase: rec.phase,
+        strength: rec.strength,
+        regime: signal.regimeInfo.regime,
+        spot: price,
+        price: priceCents,
+        modelProb: side === "yes" ? modelUp : modelDown,
+        edge: rec.edge,
+        count: settings.count,
+        fee: kalshiFee({ count: settings.count, price: priceCents / 100, liquidity: "taker" })
+      });
+    }
+
+    // Settle on the last close of the hour
+    let end = i1;
+    while (end < candles1m.length && candles1m[end].closeTime <= closeMs) end += 1;
+    let closeCandle = null;
+    for (let i = end - 1; i >= 0 && candles1m[i].closeTime > closeMs - MAX_CLOSE_GAP_MS; i -= 1) {
+      if (candles1m[i].closeTime <= closeMs) {
+        closeCandle = candles1m[i];
+        break;
+      }
+    }
+    const closePrice = closeCandle?.close ?? null;
+
+    let hourPnl = 0;
+    for (const trade of held.values()) {
+      const result = await pricer.settle({ ticker: trade.ticker, strike: trade.strike, closeMs, closePrice });
+      trade.closePrice = closePrice;
+      trade.result = result;
+      trade.won = result === null ? null : result === trade.side;
+      trade.pnl = result === null ? null : (trade.won ? trade.count : 0) - (trade.count * trade.price) / 100 - trade.fee;
+      hourPnl += trade.pnl ?? 0;
+      trades.push(trade);
+    }
+    equity += hourPnl;
+    const hour = { hour: iso(openMs), closePrice, trades: held.size, pnl: hourPnl, equity };
+    hours.push(hour);
+    if (onHour) onHour(hour);
+  }
+
+  return { trades, hours, evaluated, signals };
+}
+
+const sum = (list, fn) => list.reduce((acc, x) => acc + fn(x), 0);
+
+/**
+ * P&L, hit rate and costs of a set of trades; unsettled trades are left out
+ */
+function tally(trades) {
+  const settled = trades.filter((t) => t.pnl !== null);
+  const wins = settled.filter((t) => t.won).length;
+  const contracts = sum(settled, (t) => t.count);
+  const cost = sum(settled, (t) => (t.count * t.price) / 100);
+  const pnl = sum(settled, (t) => t.pnl);
+  return {
+    trades: settled.length,
+    wins,
+    hitRate: settled.length ? wins / settled.length : null,
+    contracts,
+    cost,
+    fees: sum(settled, (t) => t.fee),
+    pnl,
+    roi: cost > 0 ? pnl / cost : null,
+    avgPrice: contracts ? sum(settled, (t) => t.count * t.price) / contracts : null,
+    avgEdge: settled.length ? sum(settled, (t) => t.edge) / settled.length : null
+  };
+}
+
+/**
+ * Totals, max drawdown of the hourly equity curve, and per-phase / per-strength / per-side breakdowns
+ */
+export function summarizeBacktest({ trades, hours, evaluated = null, signals = null }) {
+  let peak = 0;
+  let maxDrawdown = 0;
+  let maxDrawdownAt = null;
+  for (const h of hours) {
+    peak = Math.max(peak, h.equity);
+    if (peak - h.equity > maxDrawdown) {
+      maxDrawdown = peak - h.equity;
+      maxDrawdownAt = h.hour;
+    }
+  }
+  const by = (key, values) => Object.fromEntries(values.map((v) => [v, tally(trades.filter((t) => t[key] === v))]));
+  return {
+    ...tally(trades),
+    unsettled: trades.filter((t) => t.pnl === null).length,
+    hours: hours.length,
+    hoursTraded: hours.filter((h) => h.trades > 0).length,
+    evaluated,
+    signals,
+    maxDrawdown,
+    maxDrawdownAt,
+    byPhase: by("phase", PHASES),
+    byStrength: by("strength", STRENGTHS),
+    bySide: by("side", ["yes", "no"])
+  };
+}
+
+/**
+ * Text report: totals, then one table per breakdown
+ */
+export function formatBacktestReport(summary, { pricing = null, startMs = null, endMs = null } = {}) {
+  const money = (x) => (x === null ? "-" : `${x < 0 ? "-" : ""}$${formatNumber(Math.abs(x), 2)}`);
+  const row = (label, s) => [
+    label.padEnd(10),
+    String(s.trades).padStart(6),
+    formatPct(s.hitRate, 1).padStart(8),
+    money(s.pnl).padStart(11),
+    money(s.fees).padStart(9),
+    formatPct(s.roi, 1).padStart(8),
+    (s.avgPrice === null ? "-" : `${formatNumber(s.avgPrice, 1)}¢`).padStart(8),
+    (s.avgEdge === null ? "-" : `${formatNumber(s.avgEdge * 100, 1)}¢`).padStart(8)
+  ].join(" ");
+  const header = ["".padEnd(10), "trades".padStart(6), "hit".padStart(8), "pnl".padStart(11), "fees".padStart(9), "roi".padStart(8), "avg px".padStart(8), "edge".padStart(8)].join(" ");
+  const table = (title, groups) => [title, header, ...Object.entries(groups).map(([k, s]) => row(k, s)), ""];
+
+  return [
+    `Backtest ${startMs ? iso(startMs) : "-"} -> ${endMs ? iso(endMs) : "-"} (${pricing ?? "-"} pricing)`,
+    `Hours ${summary.hours} (${summary.hoursTraded} traded), minutes evaluated ${summary.evaluated ?? "-"}, ENTER signals ${summary.signals ?? "-"}`,
+    `Trades ${summary.trades} (${summary.unsettled} unsettled), hit rate ${formatPct(summary.hitRate, 1)}, P&L ${money(summary.pnl)} on ${money(summary.cost)} staked (${formatPct(summary.roi, 1)}), fees ${money(summary.fees)}`,
+    `Max drawdown ${money(summary.maxDrawdown)}${summary.maxDrawdownAt ? ` (hour ${summary.maxDrawdownAt})` : ""}`,
+    ...(pricing === "synthetic"
+      ? [
+        "Note: synthetic prices come from the same lognormal model and realized vol the strategy uses, so this",
+        "P&L only measures the TA tilt and BACKTEST_VOL_MULTIPLIER, not an edge over a real market."
+      ]
+      : []),
+    "",
+    ...table("By phase", summary.byPhase),
+    ...table("By strength", summary.byStrength),
+    ...table("By side", summary.bySide)
+  ].join("\n");
+}
+
+/**
+ * Write the trades CSV, the hourly equity CSV and the summary JSON into `outDir`
+ */
+export function writeBacktestOutputs({ trades, hours, summary, meta }, outDir = CONFIG.backtest.outDir) {
+  const tradesPath = path.join(outDir, "backtest-trades.csv");
+  const hoursPath = path.join(outDir, "backtest-hours.csv");
+  ensureDir(outDir);
+  fs.rmSync(tradesPath, { force: true });
+  fs.rmSync(hoursPath, { force: true });
+  for (const t of trades) {
+    appendCsvRow(tradesPath, TRADE_CSV_HEADER, [
+      t.hour,
+      t.time,
+      t.minutesLeft,
+      t.ticker,
+      t.strike,
+      t.side,
+      t.phase,
+      t.strength,
+      t.regime,
+      t.spot,
+      t.price,
+      t.modelProb?.toFixed(4),
+      t.edge?.toFixed(4),
+      t.count,
+      t.fee.toFixed(2),
+      t.closePrice,
+      t.result,
+      t.won,
+      t.pnl?.toFixed(2)
+    ]);
+  }
+  for (const h of hours) {
+    appendCsvRow(hoursPath, ["hour", "close_price", "trades", "pnl", "equity"], [h.hour, h.closePrice, h.trades, h.pnl.toFixed(2), h.equity.toFixed(2)]);
+  }
+  writeJsonAtomic(path.join(outDir, "backtest-summary.json"), { ...meta, summary });
+  return { tradesPath, hoursPath };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const settings = CONFIG.backtest;
+  const productId = CONFIG.coinbase.productId;
+  // Enough history before the first hour for the 5m window
+  const warmupMs = WINDOW_5M * 5 * MINUTE_MS;
+
+  let candles = settings.candlesPath ? readJsonFile(settings.candlesPath, null) : null;
+  if (settings.candlesPath && !(Array.isArray(candles) && candles.length)) {
+    console.error(`No candles in ${settings.candlesPath} (expected a JSON array of 1m candles)`);
+    process.exit(1);
+  }
+
+  const lastFullHour = Math.floor((candles ? candles[candles.length - 1].closeTime : Date.now()) / HOUR_MS) * HOUR_MS;
+  const endMs = settings.end ? Date.parse(settings.end) : lastFullHour;
+  const startMs = settings.start
+    ? Date.parse(settings.start)
+    : candles ? Math.ceil((candles[0].openTime + warmupMs) / HOUR_MS) * HOUR_MS : endMs - settings.days * 24 * HOUR_MS;
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) {
+    console.error(`Bad backtest range: BACKTEST_START=${settings.start || "-"} BACKTEST_END=${settings.end || "-"}`);
+    process.exit(1);
+  }
+
+  if (!candles) {
+    console.log(`Fetching ${productId} 1m candles ${iso(startMs - warmupMs)} -> ${iso(endMs)} from Coinbase...`);
+    candles = await fetchKlineRange({ interval: "1m", startMs: startMs - warmupMs, endMs, productId });
+    const cachePath = path.join(settings.outDir, `candles-${productId}.json`);
+    writeJsonAtomic(cachePath, candles);
+    console.log(`${candles.length} candles saved to ${cachePath} (rerun with BACKTEST_CANDLES_PATH=${cachePath})`);
+  }
+
+  const pricer = settings.pricing === "kalshi" ? createKalshiPricer() : createSyntheticPricer({ settings });
+  const prepared = await pricer.prepare({ startMs, endMs });
+  if (settings.pricing === "kalshi") {
+    console.log(`${prepared.markets} settled ${CONFIG.kalshi.ticker} markets in ${prepared.events} events`);
+  }
+
+  const run = await runBacktest({
+    candles,
+    pricer,
+    startMs,
+    endMs,
+    settings,
+    onHour: (h) => {
+      if (h.trades > 0) console.log(`${h.hour} close ${formatNumber(h.closePrice, 2)} trades ${h.trades} pnl ${h.pnl.toFixed(2)} equity ${h.equity.toFixed(2)}`);
+    }
+  });
+  const summary = summarizeBacktest(run);
+  const meta = { pricing: pricer.name, series: CONFIG.kalshi.ticker, productId, startMs, endMs, settings };
+  console.log("");
+  console.log(formatBacktestReport(summary, meta));
+  const { tradesPath, hoursPath } = writeBacktestOutputs({ ...run, summary, meta }, settings.outDir);
+  console.log(`Trades: ${tradesPath}\nHours: ${hoursPath}\nSummary: ${path.join(settings.outDir, "backtest-summary.json")}`);
+}
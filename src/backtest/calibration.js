@@ -0,0 +1,438 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { CONFIG } from "../config.js";
+import { fetchSettledMarkets } from "../data/kalshi.js";
+import { phaseFor } from "../engines/edge-kalshi.js";
+import { appendCsvRow, ensureDir, formatNumber, formatPct, writeJsonAtomic } from "../utils.js";
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+const HOUR_MS = 60 * 60_000;
+
+const PHASES = ["EARLY", "MID", "LATE"];
+
+// Probabilities are kept this far from 0 and 1 for log loss
+const LOG_LOSS_EPS = 1e-4;
+
+// Columns added to the signal log after older files were started: rows written since carry
+// them past the end of those files' header
+const LATE_COLUMNS = ["ticker", "strike", "touch_up", "touch_down"];
+
+const PREDICTION_CSV_HEADER = [
+  "time",
+  "series",
+  "ticker",
+  "strike",
+  "time_left_min",
+  "phase",
+  "regime",
+  "model_up",
+  "market_up",
+  "outcome"
+];
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Rows of a CSV text as arrays of strings (quoted fields as written by appendCsvRow)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else if (ch !== "\r") {
+      field += ch;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+/**
+ * Predictions from one series' kalshi-signals.csv, oldest first
+ *
+ * Returns [{ time, series, ticker, strike, timeLeftMin, phase, regime, modelUp, marketUp }].
+ * marketUp is the market's own P(YES): the mid of the top-of-book YES ask (touch_up) and
+ * the YES bid implied by the NO ask (1 - touch_down), null unless both sides were quoted.
+ * mkt_up / mkt_down are not used: they hold the full-size fill price, blank on a thin
+ * book. Rows from before the ticker column existed have a null ticker, rows from before
+ * the touch columns a null marketUp.
+ */
+export function readSignalLog(filePath, { series = null } = {}) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(filePath, "utf8"));
+  if (!header) return [];
+  const out = [];
+  for (const fields of rows) {
+    const columns = fields.length > header.length ? [...header, ...LATE_COLUMNS.filter((c) => !header.includes(c))] : header;
+    const r = Object.fromEntries(columns.map((c, i) => [c, fields[i] ?? ""]));
+    const time = Date.parse(r.timestamp);
+    const timeLeftMin = toNumber(r.time_left_min);
+    const modelUp = r.model_up === "" ? null : toNumber(r.model_up);
+    if (!Number.isFinite(time) || timeLeftMin === null || modelUp === null) continue;
+    const yesAsk = r.touch_up === "" || r.touch_up === undefined ? null : toNumber(r.touch_up);
+    const noAsk = r.touch_down === "" || r.touch_down === undefined ? null : toNumber(r.touch_down);
+    out.push({
+      time,
+      series,
+      ticker: r.ticker || null,
+      strike: r.strike === "" || r.strike === undefined ? null : toNumber(r.strike),
+      timeLeftMin,
+      phase: phaseFor(timeLeftMin),
+      regime: r.regime || "-",
+      modelUp,
+      marketUp: yesAsk !== null && noAsk !== null ? (yesAsk + 1 - noAsk) / 2 : null
+    });
+  }
+  return out.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Thin the 2-second log to the first prediction per ticker in each `sampleSeconds` slot,
+ * so a quiet minute does not count thirty times (0 keeps every row)
+ */
+export function samplePredictions(predictions, sampleSeconds) {
+  if (!(sampleSeconds > 0)) return predictions;
+  const seen = new Set();
+  return predictions.filter((p) => {
+    const key = `${p.ticker}|${Math.floor(p.time / (sampleSeconds * 1000))}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Settled result (1 = YES, 0 = NO) for each ticker, from Kalshi's settled markets
+ */
+export async function fetchOutcomes({ seriesTicker, startMs, endMs }) {
+  const markets = await fetchSettledMarkets({
+    seriesTicker,
+    minCloseTs: Math.floor(startMs / 1000),
+    maxCloseTs: Math.ceil(endMs / 1000)
+  });
+  const outcomes = new Map();
+  for (const m of markets) {
+    if (m.result === "yes" || m.result === "no") outcomes.set(m.ticker, m.result === "yes" ? 1 : 0);
+  }
+  return outcomes;
+}
+
+/**
+ * Brier score, log loss, expected calibration error and reliability buckets of one
+ * probability field over predictions with an `outcome`
+ */
+function scoreField(predictions, field, buckets) {
+  const n = predictions.length;
+  const bins = Array.from({ length: buckets }, (_, i) => ({ lo: i / buckets, hi: (i + 1) / buckets, n: 0, sumP: 0, yes: 0 }));
+  let brier = 0;
+  let logLoss = 0;
+  for (const pred of predictions) {
+    const p = pred[field];
+    const y = pred.outcome;
+    const clipped = Math.min(1 - LOG_LOSS_EPS, Math.max(LOG_LOSS_EPS, p));
+    brier += (p - y) ** 2;
+    logLoss -= y ? Math.log(clipped) : Math.log(1 - clipped);
+    const bin = bins[Math.min(buckets - 1, Math.max(0, Math.floor(p * buckets)))];
+    bin.n += 1;
+    bin.sumP += p;
+    bin.yes += y;
+  }
+  const reliability = bins.map((b) => ({
+    lo: b.lo,
+    hi: b.hi,
+    n: b.n,
+    meanP: b.n ? b.sumP / b.n : null,
+    observed: b.n ? b.yes / b.n : null
+  }));
+  return {
+    brier: n ? brier / n : null,
+    logLoss: n ? logLoss / n : null,
+    ece: n ? reliability.reduce((acc, b) => acc + (b.n ? (b.n / n) * Math.abs(b.meanP - b.observed) : 0), 0) : null,
+    buckets: reliability
+  };
+}
+
+/**
+ * Model and market scored on the same predictions; skill is the model's Brier improvement
+ * over the market's (1 - model / market, above 0 = better than the market)
+ */
+export function scoreCalibration(predictions, { buckets = CONFIG.calibration.buckets } = {}) {
+  const n = predictions.length;
+  const model = scoreField(predictions, "modelUp", buckets);
+  const market = scoreField(predictions, "marketUp", buckets);
+  return {
+    n,
+    yesRate: n ? predictions.reduce((acc, p) => acc + p.outcome, 0) / n : null,
+    tickers: new Set(predictions.map((p) => p.ticker)).size,
+    model,
+    market,
+    brierSkill: model.brier !== null && market.brier ? 1 - model.brier / market.brier : null
+  };
+}
+
+/**
+ * Scores for everything, then by phase, regime and series
+ */
+export function summarizeCalibration(predictions, { buckets = CONFIG.calibration.buckets } = {}) {
+  const by = (key, order = null) => {
+    const keys = order ?? [...new Set(predictions.map((p) => p[key]))].sort();
+    return Object.fromEntries(keys.map((k) => [k, scoreCalibration(predictions.filter((p) => p[key] === k), { buckets })]));
+  };
+  return {
+    all: scoreCalibration(predictions, { buckets }),
+    byPhase: by("phase", PHASES),
+    byRegime: by("regime"),
+    bySeries: by("series")
+  };
+}
+
+/**
+ * Text report: scores per group, then the overall reliability table
+ */
+export function formatCalibrationReport(summary, { startMs = null, endMs = null, sampleSeconds = null, skipped = null } = {}) {
+  const num = (x, digits = 4) => (x === null ? "-" : formatNumber(x, digits));
+  const prob = (x) => (x === null ? "-" : formatPct(x, 1));
+  const header = ["".padEnd(12), "n".padStart(6), "yes".padStart(7), "brier".padStart(7), "mkt".padStart(7), "skill".padStart(8), "logloss".padStart(8), "mkt".padStart(7), "ece".padStart(7), "mkt".padStart(7)].join(" ");
+  const row = (label, s) => [
+    label.padEnd(12),
+    String(s.n).padStart(6),
+    prob(s.yesRate).padStart(7),
+    num(s.model.brier).padStart(7),
+    num(s.market.brier).padStart(7),
+    prob(s.brierSkill).padStart(8),
+    num(s.model.logLoss).padStart(8),
+    num(s.market.logLoss).padStart(7),
+    num(s.model.ece).padStart(7),
+    num(s.market.ece).padStart(7)
+  ].join(" ");
+  const table = (title, groups) => [title, header, ...Object.entries(groups).map(([k, s]) => row(k, s)), ""];
+
+  const model = summary.all.model.buckets;
+  const market = summary.all.market.buckets;
+  const reliability = [
+    "Reliability (all): predicted vs observed YES rate",
+    ["bucket".padEnd(12), "n".padStart(6), "model".padStart(7), "actual".padStart(7), "n".padStart(6), "market".padStart(7), "actual".padStart(7)].join(" "),
+    ...model.map((b, i) => [
+      `${formatNumber(b.lo, 1)}-${formatNumber(b.hi, 1)}`.padEnd(12),
+      String(b.n).padStart(6),
+      prob(b.meanP).padStart(7),
+      prob(b.observed).padStart(7),
+      String(market[i].n).padStart(6),
+      prob(market[i].meanP).padStart(7),
+      prob(market[i].observed).padStart(7)
+    ].join(" "))
+  ];
+
+  return [
+    `Calibration ${startMs ? iso(startMs) : "-"} -> ${endMs ? iso(endMs) : "-"}, one prediction per ticker per ${sampleSeconds > 0 ? `${sampleSeconds}s` : "row"}`,
+    `Predictions ${summary.all.n} on ${summary.all.tickers} settled tickers${skipped ? `; skipped ${skipped.noTicker} without ticker, ${skipped.noMarket} without a two-sided touch quote, ${skipped.unsettled} not settled` : ""}`,
+    "",
+    ...table("Overall", { all: summary.all }),
+    ...table("By phase", summary.byPhase),
+    ...table("By regime", summary.byRegime),
+    ...(Object.keys(summary.bySeries).length > 1 ? table("By series", summary.bySeries) : []),
+    ...reliability
+  ].join("\n");
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+const MODEL_COLOR = "#2563eb";
+const MARKET_COLOR = "#ea580c";
+
+/**
+ * Reliability diagram as inline SVG: mean predicted vs observed YES rate per bucket, model
+ * and market, dot area by count, on the diagonal of perfect calibration
+ */
+function reliabilitySvg(title, score) {
+  const size = 300;
+  const pad = 36;
+  const span = size - 2 * pad;
+  const x = (p) => (pad + p * span).toFixed(1);
+  const y = (p) => (size - pad - p * span).toFixed(1);
+  const maxN = Math.max(1, ...score.model.buckets.map((b) => b.n), ...score.market.buckets.map((b) => b.n));
+
+  const grid = [];
+  for (let i = 0; i <= 10; i += 1) {
+    const v = i / 10;
+    grid.push(`<line x1="${x(v)}" y1="${y(0)}" x2="${x(v)}" y2="${y(1)}" stroke="#eee"/><line x1="${x(0)}" y1="${y(v)}" x2="${x(1)}" y2="${y(v)}" stroke="#eee"/>`);
+    if (i % 2 === 0) {
+      grid.push(`<text x="${x(v)}" y="${size - pad + 14}" font-size="10" text-anchor="middle">${v.toFixed(1)}</text>`);
+      grid.push(`<text x="${pad - 6}" y="${(Number(y(v)) + 3).toFixed(1)}" font-size="10" text-anchor="end">${v.toFixed(1)}</text>`);
+    }
+  }
+
+  const curve = (buckets, color) => {
+    const pts = buckets.filter((b) => b.n > 0);
+    const line = pts.map((b) => `${x(b.meanP)},${y(b.observed)}`).join(" ");
+    const dots = pts
+      .map((b) => `<circle cx="${x(b.meanP)}" cy="${y(b.observed)}" r="${(2 + 6 * Math.sqrt(b.n / maxN)).toFixed(1)}" fill="${color}" fill-opacity="0.6"><title>${formatNumber(b.lo, 1)}-${formatNumber(b.hi, 1)}: n=${b.n}, predicted ${formatPct(b.meanP, 1)}, observed ${formatPct(b.observed, 1)}</title></circle>`)
+      .join("");
+    return `${pts.length > 1 ? `<polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5"/>` : ""}${dots}`;
+  };
+
+  return [
+    `<figure><figcaption>${escapeHtml(title)} (n=${score.n})</figcaption>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+    ...grid,
+    `<rect x="${pad}" y="${pad}" width="${span}" height="${span}" fill="none" stroke="#999"/>`,
+    `<line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#999" stroke-dasharray="4 3"/>`,
+    curve(score.market.buckets, MARKET_COLOR),
+    curve(score.model.buckets, MODEL_COLOR),
+    `<text x="${size / 2}" y="${size - 4}" font-size="11" text-anchor="middle">predicted P(YES)</text>`,
+    `<text x="10" y="${size / 2}" font-size="11" text-anchor="middle" transform="rotate(-90 10 ${size / 2})">observed YES rate</text>`,
+    "</svg></figure>"
+  ].join("");
+}
+
+/**
+ * Static HTML report: score tables and a reliability diagram per group, no scripts or assets
+ */
+export function renderCalibrationHtml(summary, { title = "Signal calibration", startMs = null, endMs = null, sampleSeconds = null, skipped = null } = {}) {
+  const num = (x, digits = 4) => (x === null ? "-" : formatNumber(x, digits));
+  const prob = (x) => (x === null ? "-" : formatPct(x, 1));
+  const rows = (groups) => Object.entries(groups)
+    .map(([k, s]) => `<tr><th>${escapeHtml(k)}</th><td>${s.n}</td><td>${prob(s.yesRate)}</td><td>${num(s.model.brier)}</td><td>${num(s.market.brier)}</td><td>${prob(s.brierSkill)}</td><td>${num(s.model.logLoss)}</td><td>${num(s.market.logLoss)}</td><td>${num(s.model.ece)}</td><td>${num(s.market.ece)}</td></tr>`)
+    .join("\n");
+  const section = (heading, groups) => {
+    const shown = Object.entries(groups).filter(([, s]) => s.n > 0);
+    return [
+      `<h2>${escapeHtml(heading)}</h2>`,
+      `<table><thead><tr><th></th><th>n</th><th>YES rate</th><th>Brier</th><th>market</th><th>skill</th><th>log loss</th><th>market</th><th>ECE</th><th>market</th></tr></thead><tbody>`,
+      rows(groups),
+      "</tbody></table>",
+      `<div class="charts">${shown.map(([k, s]) => reliabilitySvg(k, s)).join("\n")}</div>`
+    ].join("\n");
+  };
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin: 8px 0 16px; font-variant-numeric: tabular-nums; }
+th, td { border-bottom: 1px solid #ddd; padding: 4px 10px; text-align: right; }
+thead th { border-bottom: 2px solid #999; }
+tbody th { text-align: left; }
+.charts { display: flex; flex-wrap: wrap; gap: 16px; }
+figure { margin: 0; }
+figcaption { font-weight: 600; text-align: center; }
+.key span { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin: 0 4px 0 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${startMs ? iso(startMs) : "-"} &rarr; ${endMs ? iso(endMs) : "-"}. ${summary.all.n} predictions on ${summary.all.tickers} settled tickers, one per ticker per ${sampleSeconds > 0 ? `${sampleSeconds}s` : "row"}${skipped ? `; skipped ${skipped.noTicker} without ticker, ${skipped.noMarket} without a two-sided touch quote, ${skipped.unsettled} not settled` : ""}.</p>
+<p>Brier and log loss: lower is better. Skill: 1 &minus; model Brier / market Brier (above 0 beats the market). ECE: count-weighted gap between predicted and observed per bucket. Market: mid of the YES ask and the YES bid implied by the NO ask.</p>
+<p class="key"><span style="background:${MODEL_COLOR}"></span>model_up<span style="background:${MARKET_COLOR}"></span>market</p>
+${section("Overall", { all: summary.all })}
+${section("By phase", summary.byPhase)}
+${section("By regime", summary.byRegime)}
+${Object.keys(summary.bySeries).length > 1 ? section("By series", summary.bySeries) : ""}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the report HTML, the summary JSON and the joined predictions CSV into `outDir`
+ */
+export function writeCalibrationOutputs({ predictions, summary, meta }, outDir = CONFIG.calibration.outDir) {
+  const htmlPath = path.join(outDir, "calibration-report.html");
+  const predictionsPath = path.join(outDir, "calibration-predictions.csv");
+  ensureDir(outDir);
+  fs.rmSync(predictionsPath, { force: true });
+  for (const p of predictions) {
+    appendCsvRow(predictionsPath, PREDICTION_CSV_HEADER, [
+      iso(p.time),
+      p.series,
+      p.ticker,
+      p.strike,
+      p.timeLeftMin,
+      p.phase,
+      p.regime,
+      p.modelUp.toFixed(4),
+      p.marketUp.toFixed(4),
+      p.outcome
+    ]);
+  }
+  fs.writeFileSync(htmlPath, renderCalibrationHtml(summary, meta), "utf8");
+  writeJsonAtomic(path.join(outDir, "calibration-summary.json"), { ...meta, summary });
+  return { htmlPath, predictionsPath };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const settings = CONFIG.calibration;
+  const skipped = { noTicker: 0, noMarket: 0, unsettled: 0 };
+  const predictions = [];
+
+  for (const { series } of CONFIG.series) {
+    const csvPath = path.join(settings.logDir, series, "kalshi-signals.csv");
+    if (!fs.existsSync(csvPath)) {
+      console.error(`No signal log for ${series} at ${csvPath}`);
+      continue;
+    }
+    const rows = readSignalLog(csvPath, { series });
+    const withTicker = rows.filter((p) => p.ticker);
+    skipped.noTicker += rows.length - withTicker.length;
+    const sampled = samplePredictions(withTicker, settings.sampleSeconds);
+    if (!sampled.length) continue;
+
+    const startMs = sampled[0].time;
+    const endMs = sampled[sampled.length - 1].time + HOUR_MS;
+    console.log(`${series}: ${sampled.length} predictions on ${new Set(sampled.map((p) => p.ticker)).size} tickers, fetching settled markets...`);
+    const outcomes = await fetchOutcomes({ seriesTicker: series, startMs, endMs });
+    for (const p of sampled) {
+      if (p.marketUp === null) skipped.noMarket += 1;
+      else if (!outcomes.has(p.ticker)) skipped.unsettled += 1;
+      else predictions.push({ ...p, outcome: outcomes.get(p.ticker) });
+    }
+  }
+
+  if (!predictions.length) {
+    console.error(`No settled predictions to score (skipped ${skipped.noTicker} without ticker, ${skipped.noMarket} without a two-sided touch quote, ${skipped.unsettled} not settled)`);
+    process.exit(1);
+  }
+
+  predictions.sort((a, b) => a.time - b.time);
+  const summary = summarizeCalibration(predictions, { buckets: settings.buckets });
+  const meta = {
+    title: `Signal calibration - ${CONFIG.series.map((x) => x.series).join(", ")}`,
+    startMs: predictions[0].time,
+    endMs: predictions[predictions.length - 1].time,
+    sampleSeconds: settings.sampleSeconds,
+    skipped
+  };
+  console.log("");
+  console.log(formatCalibrationReport(summary, meta));
+  const { htmlPath, predictionsPath } = writeCalibrationOutputs({ predictions, summary, meta }, settings.outDir);
+  console.log(`\nReport: ${htmlPath}\nPredictions: ${predictionsPath}\nSummary: ${path.join(settings.outDir, "calibration-summary.json")}`);
+}
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readSignalLog } from "./calibration.js";
+
+const OLD_HEADER = "timestamp,entry_minute,time_left_min,regime,signal,model_up,model_down,mkt_up,mkt_down,edge_up,edge_down,recommendation,trade_executed,ticker,strike";
+
+test("the market is the touch mid, not the full-size price in mkt_up / mkt_down", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "calibration-"));
+  const file = path.join(dir, "kalshi-signals.csv");
+  fs.writeFileSync(file, [
+    OLD_HEADER,
+    // Written before the touch columns existed
+    "2026-10-19T14:00:00.000Z,0,60,RANGE,NO_TRADE,0.6,0.4,0.62,0.42,0,0,NO_TRADE,NO,KXBTCD-26OCT1915-T100000,100000",
+    // Full-size fill walks the book; touch is 55 / 47
+    "2026-10-19T14:00:02.000Z,0,59.9,RANGE,NO_TRADE,0.6,0.4,0.58,,0,,NO_TRADE,NO,KXBTCD-26OCT1915-T100000,100000,0.55,0.47",
+    ""
+  ].join("\n"));
+
+  const [before, after] = readSignalLog(file, { series: "KXBTCD" });
+  assert.equal(before.marketUp, null);
+  assert.ok(Math.abs(after.marketUp - 0.54) < 1e-9);
+  assert.equal(after.ticker, "KXBTCD-26OCT1915-T100000");
+});
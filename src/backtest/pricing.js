@@ -0,0 +1,157 @@
+import { CONFIG } from "../config.js";
+import { fetchMarketCandlesticks, fetchSettledMarkets, parseStrikeFromTicker } from "../data/kalshi.js";
+import { probabilityAboveStrike } from "../engines/probability.js";
+import { clamp } from "../utils.js";
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+const HOUR_MS = 60 * 60_000;
+
+/**
+ * Contract prices for the backtest from a model instead of history
+ *
+ * Each minute the strike is the grid level (`strikeStep`) nearest spot, like the live bot
+ * picking the strike closest to the price. The market's fair value is a plain lognormal
+ * P(close > K) on realized vol times `volMultiplier` (no TA tilt), quoted `spreadCents` wide.
+ * Settles on the hour's closing price.
+ */
+export function createSyntheticPricer({ settings = CONFIG.backtest, series = CONFIG.kalshi.ticker } = {}) {
+  const step = settings.strikeStep > 0 ? settings.strikeStep : 250;
+  const half = Math.max(0, settings.spreadCents) / 2;
+
+  /**
+   * Returns { ticker, strike, yesBid, yesAsk, noBid, noAsk } (cents) or null
+   */
+  async function quote({ time, closeMs, price, sigmaPerMinute }) {
+    if (!Number.isFinite(price) || !Number.isFinite(sigmaPerMinute) || sigmaPerMinute <= 0) return null;
+    const strike = Math.round(price / step) * step;
+    const { probAbove } = probabilityAboveStrike({
+      price,
+      strike,
+      remainingMinutes: (closeMs - time) / 60_000,
+      sigmaPerMinute: sigmaPerMinute * settings.volMultiplier
+    });
+    if (probAbove === null) return null;
+    const mid = probAbove * 100;
+    const yesBid = clamp(Math.floor(mid - half), 1, 98);
+    const yesAsk = clamp(Math.ceil(mid + half), yesBid + 1, 99);
+    return {
+      ticker: `${series}-SYN${new Date(closeMs).toISOString().slice(0, 13)}-T${strike}`,
+      strike,
+      yesBid,
+      yesAsk,
+      noBid: 100 - yesAsk,
+      noAsk: 100 - yesBid
+    };
+  }
+
+  /**
+   * "yes" when the hour closed above the strike, "no" otherwise
+   */
+  async function settle({ strike, closePrice }) {
+    if (!Number.isFinite(closePrice)) return null;
+    return closePrice > strike ? "yes" : "no";
+  }
+
+  return { name: "synthetic", prepare: async () => {}, quote, settle };
+}
+
+// Close of an OHLC field in cents; newer responses only carry the *_dollars strings
+const candleCents = (ohlc) => {
+  if (!ohlc) return null;
+  const cents = toNumber(ohlc.close);
+  if (cents !== null) return cents;
+  const dollars = toNumber(ohlc.close_dollars);
+  return dollars === null ? null : Math.round(dollars * 100);
+};
+
+/**
+ * Contract prices for the backtest from Kalshi's own history
+ *
+ * prepare() lists the settled "above" markets of the series for the period. Each minute the
+ * strike nearest spot is taken from the event closing at the end of the hour, priced at the
+ * last 1-minute candle (yes bid / ask close) at or before that minute; candles are fetched
+ * once per market touched. Settles on the market's own result.
+ */
+export function createKalshiPricer({ series = CONFIG.kalshi.ticker, maxPages = 1000 } = {}) {
+  // closeMs -> [{ ticker, strike }], by strike
+  const events = new Map();
+  // ticker -> candles, oldest first
+  const candles = new Map();
+  const results = new Map();
+
+  async function prepare({ startMs, endMs }) {
+    const markets = await fetchSettledMarkets({
+      seriesTicker: series,
+      minCloseTs: Math.floor(startMs / 1000),
+      maxCloseTs: Math.ceil(endMs / 1000),
+      maxPages
+    });
+    for (const m of markets) {
+      const parsed = parseStrikeFromTicker(m.ticker);
+      const isAbove = m.strike_type ? m.strike_type === "greater" : parsed.kind === "T";
+      const strike = toNumber(m.floor_strike) ?? parsed.strike;
+      const closeMs = Date.parse(m.close_time);
+      if (!isAbove || strike === null || !Number.isFinite(closeMs)) continue;
+      const list = events.get(closeMs) ?? [];
+      list.push({ ticker: m.ticker, strike });
+      events.set(closeMs, list);
+      results.set(m.ticker, m.result === "yes" || m.result === "no" ? m.result : null);
+    }
+    for (const list of events.values()) list.sort((a, b) => a.strike - b.strike);
+    return { markets: results.size, events: events.size };
+  }
+
+  async function candlesFor(ticker, closeMs) {
+    if (!candles.has(ticker)) {
+      const list = await fetchMarketCandlesticks({
+        seriesTicker: series,
+        ticker,
+        startTs: Math.floor((closeMs - HOUR_MS - 5 * 60_000) / 1000),
+        endTs: Math.floor(closeMs / 1000),
+        periodInterval: 1
+      });
+      candles.set(ticker, list.sort((a, b) => a.end_period_ts - b.end_period_ts));
+    }
+    return candles.get(ticker);
+  }
+
+  async function quote({ time, closeMs, price }) {
+    const list = events.get(closeMs);
+    if (!list?.length || !Number.isFinite(price)) return null;
+    let market = list[0];
+    for (const m of list) {
+      if (Math.abs(m.strike - price) < Math.abs(market.strike - price)) market = m;
+    }
+
+    let last = null;
+    for (const c of await candlesFor(market.ticker, closeMs)) {
+      if (c.end_period_ts * 1000 > time) break;
+      last = c;
+    }
+    if (!last) return null;
+
+    // 0 / 100 mean an empty side, as in the listing
+    let yesBid = candleCents(last.yes_bid);
+    let yesAsk = candleCents(last.yes_ask);
+    if (yesBid !== null && yesBid <= 0) yesBid = null;
+    if (yesAsk !== null && yesAsk >= 100) yesAsk = null;
+    return {
+      ticker: market.ticker,
+      strike: market.strike,
+      yesBid,
+      yesAsk,
+      noBid: yesAsk !== null ? 100 - yesAsk : null,
+      noAsk: yesBid !== null ? 100 - yesBid : null
+    };
+  }
+
+  async function settle({ ticker }) {
+    return results.get(ticker) ?? null;
+  }
+
+  return { name: "kalshi", prepare, quote, settle };
+}
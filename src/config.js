@@ -1,5 +1,45 @@
 import 'dotenv/config';
 
+/**
+ * "KXBTCD:BTC-USD,KXETHD:ETH-USD" -> [{ series, productId }, ...]
+ * Falls back to the single KALSHI_TICKER / COINBASE_PRODUCT_ID pair
+ */
+function parseSeriesList(raw, fallback) {
+  const pairs = String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [series, productId] = entry.split(":").map((x) => x.trim());
+      return { series: series.toUpperCase(), productId: (productId || fallback.productId).toUpperCase() };
+    });
+  return pairs.length ? pairs : [fallback];
+}
+
+/**
+ * "STRONG:1,GOOD:0.5" -> { STRONG: 1, GOOD: 0.5 }
+ */
+function parseTiers(raw) {
+  const tiers = {};
+  for (const entry of String(raw || "").split(",")) {
+    const [name, mult] = entry.split(":").map((x) => x.trim());
+    if (name && Number.isFinite(Number(mult))) tiers[name.toUpperCase()] = Number(mult);
+  }
+  return tiers;
+}
+
+/**
+ * "0.3:0.5,0.6:1" -> [{ gain: 0.3, fraction: 0.5 }, { gain: 0.6, fraction: 1 }], by gain
+ */
+function parseExitLevels(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((entry) => entry.split(":").map((x) => Number(x.trim())))
+    .filter(([gain, fraction]) => Number.isFinite(gain) && gain > 0)
+    .map(([gain, fraction]) => ({ gain, fraction: Number.isFinite(fraction) && fraction > 0 ? Math.min(1, fraction) : 1 }))
+    .sort((a, b) => a.gain - b.gain);
+}
+
 export const CONFIG = {
   // Coinbase configuration (replaces Binance)
   coinbase: {
@@ -11,14 +51,157 @@ export const CONFIG = {
   // Kalshi configuration (replaces Polymarket)
   kalshi: {
     baseUrl: process.env.KALSHI_BASE_URL || "https://api.elections.kalshi.com",
+    wsUrl: process.env.KALSHI_WS_URL || "wss://api.elections.kalshi.com/trade-api/ws/v2",
+    // Stream order books over WS instead of REST-polling (needs credentials on the live exchange)
+    wsEnabled: (process.env.KALSHI_WS_ENABLED || (process.env.KALSHI_PRIVATE_KEY ? "true" : "false")).toLowerCase() === "true",
     apiKey: process.env.KALSHI_API_KEY || "",
+    rateTier: (process.env.KALSHI_RATE_TIER || "basic").toLowerCase(), // basic | advanced | premier | prime
+    requestTimeoutMs: Number(process.env.KALSHI_TIMEOUT_MS || "5000"),
+    maxRetries: Number(process.env.KALSHI_MAX_RETRIES || "3"),
+    maxPages: Number(process.env.KALSHI_MAX_PAGES || "20"), // Cap on cursor pages per listing
     privateKey: process.env.KALSHI_PRIVATE_KEY || "", // RSA private key for signing
     ticker: process.env.KALSHI_TICKER || "KXBTCD", // Hourly Bitcoin market
     autoTrade: (process.env.KALSHI_AUTO_TRADE || "false").toLowerCase() === "true",
-    maxPositionSize: Number(process.env.KALSHI_MAX_POSITION || "10"), // Max contracts per trade
+    maxPositionSize: Number(process.env.KALSHI_MAX_POSITION || "10"), // Max contracts per trade (cap on the sizing engine)
     minEdgePercent: Number(process.env.KALSHI_MIN_EDGE || "5"), // Minimum edge to enter trade (%)
+    // Fee = ceil_to_cent(rate * contracts * P * (1 - P))
+    takerFeeRate: Number(process.env.KALSHI_TAKER_FEE_RATE || "0.07"),
+    makerFeeRate: Number(process.env.KALSHI_MAKER_FEE_RATE || "0.0175"),
+    feeMode: process.env.KALSHI_FEE_MODE || "taker", // Fee schedule assumed for edge: taker | maker
+    ledgerPath: process.env.KALSHI_LEDGER_PATH || "./logs/kalshi-ledger.json",
+    ledgerRetentionDays: Number(process.env.KALSHI_LEDGER_RETENTION_DAYS || "7"), // Fill detail kept; older events are rolled up
+    portfolioSyncMs: Number(process.env.KALSHI_PORTFOLIO_SYNC_MS || "15000"), // Balance/fills/settlements refresh
+  },
+
+  // Contracts per entry: fractional Kelly, fixed fraction of balance, or fixed fraction scaled by strength
+  sizing: {
+    method: (process.env.SIZING_METHOD || "kelly").toLowerCase(), // kelly | fixed | tiered
+    kellyFraction: Number(process.env.SIZING_KELLY_FRACTION || "0.25"), // Share of full Kelly staked
+    fixedFraction: Number(process.env.SIZING_FIXED_FRACTION || "0.01"), // Of balance per trade (fixed, tiered)
+    tiers: parseTiers(process.env.SIZING_TIERS || "STRONG:1,GOOD:0.5,OPTIONAL:0.25"), // Multiplier on fixedFraction by strength
+    maxSlippageCents: Number(process.env.SIZING_MAX_SLIPPAGE_CENTS || "2"), // Only depth up to touch + this counts
+    bankroll: Number(process.env.SIZING_BANKROLL || "0") // $ used when the live balance is unknown (no credentials)
+  },
+
+  // When a repeated ENTER signal may add to a ticker already traded
+  entry: {
+    minAddIntervalMs: Number(process.env.ENTRY_MIN_ADD_INTERVAL_MS || "300000"), // Since the last entry on the ticker
+    maxAddsPerHour: Number(process.env.ENTRY_MAX_ADDS_PER_HOUR || "2"),
+    minEdgeImprovement: Number(process.env.ENTRY_MIN_EDGE_IMPROVEMENT || "0.03") // Over the best edge entered at ($/contract)
+  },
+
+  // How entry orders are priced and worked once the signal and size are decided
+  execution: {
+    strategy: (process.env.EXEC_STRATEGY || "cross").toLowerCase(), // join | improve | cross
+    improveCents: Number(process.env.EXEC_IMPROVE_CENTS || "1"), // improve: ticks over the best bid
+    crossMinEdge: Number(process.env.EXEC_CROSS_MIN_EDGE || "0.03"), // cross: edge left at the fill, else improve
+    minEdge: Number(process.env.EXEC_MIN_EDGE || "0.02"), // Caps passive prices at the model's value less this
+    cancelAfterMs: Number(process.env.EXEC_CANCEL_AFTER_MS || "60000"), // Unfilled orders are canceled after this; 0 = never
+    reprice: (process.env.EXEC_REPRICE || "true").toLowerCase() === "true", // Passive orders follow the bid
+    repriceIntervalMs: Number(process.env.EXEC_REPRICE_INTERVAL_MS || "5000"),
+    expireBeforeCloseSec: Number(process.env.EXEC_EXPIRE_BEFORE_CLOSE_SEC || "60") // Every order expires this long before the close
+  },
+
+  // Exits for open positions, measured on the fee-inclusive price the bids would pay
+  exit: {
+    enabled: (process.env.EXIT_ENABLED || "true").toLowerCase() === "true",
+    takeProfit: parseExitLevels(process.env.EXIT_TAKE_PROFIT || "0.3:1"), // gain:share of what is held, ascending
+    stopLossPct: Number(process.env.EXIT_STOP_LOSS_PCT || "0.2"), // 0 = off
+    onReversal: (process.env.EXIT_ON_REVERSAL || "true").toLowerCase() === "true", // Signal flips to the other side
+    flattenMinutes: Number(process.env.EXIT_FLATTEN_MINUTES || "0"), // Sell everything this close to the close; 0 = hold to settlement
+    maxSlippageCents: Number(process.env.EXIT_MAX_SLIPPAGE_CENTS || "3") // Sell limit this far under the best bid
+  },
+
+  // Paper trading: orders go to a simulator filling against the real book; outputs under logs/paper/
+  paper: {
+    enabled: (process.env.KALSHI_PAPER || "false").toLowerCase() === "true",
+    startBalance: Number(process.env.KALSHI_PAPER_BALANCE || "1000"), // $
+    statePath: process.env.KALSHI_PAPER_STATE_PATH || "./logs/paper/exchange.json",
+    ledgerPath: "./logs/paper/kalshi-ledger.json",
+    riskStatePath: "./logs/paper/risk-state.json",
+    riskLogPath: "./logs/paper/risk.log",
+    stateDir: "./logs/paper/state"
+  },
+
+  // Journal + snapshots of orders, fills, entries, risk counters and signal changes
+  state: {
+    dir: process.env.STATE_DIR || "./logs/state",
+    snapshotEvery: Number(process.env.STATE_SNAPSHOT_EVERY || "500") // Journal lines between snapshots
   },
 
+  // Historical replay of the hourly strategy (npm run backtest); outputs under logs/backtest/
+  backtest: {
+    start: process.env.BACKTEST_START || "", // ISO time (UTC); default: `days` before the end
+    end: process.env.BACKTEST_END || "", // ISO time (UTC); default: the last full hour
+    days: Number(process.env.BACKTEST_DAYS || "7"),
+    candlesPath: process.env.BACKTEST_CANDLES_PATH || "", // 1m candles (JSON array) instead of fetching from Coinbase
+    pricing: (process.env.BACKTEST_PRICING || "synthetic").toLowerCase(), // synthetic | kalshi
+    count: Number(process.env.BACKTEST_COUNT || "10"), // Contracts per entry
+    strikeStep: Number(process.env.BACKTEST_STRIKE_STEP || "250"), // synthetic: strike grid ($)
+    volMultiplier: Number(process.env.BACKTEST_VOL_MULTIPLIER || "1"), // synthetic: market vol vs realized vol
+    spreadCents: Number(process.env.BACKTEST_SPREAD_CENTS || "2"), // synthetic: yes bid/ask spread
+    outDir: process.env.BACKTEST_OUT_DIR || "./logs/backtest"
+  },
+
+  // Logged model_up against settled outcomes (npm run calibration); outputs under logs/calibration/
+  calibration: {
+    logDir: process.env.CALIBRATION_LOG_DIR || "./logs", // Where <SERIES>/kalshi-signals.csv are read from
+    sampleSeconds: Number(process.env.CALIBRATION_SAMPLE_SECONDS || "60"), // One prediction per ticker per this many seconds (0 = every row)
+    buckets: Number(process.env.CALIBRATION_BUCKETS || "10"), // Reliability buckets over [0, 1]
+    outDir: process.env.CALIBRATION_OUT_DIR || "./logs/calibration"
+  },
+
+  // Raw market data the loop reads, to hourly JSONL files (gzipped once the hour is over)
+  recorder: {
+    enabled: (process.env.RECORD_MARKET_DATA || "false").toLowerCase() === "true",
+    dir: process.env.RECORD_DIR || "./logs/recordings",
+    compress: (process.env.RECORD_COMPRESS || "true").toLowerCase() === "true"
+  },
+
+  // Re-run the loop on a recording with a virtual clock, signals only; outputs under logs/replay/
+  replay: {
+    path: process.env.REPLAY_PATH || "", // Recording file or directory (e.g. logs/recordings/2026-10-19); empty = live
+    speed: (process.env.REPLAY_SPEED || "fast").toLowerCase(), // fast | realtime | times real speed (e.g. 10)
+    outDir: process.env.REPLAY_OUT_DIR || "./logs/replay"
+  },
+
+  // Trading stops (signals keep running) while this file exists; its first line is the reason
+  control: {
+    killSwitchPath: process.env.KILL_SWITCH_PATH || "./logs/KILL"
+  },
+
+  // Risk limits checked in front of every order (money in dollars)
+  risk: {
+    maxTradesPerDay: Number(process.env.RISK_MAX_TRADES_PER_DAY || "10"),
+    maxDailyLossPct: Number(process.env.RISK_MAX_DAILY_LOSS_PCT || "0.10"), // Of the day's starting balance
+    maxDailyLossUsd: Number(process.env.RISK_MAX_DAILY_LOSS_USD || "0"), // 0 = off
+    maxConsecutiveLosses: Number(process.env.RISK_MAX_CONSECUTIVE_LOSSES || "3"),
+    maxContractsPerTrade: Number(process.env.RISK_MAX_CONTRACTS_PER_TRADE || "10"),
+    maxCostPerTrade: Number(process.env.RISK_MAX_COST_PER_TRADE || "500"),
+    maxRiskPerTrade: Number(process.env.RISK_MAX_RISK_PER_TRADE || "0.02"), // Of current balance
+    maxContractsPerTicker: Number(process.env.RISK_MAX_CONTRACTS_PER_TICKER || "10"),
+    maxExposurePerHour: Number(process.env.RISK_MAX_EXPOSURE_PER_HOUR || "100"), // Open cost in one hourly event
+    maxExposurePerDay: Number(process.env.RISK_MAX_EXPOSURE_PER_DAY || "500"), // Notional sent today
+    statePath: process.env.RISK_STATE_PATH || "./logs/risk-state.json", // Only read while the state store has no risk state yet
+    logPath: process.env.RISK_LOG_PATH || "./logs/risk.log"
+  },
+
+  // Composite settlement-price estimate (BRTI-style) across spot exchanges
+  compositeIndex: {
+    enabled: (process.env.COMPOSITE_INDEX_ENABLED || "true").toLowerCase() === "true",
+    exchanges: (process.env.COMPOSITE_EXCHANGES || "coinbase,kraken,bitstamp,gemini").split(",").map((x) => x.trim().toLowerCase()).filter(Boolean),
+    windowMs: Number(process.env.COMPOSITE_WINDOW_MS || "60000"), // Trades per exchange averaged over this window
+    staleMs: Number(process.env.COMPOSITE_STALE_MS || "30000"), // Exchange dropped after this long without a trade
+    maxDeviation: Number(process.env.COMPOSITE_MAX_DEVIATION || "0.005"), // Outlier cut vs the cross-exchange median
+    minExchanges: Number(process.env.COMPOSITE_MIN_EXCHANGES || "2")
+  },
+
+  // Series traded side by side in one process, each with its Coinbase product for spot/candles
+  series: parseSeriesList(process.env.KALSHI_SERIES, {
+    series: process.env.KALSHI_TICKER || "KXBTCD",
+    productId: process.env.COINBASE_PRODUCT_ID || "BTC-USD"
+  }),
+
   // Trading parameters (changed from 15m to 1h)
   pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || "2000"), // Poll every 2 seconds
   candleWindowMinutes: 60, // Hourly market instead of 15m
@@ -28,6 +211,11 @@ export const CONFIG = {
   rsiPeriod: 14,
   rsiMaPeriod: 14,
 
+  // Strike model: realized vol window/estimator and how much the TA score tilts P(close > K)
+  volLookbackMinutes: 60,
+  volEstimator: process.env.VOL_ESTIMATOR || "ewma", // closeToClose | parkinson | garmanKlass | ewma
+  taTiltWeight: Number(process.env.TA_TILT_WEIGHT || "0.5"),
+
   macdFast: 12,
   macdSlow: 26,
   macdSignal: 9,
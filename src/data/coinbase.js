@@ -1,4 +1,6 @@
 import { CONFIG } from "../config.js";
+import { clockNow, sleep } from "../utils.js";
+import { recordMarketData } from "./recorder.js";
 
 function toNumber(x) {
   const n = Number(x);
@@ -6,14 +8,10 @@ function toNumber(x) {
 }
 
 /**
- * Fetch candlestick data from Coinbase public API
+ * Interval ("1m", "5m", ...) -> Coinbase granularity in seconds
  * Granularity options: 60, 300, 900, 3600, 21600, 86400 (in seconds)
- * Returns max 300 candles per request
- *
- * Response format: [timestamp, price_low, price_high, price_open, price_close, volume]
  */
-export async function fetchKlines({ interval, limit }) {
-  // Convert interval to granularity in seconds
+function granularityFor(interval) {
   const granularityMap = {
     '1m': 60,
     '3m': 180,  // Note: Coinbase doesn't support 3m, will use 60s
@@ -23,20 +21,20 @@ export async function fetchKlines({ interval, limit }) {
     '1d': 86400
   };
 
-  let granularity = granularityMap[interval] || 60;
+  const granularity = granularityMap[interval] || 60;
 
   // Coinbase only supports specific granularities
   const validGranularities = [60, 300, 900, 3600, 21600, 86400];
-  if (!validGranularities.includes(granularity)) {
-    granularity = 60; // Default to 1 minute
-  }
-
-  // Calculate time range (Coinbase max 300 candles)
-  const actualLimit = Math.min(limit, 300);
-  const endTime = Math.floor(Date.now() / 1000);
-  const startTime = endTime - (granularity * actualLimit);
+  return validGranularities.includes(granularity) ? granularity : 60; // Default to 1 minute
+}
 
-  const url = new URL(`/products/${CONFIG.coinbase.productId}/candles`, CONFIG.coinbase.baseUrl);
+/**
+ * One candles request (max 300 candles), oldest first
+ *
+ * Response format: [timestamp, price_low, price_high, price_open, price_close, volume]
+ */
+async function fetchCandlePage({ productId, granularity, startTime, endTime }) {
+  const url = new URL(`/products/${productId}/candles`, CONFIG.coinbase.baseUrl);
   url.searchParams.set('start', startTime.toString());
   url.searchParams.set('end', endTime.toString());
   url.searchParams.set('granularity', granularity.toString());
@@ -47,6 +45,7 @@ export async function fetchKlines({ interval, limit }) {
   }
 
   const data = await res.json();
+  recordMarketData("coinbase.candles", data, { params: { productId, granularity, start: startTime, end: endTime } });
 
   // Coinbase returns [timestamp, low, high, open, close, volume]
   // We need to convert to match Binance format
@@ -62,10 +61,48 @@ export async function fetchKlines({ interval, limit }) {
 }
 
 /**
- * Fetch current BTC price from Coinbase
+ * Fetch candlestick data from Coinbase public API
+ * Returns max 300 candles per request
+ */
+export async function fetchKlines({ interval, limit, productId = CONFIG.coinbase.productId }) {
+  const granularity = granularityFor(interval);
+
+  // Calculate time range (Coinbase max 300 candles)
+  const actualLimit = Math.min(limit, 300);
+  const endTime = Math.floor(clockNow() / 1000);
+  const startTime = endTime - (granularity * actualLimit);
+
+  return await fetchCandlePage({ productId, granularity, startTime, endTime });
+}
+
+/**
+ * Fetch every candle opening in [startMs, endMs), 300 per request, oldest first
+ * Minutes without trades have no candle; duplicates across pages are dropped
+ */
+export async function fetchKlineRange({ interval, startMs, endMs, productId = CONFIG.coinbase.productId, pauseMs = 150 }) {
+  const granularity = granularityFor(interval);
+  const pageSec = granularity * 300;
+  const byOpen = new Map();
+
+  for (let start = Math.floor(startMs / 1000); start * 1000 < endMs; start += pageSec) {
+    // Both ends are inclusive
+    const end = Math.min(start + pageSec - granularity, Math.ceil(endMs / 1000));
+    const page = await fetchCandlePage({ productId, granularity, startTime: start, endTime: end });
+    for (const c of page) {
+      if (c.openTime >= startMs && c.openTime < endMs) byOpen.set(c.openTime, c);
+    }
+    // Public endpoint: stay well under its rate limit
+    if (pauseMs > 0) await sleep(pauseMs);
+  }
+
+  return [...byOpen.values()].sort((a, b) => a.openTime - b.openTime);
+}
+
+/**
+ * Fetch current price from Coinbase (BTC-USD unless productId is given)
  */
-export async function fetchLastPrice() {
-  const url = new URL(`/products/${CONFIG.coinbase.productId}/ticker`, CONFIG.coinbase.baseUrl);
+export async function fetchLastPrice({ productId = CONFIG.coinbase.productId } = {}) {
+  const url = new URL(`/products/${productId}/ticker`, CONFIG.coinbase.baseUrl);
 
   const res = await fetch(url);
   if (!res.ok) {
@@ -73,14 +110,15 @@ export async function fetchLastPrice() {
   }
 
   const data = await res.json();
+  recordMarketData("coinbase.ticker", data, { params: { productId } });
   return toNumber(data.price);
 }
 
 /**
  * Fetch 24h stats for BTC
  */
-export async function fetch24HStats() {
-  const url = new URL(`/products/${CONFIG.coinbase.productId}/stats`, CONFIG.coinbase.baseUrl);
+export async function fetch24HStats({ productId = CONFIG.coinbase.productId } = {}) {
+  const url = new URL(`/products/${productId}/stats`, CONFIG.coinbase.baseUrl);
 
   const res = await fetch(url);
   if (!res.ok) {
@@ -1,13 +1,37 @@
 import { CONFIG } from "../config.js";
 import WebSocket from "ws";
+import { recordMarketData } from "./recorder.js";
+import { clockNow } from "../utils.js";
 
 /**
- * Start Coinbase WebSocket stream for BTC-USD ticker
- * Provides real-time price updates
+ * Ticker-channel message -> { productId, tick }, or null for anything else
  */
-export function startCoinbaseTickerStream({ productId = CONFIG.coinbase.productId }) {
+export function tickFromMessage(msg, productIds) {
+  if (msg?.type !== 'ticker' || !productIds.includes(msg.product_id)) return null;
+  const price = Number(msg.price);
+  if (!Number.isFinite(price)) return null;
+  return {
+    productId: msg.product_id,
+    tick: {
+      price,
+      time: msg.time ? new Date(msg.time).getTime() : clockNow(),
+      bestBid: msg.best_bid ? Number(msg.best_bid) : null,
+      bestAsk: msg.best_ask ? Number(msg.best_ask) : null,
+      lastSize: msg.last_size ? Number(msg.last_size) : null,
+      volume24h: msg.volume_24h ? Number(msg.volume_24h) : null
+    }
+  };
+}
+
+/**
+ * Start Coinbase WebSocket stream for one or more tickers (BTC-USD by default)
+ * Provides real-time price updates; one connection serves every product in `productIds`
+ * onTick(productId, tick) sees every update (e.g. to feed the composite index)
+ */
+export function startCoinbaseTickerStream({ productId = CONFIG.coinbase.productId, productIds = [productId], onTick = null } = {}) {
   let ws = null;
-  let lastTick = null;
+  // productId -> last tick
+  const lastTicks = new Map();
   let reconnectTimer = null;
   let isConnected = false;
 
@@ -22,7 +46,7 @@ export function startCoinbaseTickerStream({ productId = CONFIG.coinbase.productI
         // Subscribe to ticker channel
         const subscribeMsg = {
           type: 'subscribe',
-          product_ids: [productId],
+          product_ids: productIds,
           channels: ['ticker']
         };
 
@@ -32,19 +56,13 @@ export function startCoinbaseTickerStream({ productId = CONFIG.coinbase.productI
       ws.on('message', (data) => {
         try {
           const msg = JSON.parse(data.toString());
+          recordMarketData("coinbase.ws", msg);
 
           // Ticker messages have type "ticker"
-          if (msg.type === 'ticker' && msg.product_id === productId) {
-            const price = Number(msg.price);
-            if (Number.isFinite(price)) {
-              lastTick = {
-                price,
-                time: msg.time ? new Date(msg.time).getTime() : Date.now(),
-                bestBid: msg.best_bid ? Number(msg.best_bid) : null,
-                bestAsk: msg.best_ask ? Number(msg.best_ask) : null,
-                volume24h: msg.volume_24h ? Number(msg.volume_24h) : null
-              };
-            }
+          const parsed = tickFromMessage(msg, productIds);
+          if (parsed) {
+            lastTicks.set(parsed.productId, parsed.tick);
+            if (typeof onTick === "function") onTick(parsed.productId, parsed.tick);
           }
         } catch (err) {
           console.error('[Coinbase WS] Message parse error:', err.message);
@@ -93,7 +111,7 @@ export function startCoinbaseTickerStream({ productId = CONFIG.coinbase.productI
   connect();
 
   return {
-    getLast: () => lastTick,
+    getLast: (id = productIds[0]) => lastTicks.get(id) ?? null,
     isConnected: () => isConnected,
     cleanup
   };
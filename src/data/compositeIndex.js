@@ -0,0 +1,226 @@
+import WebSocket from "ws";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { CONFIG } from "../config.js";
+import { EXCHANGE_ADAPTERS, replayAdapterFixture } from "./exchanges/index.js";
+import { recordMarketData } from "./recorder.js";
+import { clockNow } from "../utils.js";
+
+/**
+ * Median of { price, weight } points: the price where cumulative weight reaches half
+ */
+export function weightedMedian(points) {
+  const sorted = points.filter((p) => Number.isFinite(p.price) && p.weight > 0).sort((a, b) => a.price - b.price);
+  if (sorted.length === 0) return null;
+  const total = sorted.reduce((acc, p) => acc + p.weight, 0);
+  let cum = 0;
+  for (const p of sorted) {
+    cum += p.weight;
+    if (cum >= total / 2) return p.price;
+  }
+  return sorted[sorted.length - 1].price;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * BRTI-style composite from recent trades on several exchanges
+ *
+ * Each exchange contributes the VWAP of its trades in the last `windowMs`, weighted by
+ * the volume behind it. Exchanges with no trade for `staleMs` are dropped, then any whose
+ * price is more than `maxDeviation` (fraction) from the plain median of the rest is
+ * excluded as an outlier. The index is the volume-weighted median of what remains, or
+ * null when fewer than `minExchanges` survive.
+ *
+ * trades: [{ exchange, price, size, time }]
+ */
+export function computeCompositeIndex(trades, {
+  now = clockNow(),
+  windowMs = CONFIG.compositeIndex.windowMs,
+  staleMs = CONFIG.compositeIndex.staleMs,
+  maxDeviation = CONFIG.compositeIndex.maxDeviation,
+  minExchanges = CONFIG.compositeIndex.minExchanges
+} = {}) {
+  const byExchange = new Map();
+  for (const t of trades) {
+    if (now - t.time > windowMs || t.time > now + 1000) continue;
+    const row = byExchange.get(t.exchange) ?? { exchange: t.exchange, notional: 0, volume: 0, trades: 0, lastPrice: null, lastTime: 0 };
+    row.notional += t.price * t.size;
+    row.volume += t.size;
+    row.trades += 1;
+    if (t.time >= row.lastTime) {
+      row.lastTime = t.time;
+      row.lastPrice = t.price;
+    }
+    byExchange.set(t.exchange, row);
+  }
+
+  const exchanges = Array.from(byExchange.values()).map((r) => ({
+    exchange: r.exchange,
+    price: r.volume > 0 ? r.notional / r.volume : r.lastPrice,
+    volume: r.volume,
+    trades: r.trades,
+    lastTime: r.lastTime,
+    included: true,
+    reason: null
+  }));
+
+  for (const e of exchanges) {
+    if (now - e.lastTime > staleMs) {
+      e.included = false;
+      e.reason = "stale";
+    }
+  }
+
+  const center = median(exchanges.filter((e) => e.included).map((e) => e.price));
+  for (const e of exchanges) {
+    if (!e.included || center === null) continue;
+    e.deviation = e.price / center - 1;
+    if (Math.abs(e.deviation) > maxDeviation) {
+      e.included = false;
+      e.reason = "outlier";
+    }
+  }
+
+  const used = exchanges.filter((e) => e.included);
+  // An exchange that only sent size-less ticks still counts, with a nominal weight
+  const price = used.length >= minExchanges
+    ? weightedMedian(used.map((e) => ({ price: e.price, weight: e.volume > 0 ? e.volume : 1e-9 })))
+    : null;
+
+  return {
+    price,
+    exchanges: exchanges.sort((a, b) => a.exchange.localeCompare(b.exchange)),
+    used: used.length,
+    time: now
+  };
+}
+
+/**
+ * Basis of a venue price against the composite: dollars and basis points
+ */
+export function indexBasis(indexPrice, venuePrice) {
+  if (indexPrice === null || venuePrice === null || !indexPrice) return { diff: null, bps: null };
+  const diff = venuePrice - indexPrice;
+  return { diff, bps: (diff / indexPrice) * 10_000 };
+}
+
+/**
+ * Live composite index across exchanges, for one or more products
+ *
+ * Opens one WS per exchange in `exchanges` (all products on the same connection) and
+ * keeps the last `windowMs` of trades. Trades from a connection the process already has
+ * (e.g. the shared Coinbase ticker stream) can be fed in with `ingest()` instead of
+ * listing that exchange.
+ */
+export function startCompositeIndexStream({
+  productIds = [CONFIG.coinbase.productId],
+  exchanges = CONFIG.compositeIndex.exchanges,
+  windowMs = CONFIG.compositeIndex.windowMs
+} = {}) {
+  // productId -> trades in window
+  const buffers = new Map(productIds.map((id) => [id, []]));
+  const connections = [];
+  let closed = false;
+
+  const ingest = (exchange, productId, trade) => {
+    const buf = buffers.get(productId);
+    if (!buf) return;
+    buf.push({ exchange, price: trade.price, size: trade.size ?? 0, time: trade.time ?? clockNow() });
+    const cutoff = clockNow() - windowMs;
+    while (buf.length && buf[0].time < cutoff) buf.shift();
+  };
+
+  const connect = (adapter, conn) => {
+    if (closed) return;
+    try {
+      const ws = new WebSocket(adapter.wsUrl);
+      conn.ws = ws;
+
+      ws.on("open", () => {
+        conn.connected = true;
+        for (const msg of adapter.subscribeMessages(productIds)) ws.send(JSON.stringify(msg));
+      });
+
+      ws.on("message", (data) => {
+        try {
+          const msg = JSON.parse(data.toString());
+          recordMarketData("exchange.ws", msg, { params: { exchange: adapter.name } });
+          for (const t of adapter.parse(msg, { productIds })) ingest(adapter.name, t.productId, t);
+        } catch (err) {
+          console.error(`[Index ${adapter.name}] Message parse error:`, err.message);
+        }
+      });
+
+      ws.on("error", (err) => {
+        console.error(`[Index ${adapter.name}] Error:`, err.message);
+      });
+
+      ws.on("close", () => {
+        conn.connected = false;
+        scheduleReconnect(adapter, conn);
+      });
+    } catch (err) {
+      console.error(`[Index ${adapter.name}] Connection error:`, err.message);
+      scheduleReconnect(adapter, conn);
+    }
+  };
+
+  const scheduleReconnect = (adapter, conn) => {
+    if (closed || conn.timer) return;
+    conn.timer = setTimeout(() => {
+      conn.timer = null;
+      connect(adapter, conn);
+    }, 5000);
+  };
+
+  for (const name of exchanges) {
+    const adapter = EXCHANGE_ADAPTERS[name];
+    if (!adapter) {
+      console.error(`[Index] Unknown exchange "${name}" skipped`);
+      continue;
+    }
+    const conn = { name, ws: null, timer: null, connected: false };
+    connections.push(conn);
+    connect(adapter, conn);
+  }
+
+  return {
+    ingest,
+    getLast: (productId = productIds[0]) => computeCompositeIndex(buffers.get(productId) ?? [], { windowMs }),
+    isConnected: (name) => connections.find((c) => c.name === name)?.connected ?? false,
+    close() {
+      closed = true;
+      for (const c of connections) {
+        if (c.timer) clearTimeout(c.timer);
+        try {
+          c.ws?.close();
+        } catch {
+          // ignore
+        }
+      }
+    }
+  };
+}
+
+// `npm run index:replay` - run the recorded exchange fixtures through the adapters and the composite
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "mock", "fixtures", "exchanges");
+  const trades = [];
+  for (const adapter of Object.values(EXCHANGE_ADAPTERS)) {
+    const parsed = replayAdapterFixture(adapter, path.join(dir, `${adapter.name}.jsonl`), { productIds: ["BTC-USD"] });
+    console.log(`${adapter.name.padEnd(9)} ${parsed.length} trades ${parsed.map((t) => t.price).join(", ")}`);
+    trades.push(...parsed);
+  }
+  const now = Math.max(...trades.map((t) => t.time));
+  const index = computeCompositeIndex(trades, { now });
+  console.log(`composite ${index.price} from ${index.used} exchanges`);
+  for (const e of index.exchanges) {
+    console.log(`  ${e.exchange.padEnd(9)} ${e.price.toFixed(2)} vol ${e.volume.toFixed(4)} ${e.included ? "used" : e.reason}`);
+  }
+}
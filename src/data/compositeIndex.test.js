@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeCompositeIndex } from "./compositeIndex.js";
+
+const NOW = Date.parse("2026-10-19T14:00:00Z");
+const settings = { now: NOW, windowMs: 60_000, staleMs: 15_000, maxDeviation: 0.002, minExchanges: 2 };
+const trade = (exchange, price, size = 1, ageMs = 1000) => ({ exchange, price, size, time: NOW - ageMs });
+
+const byName = (res) => Object.fromEntries(res.exchanges.map((e) => [e.exchange, e]));
+
+test("the index is the volume-weighted median of the exchanges' VWAPs", () => {
+  const res = computeCompositeIndex([
+    trade("coinbase", 100_000, 1),
+    trade("coinbase", 100_020, 1),
+    trade("kraken", 100_030, 5),
+    trade("bitstamp", 100_050, 1)
+  ], settings);
+  assert.equal(byName(res).coinbase.price, 100_010);
+  assert.equal(res.used, 3);
+  assert.equal(res.price, 100_030);
+});
+
+test("an exchange far from the others is excluded as an outlier", () => {
+  const res = computeCompositeIndex([
+    trade("coinbase", 100_000),
+    trade("kraken", 100_010),
+    trade("bitstamp", 100_020),
+    trade("gemini", 101_000, 50)
+  ], settings);
+  assert.equal(byName(res).gemini.included, false);
+  assert.equal(byName(res).gemini.reason, "outlier");
+  assert.equal(res.used, 3);
+  assert.equal(res.price, 100_010);
+});
+
+test("an exchange with no recent trade is dropped as stale", () => {
+  const res = computeCompositeIndex([
+    trade("coinbase", 100_000),
+    trade("kraken", 100_010),
+    trade("bitstamp", 99_000, 100, 30_000)
+  ], settings);
+  assert.equal(byName(res).bitstamp.reason, "stale");
+  assert.equal(res.used, 2);
+  assert.equal(res.price, 100_000);
+});
+
+test("fewer than minExchanges left gives no index", () => {
+  const res = computeCompositeIndex([trade("coinbase", 100_000), trade("kraken", 100_010, 1, 20_000)], settings);
+  assert.equal(res.used, 1);
+  assert.equal(res.price, null);
+  assert.equal(computeCompositeIndex([trade("coinbase", 100_000)], { ...settings, minExchanges: 1 }).price, 100_000);
+});
@@ -0,0 +1,31 @@
+/**
+ * Bitstamp `live_trades_<pair>` channel
+ */
+export const bitstampAdapter = {
+  name: "bitstamp",
+  wsUrl: "wss://ws.bitstamp.net",
+
+  // "BTC-USD" -> "btcusd"
+  symbol: (productId) => productId.replace("-", "").toLowerCase(),
+
+  subscribeMessages: (productIds) => productIds.map((id) => ({
+    event: "bts:subscribe",
+    data: { channel: `live_trades_${bitstampAdapter.symbol(id)}` }
+  })),
+
+  parse(msg, { productIds }) {
+    if (msg?.event !== "trade" || !String(msg.channel ?? "").startsWith("live_trades_")) return [];
+    const pair = msg.channel.slice("live_trades_".length);
+    const productId = productIds.find((id) => bitstampAdapter.symbol(id) === pair);
+    const price = Number(msg.data?.price_str ?? msg.data?.price);
+    if (!productId || !Number.isFinite(price)) return [];
+    // microtimestamp is a string of microseconds; timestamp is seconds
+    const micros = Number(msg.data.microtimestamp);
+    return [{
+      productId,
+      price,
+      size: Number(msg.data.amount_str ?? msg.data.amount) || 0,
+      time: Number.isFinite(micros) ? Math.floor(micros / 1000) : Number(msg.data.timestamp) * 1000
+    }];
+  }
+};
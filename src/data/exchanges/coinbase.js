@@ -0,0 +1,28 @@
+import { clockNow } from "../../utils.js";
+
+/**
+ * Coinbase Exchange feed: `match` / `last_match` and `ticker` messages carry the trade
+ */
+export const coinbaseAdapter = {
+  name: "coinbase",
+  wsUrl: "wss://ws-feed.exchange.coinbase.com",
+
+  symbol: (productId) => productId,
+
+  subscribeMessages: (productIds) => [{ type: "subscribe", product_ids: productIds, channels: ["matches"] }],
+
+  parse(msg, { productIds }) {
+    if (!msg || !productIds.includes(msg.product_id)) return [];
+    const isMatch = msg.type === "match" || msg.type === "last_match";
+    if (!isMatch && msg.type !== "ticker") return [];
+    const price = Number(msg.price);
+    const size = Number(isMatch ? msg.size : msg.last_size);
+    if (!Number.isFinite(price)) return [];
+    return [{
+      productId: msg.product_id,
+      price,
+      size: Number.isFinite(size) ? size : 0,
+      time: msg.time ? new Date(msg.time).getTime() : clockNow()
+    }];
+  }
+};
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { EXCHANGE_ADAPTERS, replayAdapterFixture } from "./index.js";
+
+const fixtures = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../mock/fixtures/exchanges");
+const replay = (name, productIds = ["BTC-USD"]) => replayAdapterFixture(EXCHANGE_ADAPTERS[name], path.join(fixtures, `${name}.jsonl`), { productIds });
+
+test("coinbase: match, last_match and ticker messages are trades", () => {
+  const trades = replay("coinbase");
+  assert.deepEqual(trades.map((t) => [t.price, t.size]), [[76360.12, 0.015], [76362.5, 0.25], [76365.01, 0.0421], [76365.76, 0.1]]);
+  assert.equal(trades[0].time, Date.parse("2026-02-02T06:47:30.101Z"));
+  assert.ok(trades.every((t) => t.exchange === "coinbase" && t.productId === "BTC-USD"));
+});
+
+test("kraken: every trade in an update, with the symbol mapped back", () => {
+  const trades = replay("kraken");
+  assert.deepEqual(trades.map((t) => [t.price, t.size]), [[76358.4, 0.0521], [76361, 0.3], [76360.9, 0.12]]);
+  assert.equal(trades[1].time, Date.parse("2026-02-02T06:47:32.004Z"));
+});
+
+test("bitstamp: live trades in microseconds, subscription and heartbeat skipped", () => {
+  const trades = replay("bitstamp");
+  assert.deepEqual(trades.map((t) => [t.price, t.size, t.time]), [[76366, 0.0114, 1770014850623], [76368, 0.5, 1770014853120]]);
+});
+
+test("gemini: trades only, book updates and heartbeats skipped", () => {
+  const trades = replay("gemini");
+  assert.deepEqual(trades.map((t) => [t.price, t.size, t.time]), [[76371.5, 0.035, 1770014851000], [76369, 0.21, 1770014854000]]);
+});
+
+test("products not asked for are left out, and come through when asked for", () => {
+  assert.equal(replay("coinbase").some((t) => t.productId === "ETH-USD"), false);
+  const eth = replay("kraken", ["BTC-USD", "ETH-USD"]).filter((t) => t.productId === "ETH-USD");
+  assert.deepEqual(eth.map((t) => [t.price, t.size]), [[2300.85, 2]]);
+});
@@ -0,0 +1,30 @@
+import { clockNow } from "../../utils.js";
+
+/**
+ * Gemini market data v2: trades arrive on the `l2` subscription as `trade` messages
+ */
+export const geminiAdapter = {
+  name: "gemini",
+  wsUrl: "wss://api.gemini.com/v2/marketdata",
+
+  // "BTC-USD" -> "BTCUSD"
+  symbol: (productId) => productId.replace("-", "").toUpperCase(),
+
+  subscribeMessages: (productIds) => [{
+    type: "subscribe",
+    subscriptions: [{ name: "l2", symbols: productIds.map(geminiAdapter.symbol) }]
+  }],
+
+  parse(msg, { productIds }) {
+    if (msg?.type !== "trade") return [];
+    const productId = productIds.find((id) => geminiAdapter.symbol(id) === msg.symbol);
+    const price = Number(msg.price);
+    if (!productId || !Number.isFinite(price)) return [];
+    return [{
+      productId,
+      price,
+      size: Number(msg.quantity) || 0,
+      time: Number(msg.timestamp) || clockNow()
+    }];
+  }
+};
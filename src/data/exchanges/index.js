@@ -0,0 +1,33 @@
+import fs from "node:fs";
+import { coinbaseAdapter } from "./coinbase.js";
+import { krakenAdapter } from "./kraken.js";
+import { bitstampAdapter } from "./bitstamp.js";
+import { geminiAdapter } from "./gemini.js";
+
+/**
+ * Exchange adapters for the composite index
+ * Each one knows its WS URL, how to subscribe to a list of Coinbase-style product ids
+ * ("BTC-USD") and how to turn one parsed message into trades:
+ * [{ productId, price, size, time (ms) }]. parse() is pure, so adapters can be checked
+ * against recorded messages without a connection.
+ */
+export const EXCHANGE_ADAPTERS = {
+  coinbase: coinbaseAdapter,
+  kraken: krakenAdapter,
+  bitstamp: bitstampAdapter,
+  gemini: geminiAdapter
+};
+
+/**
+ * Run a JSONL file of raw WS messages (one per line) through an adapter
+ */
+export function replayAdapterFixture(adapter, filePath, { productIds = ["BTC-USD"] } = {}) {
+  const trades = [];
+  for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    for (const t of adapter.parse(JSON.parse(line), { productIds })) {
+      trades.push({ exchange: adapter.name, ...t });
+    }
+  }
+  return trades;
+}
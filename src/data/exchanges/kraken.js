@@ -0,0 +1,34 @@
+import { clockNow } from "../../utils.js";
+
+/**
+ * Kraken WebSocket v2 `trade` channel (snapshot and update messages)
+ */
+export const krakenAdapter = {
+  name: "kraken",
+  wsUrl: "wss://ws.kraken.com/v2",
+
+  // "BTC-USD" -> "BTC/USD"
+  symbol: (productId) => productId.replace("-", "/"),
+
+  subscribeMessages: (productIds) => [{
+    method: "subscribe",
+    params: { channel: "trade", symbol: productIds.map(krakenAdapter.symbol), snapshot: false }
+  }],
+
+  parse(msg, { productIds }) {
+    if (msg?.channel !== "trade" || !Array.isArray(msg.data)) return [];
+    const out = [];
+    for (const t of msg.data) {
+      const productId = productIds.find((id) => krakenAdapter.symbol(id) === t.symbol);
+      const price = Number(t.price);
+      if (!productId || !Number.isFinite(price)) continue;
+      out.push({
+        productId,
+        price,
+        size: Number(t.qty) || 0,
+        time: t.timestamp ? new Date(t.timestamp).getTime() : clockNow()
+      });
+    }
+    return out;
+  }
+};
@@ -1,5 +1,10 @@
 import { CONFIG } from "../config.js";
-import crypto from "node:crypto";
+import { buildOrderBook } from "./kalshiBook.js";
+import { getKalshiClient } from "./kalshiClient.js";
+import { recordMarketData } from "./recorder.js";
+import { clockNow } from "../utils.js";
+
+export { generateKalshiAuthHeaders } from "./kalshiClient.js";
 
 function toNumber(x) {
   const n = Number(x);
@@ -7,78 +12,117 @@ function toNumber(x) {
 }
 
 /**
- * Generate authentication headers for Kalshi API
- * Requires API key and private key for RSA-PSS signature
+ * Fetch market data for a specific ticker (e.g., KXBTC)
  */
-function generateKalshiAuthHeaders(method, path, body = null) {
-  const timestamp = Date.now().toString();
-
-  // Create signature payload (timestamp + method + path ONLY - no body!)
-  const messageToSign = timestamp + method + path;
-
-  if (!CONFIG.kalshi.privateKey) {
-    throw new Error("Kalshi private key not configured");
-  }
+export async function fetchMarketByTicker(ticker) {
+  const data = await getKalshiClient().get(`/trade-api/v2/markets/${ticker}`);
+  return data.market || null;
+}
 
-  try {
-    // Sign with RSA-PSS (Kalshi requirement)
-    const sign = crypto.createSign('RSA-SHA256');
-    sign.update(messageToSign);
-    const signature = sign.sign({
-      key: CONFIG.kalshi.privateKey,
-      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
-    }, 'base64');
+/**
+ * Parse the strike out of a KXBTCD ticker
+ * "KXBTCD-26FEB0201-T75000" -> { kind: "T", strike: 75000 } (T = above, B = range bucket)
+ */
+export function parseStrikeFromTicker(ticker) {
+  const match = String(ticker || "").match(/-([TB])(\d+(?:\.\d+)?)$/);
+  if (!match) return { kind: null, strike: null };
+  return { kind: match[1], strike: parseFloat(match[2]) };
+}
 
-    return {
-      'KALSHI-ACCESS-KEY': CONFIG.kalshi.apiKey,
-      'KALSHI-ACCESS-SIGNATURE': signature,
-      'KALSHI-ACCESS-TIMESTAMP': timestamp,
-      'Content-Type': 'application/json'
-    };
-  } catch (err) {
-    console.error('Failed to generate Kalshi auth headers:', err.message);
-    throw err;
+/**
+ * Drain an async iterator into an array, stopping at maxItems
+ */
+export async function collect(iterator, { maxItems = Infinity } = {}) {
+  const out = [];
+  for await (const item of iterator) {
+    out.push(item);
+    if (out.length >= maxItems) break;
   }
+  return out;
 }
 
 /**
- * Fetch market data for a specific ticker (e.g., KXBTC)
+ * Paginated listings: async iterators over every page the cursor hands back
+ * (capped at CONFIG.kalshi.maxPages unless maxPages is passed)
  */
-export async function fetchMarketByTicker(ticker) {
-  const path = `/trade-api/v2/markets/${ticker}`;
-  const url = new URL(path, CONFIG.kalshi.baseUrl);
+export function iterateMarkets({ seriesTicker = null, eventTicker = null, status = null, minCloseTs = null, maxCloseTs = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/markets`, {
+    itemsKey: "markets",
+    query: { series_ticker: seriesTicker, event_ticker: eventTicker, status, min_close_ts: minCloseTs, max_close_ts: maxCloseTs },
+    maxPages
+  });
+}
 
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Kalshi market error: ${res.status} ${await res.text()}`);
-  }
+export function iterateEvents({ seriesTicker = null, status = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/events`, {
+    itemsKey: "events",
+    query: { series_ticker: seriesTicker, status },
+    maxPages
+  });
+}
 
-  const data = await res.json();
-  return data.market || null;
+export function iterateOrders({ ticker = null, status = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/portfolio/orders`, {
+    itemsKey: "orders",
+    auth: true,
+    query: { ticker, status },
+    maxPages
+  });
+}
+
+export function iterateFills({ ticker = null, orderId = null, minTs = null, maxTs = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/portfolio/fills`, {
+    itemsKey: "fills",
+    auth: true,
+    query: { ticker, order_id: orderId, min_ts: minTs, max_ts: maxTs },
+    maxPages
+  });
+}
+
+export function iteratePositions({ ticker = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/portfolio/positions`, {
+    itemsKey: "market_positions",
+    auth: true,
+    query: { ticker },
+    maxPages
+  });
+}
+
+export function iterateSettlements({ minTs = null, maxTs = null, maxPages } = {}) {
+  return getKalshiClient().paginate(`/trade-api/v2/portfolio/settlements`, {
+    itemsKey: "settlements",
+    auth: true,
+    query: { min_ts: minTs, max_ts: maxTs },
+    maxPages
+  });
 }
 
 /**
- * Get the current active KXBTCD hourly market closest to current BTC price
- * KXBTCD markets have multiple strikes - we pick the one nearest to current price
+ * List open markets for a series (every page, so no strike is missed)
+ * Only events closing within `horizonMs` are listed (by default the current and next hour,
+ * all selectCurrentKxbtcMarket looks at), so a tick costs a page or two, not the whole series
  */
-export async function fetchCurrentKxbtcMarket(currentBtcPrice = null) {
+export async function fetchOpenKxbtcMarkets({ seriesTicker = CONFIG.kalshi.ticker, horizonMs = 2 * 60 * 60 * 1000 } = {}) {
+  const now = clockNow();
   // Use series_ticker instead of ticker to get all KXBTCD markets
-  const path = `/trade-api/v2/markets?series_ticker=${CONFIG.kalshi.ticker}&status=open&limit=100`;
-  const url = new URL(path, CONFIG.kalshi.baseUrl);
-
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Kalshi markets error: ${res.status} ${await res.text()}`);
-  }
-
-  const data = await res.json();
-  const markets = Array.isArray(data.markets) ? data.markets : [];
+  const markets = await collect(iterateMarkets({
+    seriesTicker,
+    status: "open",
+    minCloseTs: Math.floor(now / 1000),
+    maxCloseTs: Math.ceil((now + horizonMs) / 1000)
+  }));
+  recordMarketData("kalshi.markets", markets, { params: { seriesTicker, status: "open" } });
+  return markets;
+}
 
-  if (markets.length === 0) return null;
+/**
+ * Pick the market closing soonest (within 2h) whose strike is nearest the current price
+ */
+export function selectCurrentKxbtcMarket(markets, currentBtcPrice = null) {
+  if (!Array.isArray(markets) || markets.length === 0) return null;
 
   // Find markets closing in the next 2 hours
-  const now = Date.now();
+  const now = clockNow();
   const twoHoursLater = now + (2 * 60 * 60 * 1000);
   const soonMarkets = markets.filter(m => {
     const closeTime = new Date(m.close_time).getTime();
@@ -96,10 +140,7 @@ export async function fetchCurrentKxbtcMarket(currentBtcPrice = null) {
 
   // Parse strike prices and find the one closest to current BTC price
   const marketsWithStrikes = soonMarkets.map(m => {
-    const ticker = m.ticker || '';
-    // Parse ticker like "KXBTCD-26FEB0201-T75000" or "KXBTCD-26FEB0201-B74500"
-    const match = ticker.match(/-([TB])(\d+(?:\.\d+)?)/);
-    const strikePrice = match ? parseFloat(match[2]) : 0;
+    const strikePrice = parseStrikeFromTicker(m.ticker).strike ?? 0;
     const distance = Math.abs(strikePrice - currentBtcPrice);
     const closeTime = new Date(m.close_time).getTime();
     return { ...m, strikePrice, distance, closeTime };
@@ -117,56 +158,106 @@ export async function fetchCurrentKxbtcMarket(currentBtcPrice = null) {
 }
 
 /**
- * Fetch orderbook for a specific market ticker
+ * List settled markets of a series closing between two unix timestamps (seconds)
+ * Each carries `result` ("yes" / "no") and its close time
  */
-export async function fetchOrderBook({ ticker }) {
-  const path = `/trade-api/v2/markets/${ticker}/orderbook`;
-  const url = new URL(path, CONFIG.kalshi.baseUrl);
+export async function fetchSettledMarkets({ seriesTicker = CONFIG.kalshi.ticker, minCloseTs = null, maxCloseTs = null, maxPages } = {}) {
+  return await collect(iterateMarkets({ seriesTicker, status: "settled", minCloseTs, maxCloseTs, maxPages }));
+}
 
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Kalshi orderbook error: ${res.status} ${await res.text()}`);
-  }
+/**
+ * Price history of one market: candles of `periodInterval` minutes (1, 60 or 1440)
+ * between two unix timestamps (seconds), each with yes_bid / yes_ask / price OHLC in cents
+ */
+export async function fetchMarketCandlesticks({ seriesTicker = CONFIG.kalshi.ticker, ticker, startTs, endTs, periodInterval = 1 }) {
+  const data = await getKalshiClient().get(`/trade-api/v2/series/${seriesTicker}/markets/${ticker}/candlesticks`, {
+    query: { start_ts: startTs, end_ts: endTs, period_interval: periodInterval }
+  });
+  return Array.isArray(data.candlesticks) ? data.candlesticks : [];
+}
 
-  const data = await res.json();
-  return data.orderbook || { yes: [], no: [] };
+/**
+ * Get the current active KXBTCD hourly market closest to current BTC price
+ * KXBTCD markets have multiple strikes - we pick the one nearest to current price
+ */
+export async function fetchCurrentKxbtcMarket(currentBtcPrice = null, { seriesTicker } = {}) {
+  const markets = await fetchOpenKxbtcMarkets({ seriesTicker });
+  return selectCurrentKxbtcMarket(markets, currentBtcPrice);
 }
 
 /**
- * Summarize orderbook to get best bid/ask and liquidity
+ * Build the strike ladder for one event: every "above K" market with its quotes
+ * Quotes come from the WS book when the stream has it, otherwise from the listing
  */
-export function summarizeOrderBook(book, depthLevels = 5) {
-  const yesBids = Array.isArray(book?.yes) ? book.yes : [];
-  const noBids = Array.isArray(book?.no) ? book.no : [];
+export function buildStrikeLadder(markets, { eventTicker, stream = null } = {}) {
+  const strikes = [];
+
+  for (const m of Array.isArray(markets) ? markets : []) {
+    if (m.event_ticker !== eventTicker) continue;
+
+    const parsed = parseStrikeFromTicker(m.ticker);
+    const isAbove = m.strike_type ? m.strike_type === "greater" : parsed.kind === "T";
+    if (!isAbove) continue;
+
+    const strike = toNumber(m.floor_strike) ?? parsed.strike;
+    if (strike === null) continue;
+
+    const streamedBook = stream?.getBook(m.ticker) ?? null;
+    let yesBid = toNumber(m.yes_bid);
+    let yesAsk = toNumber(m.yes_ask);
+    if (streamedBook) {
+      const model = buildOrderBook(streamedBook);
+      yesBid = model.yes.bestBid;
+      yesAsk = model.yes.bestAsk;
+    }
 
-  // For Kalshi, yes bids are the "up" side, no bids are the "down" side
-  const bestYesBid = yesBids.length > 0 ? toNumber(yesBids[0][0]) : null; // [price, size]
-  const bestNoBid = noBids.length > 0 ? toNumber(noBids[0][0]) : null;
+    // The listing reports 0 / 100 for an empty side
+    if (yesBid !== null && yesBid <= 0) yesBid = null;
+    if (yesAsk !== null && yesAsk >= 100) yesAsk = null;
+
+    strikes.push({
+      ticker: m.ticker,
+      strike,
+      yesBid,
+      yesAsk,
+      noBid: yesAsk !== null ? 100 - yesAsk : null,
+      noAsk: yesBid !== null ? 100 - yesBid : null,
+      volume: toNumber(m.volume),
+      openInterest: toNumber(m.open_interest)
+    });
+  }
 
-  const bestYesAsk = yesBids.length > 1 ? toNumber(yesBids[1][0]) : null;
-  const bestNoAsk = noBids.length > 1 ? toNumber(noBids[1][0]) : null;
+  strikes.sort((a, b) => a.strike - b.strike);
+  return strikes;
+}
 
-  const yesSpread = bestYesBid !== null && bestYesAsk !== null ? bestYesAsk - bestYesBid : null;
-  const noSpread = bestNoBid !== null && bestNoAsk !== null ? bestNoAsk - bestNoBid : null;
+/**
+ * Fetch orderbook for a specific market ticker
+ */
+export async function fetchOrderBook({ ticker }) {
+  const data = await getKalshiClient().get(`/trade-api/v2/markets/${ticker}/orderbook`);
+  recordMarketData("kalshi.orderbook", data, { params: { ticker } });
+  return data.orderbook || { yes: [], no: [] };
+}
 
-  const yesLiquidity = yesBids.slice(0, depthLevels).reduce((acc, x) => acc + (toNumber(x[1]) ?? 0), 0);
-  const noLiquidity = noBids.slice(0, depthLevels).reduce((acc, x) => acc + (toNumber(x[1]) ?? 0), 0);
+/**
+ * Summarize orderbook to get best bid/ask and liquidity
+ * Asks are derived from the opposite side's bids (see buildOrderBook)
+ */
+export function summarizeOrderBook(book, depthLevels = 5) {
+  const model = buildOrderBook(book);
+
+  const summarizeSide = (ladder) => ({
+    bestBid: ladder.bestBid,
+    bestAsk: ladder.bestAsk,
+    spread: ladder.spread,
+    bidLiquidity: ladder.bids.slice(0, depthLevels).reduce((acc, l) => acc + l.qty, 0),
+    askLiquidity: ladder.asks.slice(0, depthLevels).reduce((acc, l) => acc + l.qty, 0)
+  });
 
   return {
-    yes: {
-      bestBid: bestYesBid,
-      bestAsk: bestYesAsk,
-      spread: yesSpread,
-      bidLiquidity: yesLiquidity,
-      askLiquidity: yesLiquidity
-    },
-    no: {
-      bestBid: bestNoBid,
-      bestAsk: bestNoAsk,
-      spread: noSpread,
-      bidLiquidity: noLiquidity,
-      askLiquidity: noLiquidity
-    }
+    yes: summarizeSide(model.yes),
+    no: summarizeSide(model.no)
   };
 }
 
@@ -175,87 +266,181 @@ export function summarizeOrderBook(book, depthLevels = 5) {
  * Side: "yes" or "no"
  * Action: "buy" or "sell"
  */
-export async function placeOrder({ ticker, side, action, count, price, type = "limit" }) {
-  const path = `/trade-api/v2/portfolio/orders`;
-  const url = new URL(path, CONFIG.kalshi.baseUrl);
-
+export async function placeOrder({ ticker, side, action, count, price, type = "limit", clientOrderId = null, expirationTs = null }) {
   const orderPayload = {
     ticker,
     side,
     action,
     count,
     type,
-    ...(type === "limit" && { yes_price: price })
+    // Kalshi rejects a second order with the same client_order_id, so retries are idempotent
+    ...(clientOrderId && { client_order_id: clientOrderId }),
+    // Unix seconds; the exchange cancels whatever is still resting then
+    ...(expirationTs && { expiration_ts: expirationTs }),
+    // Limit prices are quoted on the side being traded
+    ...(type === "limit" && (side === "no" ? { no_price: price } : { yes_price: price }))
   };
 
-  const body = JSON.stringify(orderPayload);
-  const headers = generateKalshiAuthHeaders('POST', path, body);
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers,
-    body
+  return await getKalshiClient().post(`/trade-api/v2/portfolio/orders`, orderPayload, {
+    auth: true,
+    idempotent: Boolean(clientOrderId)
   });
-
-  if (!res.ok) {
-    throw new Error(`Kalshi order error: ${res.status} ${await res.text()}`);
-  }
-
-  return await res.json();
 }
 
 /**
  * Get portfolio positions (for tracking open positions)
  */
 export async function fetchPortfolio() {
-  const path = `/trade-api/v2/portfolio/positions`;
-  const url = new URL(path, CONFIG.kalshi.baseUrl);
+  return await getKalshiClient().get(`/trade-api/v2/portfolio/positions`, { auth: true });
+}
 
-  const headers = generateKalshiAuthHeaders('GET', path);
+/**
+ * Get account balance in cents
+ */
+export async function fetchBalance() {
+  const data = await getKalshiClient().get(`/trade-api/v2/portfolio/balance`, { auth: true });
+  return toNumber(data.balance);
+}
 
-  const res = await fetch(url, { headers });
-  if (!res.ok) {
-    throw new Error(`Kalshi portfolio error: ${res.status} ${await res.text()}`);
-  }
+/**
+ * List open market positions: { ticker, position (> 0 YES, < 0 NO), market_exposure (cents) }
+ */
+export async function fetchPositions({ maxPages } = {}) {
+  return (await collect(iteratePositions({ maxPages }))).filter((p) => toNumber(p.position));
+}
+
+/**
+ * List settlements, optionally since a unix timestamp (seconds)
+ */
+export async function fetchSettlements({ minTs = null, maxPages } = {}) {
+  return await collect(iterateSettlements({ minTs, maxPages }));
+}
+
+/**
+ * Get a single order by exchange order id
+ */
+export async function fetchOrder(orderId) {
+  const data = await getKalshiClient().get(`/trade-api/v2/portfolio/orders/${orderId}`, { auth: true });
+  return data.order || null;
+}
+
+/**
+ * List orders, optionally filtered by ticker / status ("resting", "canceled", "executed")
+ */
+export async function fetchOrders({ ticker = null, status = null, maxPages } = {}) {
+  return await collect(iterateOrders({ ticker, status, maxPages }));
+}
+
+/**
+ * Cancel a resting order (Kalshi reduces it to zero and returns the final order)
+ */
+export async function cancelOrder(orderId) {
+  const data = await getKalshiClient().delete(`/trade-api/v2/portfolio/orders/${orderId}`, { auth: true });
+  return data.order || null;
+}
+
+/**
+ * Shrink a resting order: reduceBy contracts, or down to reduceTo
+ */
+export async function decreaseOrder(orderId, { reduceBy = null, reduceTo = null }) {
+  const body = reduceTo !== null ? { reduce_to: reduceTo } : { reduce_by: reduceBy };
+  // reduce_to is absolute, so it is safe to repeat; reduce_by is not
+  const data = await getKalshiClient().post(`/trade-api/v2/portfolio/orders/${orderId}/decrease`, body, {
+    auth: true,
+    idempotent: reduceTo !== null
+  });
+  return data.order || null;
+}
 
-  return await res.json();
+/**
+ * Amend price and/or size of a resting order
+ * Kalshi needs the full order identity plus a fresh client id for the amended order
+ */
+export async function amendOrder(orderId, { ticker, side, action, count, price, clientOrderId, updatedClientOrderId }) {
+  const body = {
+    ticker,
+    side,
+    action,
+    count,
+    client_order_id: clientOrderId,
+    updated_client_order_id: updatedClientOrderId,
+    ...(side === "no" ? { no_price: price } : { yes_price: price })
+  };
+  const data = await getKalshiClient().post(`/trade-api/v2/portfolio/orders/${orderId}/amend`, body, {
+    auth: true,
+    idempotent: true
+  });
+  return data.order || null;
+}
+
+/**
+ * List fills, optionally since a unix timestamp (seconds)
+ */
+export async function fetchFills({ ticker = null, orderId = null, minTs = null, maxPages } = {}) {
+  return await collect(iterateFills({ ticker, orderId, minTs, maxPages }));
 }
 
 /**
  * Fetch current market snapshot with prices and orderbook
  * Pass current BTC price to select the optimal strike
+ * Pass a Kalshi WS stream to read the book locally instead of REST-polling it
+ * seriesTicker picks another hourly series (e.g. KXETHD); defaults to CONFIG.kalshi.ticker
  */
-export async function fetchKalshiSnapshot(currentBtcPrice = null) {
+export async function fetchKalshiSnapshot(currentBtcPrice = null, { stream = null, seriesTicker } = {}) {
   try {
-    const market = await fetchCurrentKxbtcMarket(currentBtcPrice);
+    const markets = await fetchOpenKxbtcMarkets({ seriesTicker });
+    const market = selectCurrentKxbtcMarket(markets, currentBtcPrice);
 
     if (!market) {
       return { ok: false, reason: "market_not_found" };
     }
 
     const ticker = market.ticker;
-    const orderbook = await fetchOrderBook({ ticker });
+    stream?.track(ticker, { closeTime: market.close_time });
+    const streamed = stream?.getLast(ticker) ?? null;
+    // Books read off the stream are recorded as used, in the REST response shape
+    if (streamed?.orderbook) recordMarketData("kalshi.orderbook", { orderbook: streamed.orderbook }, { params: { ticker, via: "ws" } });
+    const orderbook = streamed?.orderbook ?? await fetchOrderBook({ ticker });
+    const book = buildOrderBook(orderbook);
     const summary = summarizeOrderBook(orderbook);
 
-    // Kalshi prices are in cents (0-100)
-    const yesPrice = market.yes_bid ? toNumber(market.yes_bid) / 100 : null;
-    const noPrice = market.no_bid ? toNumber(market.no_bid) / 100 : null;
+    // Kalshi prices are in cents (0-100). Executable price = what it costs to buy now,
+    // i.e. the derived ask; fall back to the listing's quotes if that side of the book is empty.
+    // The listing reports 0 / 100 for an empty side, which is no quote at all
+    const listingAsk = (x) => (toNumber(x) !== null && toNumber(x) < 100 ? toNumber(x) : null);
+    const listingBid = (x) => (toNumber(x) !== null && toNumber(x) > 0 ? toNumber(x) : null);
+    const yesAsk = book.yes.bestAsk ?? listingAsk(market.yes_ask);
+    const noAsk = book.no.bestAsk ?? listingAsk(market.no_ask);
+    const yesBid = book.yes.bestBid ?? listingBid(market.yes_bid);
+    const noBid = book.no.bestBid ?? listingBid(market.no_bid);
+    const toProb = (cents) => (cents ? cents / 100 : null);
 
     return {
       ok: true,
       market,
       ticker,
-      strikePrice: market.strikePrice || null,
+      source: streamed?.orderbook ? "ws" : "rest",
+      strikePrice: toNumber(market.floor_strike) ?? parseStrikeFromTicker(ticker).strike,
       prices: {
-        up: yesPrice,  // YES = UP (will be >= strike)
-        down: noPrice  // NO = DOWN (will be < strike)
+        up: toProb(yesAsk),  // Cost to buy YES = UP (will be >= strike)
+        down: toProb(noAsk)  // Cost to buy NO = DOWN (will be < strike)
+      },
+      bids: {
+        up: toProb(yesBid),
+        down: toProb(noBid)
       },
       orderbook: {
         up: summary.yes,
         down: summary.no
+      },
+      book,
+      ladder: {
+        eventTicker: market.event_ticker ?? null,
+        closeTime: market.close_time ?? null,
+        strikes: buildStrikeLadder(markets, { eventTicker: market.event_ticker, stream })
       }
     };
   } catch (err) {
-    return { ok: false, reason: "fetch_error", error: err.message };
+    return { ok: false, reason: "fetch_error", error: err.message, errorType: err.name };
   }
 }
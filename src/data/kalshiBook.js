@@ -0,0 +1,107 @@
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseLevels(levels) {
+  const out = [];
+  for (const level of Array.isArray(levels) ? levels : []) {
+    const price = toNumber(level?.[0]);
+    const qty = toNumber(level?.[1]);
+    if (price === null || qty === null || qty <= 0) continue;
+    out.push({ price, qty });
+  }
+  return out;
+}
+
+function buildLadder(ownBids, oppositeBids) {
+  // Best bid first
+  const bids = [...ownBids].sort((a, b) => b.price - a.price);
+  // A resting bid on the other side at p is an offer on this side at 100 - p; cheapest first
+  const asks = oppositeBids
+    .map((l) => ({ price: 100 - l.price, qty: l.qty }))
+    .sort((a, b) => a.price - b.price);
+
+  const bestBid = bids.length ? bids[0].price : null;
+  const bestAsk = asks.length ? asks[0].price : null;
+
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+    mid: bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null
+  };
+}
+
+/**
+ * Build the full YES and NO ladders from a raw Kalshi orderbook
+ *
+ * Kalshi books only hold bids: `yes` is [[price, qty]] of YES bids and `no` of NO bids
+ * (cents, 1-99). Buying YES means lifting a NO bid, so the YES ask is 100 - best NO bid
+ * and vice versa.
+ */
+export function buildOrderBook(raw) {
+  const yesBids = parseLevels(raw?.yes);
+  const noBids = parseLevels(raw?.no);
+
+  return {
+    yes: buildLadder(yesBids, noBids),
+    no: buildLadder(noBids, yesBids)
+  };
+}
+
+/**
+ * Walk one side of the book to estimate what `count` contracts cost
+ * action "buy" lifts asks, "sell" hits bids. Prices are in cents.
+ * Slippage is measured against the touch (best ask for buys, best bid for sells)
+ */
+export function estimateFillCost(book, { side, action = "buy", count }) {
+  const ladder = side === "no" ? book?.no : book?.yes;
+  const levels = action === "sell" ? ladder?.bids ?? [] : ladder?.asks ?? [];
+  const touch = levels.length ? levels[0].price : null;
+
+  let remaining = Math.max(0, Math.floor(count ?? 0));
+  let filled = 0;
+  let totalCost = 0;
+  let worstPrice = null;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, level.qty);
+    filled += take;
+    totalCost += take * level.price;
+    worstPrice = level.price;
+    remaining -= take;
+  }
+
+  const avgPrice = filled > 0 ? totalCost / filled : null;
+  const slippage = avgPrice !== null && touch !== null
+    ? (action === "sell" ? touch - avgPrice : avgPrice - touch)
+    : null;
+
+  return {
+    side,
+    action,
+    requested: Math.max(0, Math.floor(count ?? 0)),
+    filled,
+    complete: remaining === 0,
+    avgPrice,
+    worstPrice,
+    totalCost,
+    touch,
+    slippage
+  };
+}
+
+/**
+ * Contracts available on one side up to (and including) a limit price
+ */
+export function depthWithinPrice(book, { side, action = "buy", limitPrice }) {
+  const ladder = side === "no" ? book?.no : book?.yes;
+  if (action === "sell") {
+    return (ladder?.bids ?? []).filter((l) => l.price >= limitPrice).reduce((acc, l) => acc + l.qty, 0);
+  }
+  return (ladder?.asks ?? []).filter((l) => l.price <= limitPrice).reduce((acc, l) => acc + l.qty, 0);
+}
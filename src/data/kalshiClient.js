@@ -0,0 +1,342 @@
+import crypto from "node:crypto";
+import { CONFIG } from "../config.js";
+import { sleep } from "../utils.js";
+
+/**
+ * Base class for every Kalshi API failure
+ * status is the HTTP status (null for network failures / timeouts), code the
+ * exchange's error code when it sent one
+ */
+export class KalshiError extends Error {
+  constructor(message, { status = null, code = null, body = null, retryable = false, method = null, path = null } = {}) {
+    super(message);
+    this.name = "KalshiError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryable = retryable;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+export class RateLimitedError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, retryable: true });
+    this.name = "RateLimitedError";
+    this.retryAfterMs = opts.retryAfterMs ?? null;
+  }
+}
+
+export class InsufficientBalanceError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.name = "InsufficientBalanceError";
+  }
+}
+
+export class MarketClosedError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.name = "MarketClosedError";
+  }
+}
+
+export class DuplicateOrderError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.name = "DuplicateOrderError";
+  }
+}
+
+export class AuthError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.name = "AuthError";
+  }
+}
+
+export class NotFoundError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.name = "NotFoundError";
+  }
+}
+
+export class ServerError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, retryable: true });
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * Timeout or connection failure: the request may or may not have reached the exchange
+ */
+export class NetworkError extends KalshiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, retryable: true });
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * Generate authentication headers for Kalshi API
+ * Requires API key and private key for RSA-PSS signature
+ */
+export function generateKalshiAuthHeaders(method, path, body = null, { apiKey = CONFIG.kalshi.apiKey, privateKey = CONFIG.kalshi.privateKey } = {}) {
+  const timestamp = Date.now().toString();
+
+  // Create signature payload (timestamp + method + path ONLY - no body!)
+  const messageToSign = timestamp + method + path;
+
+  if (!privateKey) {
+    throw new Error("Kalshi private key not configured");
+  }
+
+  try {
+    // Sign with RSA-PSS (Kalshi requirement)
+    const sign = crypto.createSign('RSA-SHA256');
+    sign.update(messageToSign);
+    const signature = sign.sign({
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    }, 'base64');
+
+    return {
+      'KALSHI-ACCESS-KEY': apiKey,
+      'KALSHI-ACCESS-SIGNATURE': signature,
+      'KALSHI-ACCESS-TIMESTAMP': timestamp,
+      'Content-Type': 'application/json'
+    };
+  } catch (err) {
+    console.error('Failed to generate Kalshi auth headers:', err.message);
+    throw err;
+  }
+}
+
+// Requests per second by API tier (reads / writes are limited separately)
+export const KALSHI_RATE_TIERS = {
+  basic: { read: 20, write: 10 },
+  advanced: { read: 30, write: 30 },
+  premier: { read: 100, write: 100 },
+  prime: { read: 400, write: 400 }
+};
+
+/**
+ * Token bucket: `ratePerSec` tokens refill continuously up to `capacity`
+ */
+export class TokenBucket {
+  constructor({ ratePerSec, capacity = ratePerSec }) {
+    this.ratePerSec = ratePerSec;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSec);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Wait for a token; callers are served in order
+   */
+  take() {
+    const next = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSec) * 1000));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Empty the bucket, e.g. after the exchange answered 429
+   */
+  drain() {
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+  }
+}
+
+function parseErrorBody(text) {
+  try {
+    const data = JSON.parse(text);
+    const err = data?.error ?? data;
+    return { code: err?.code ?? null, message: err?.message ?? err?.details ?? text };
+  } catch {
+    return { code: null, message: text };
+  }
+}
+
+function retryAfterMs(res) {
+  const raw = res.headers?.get?.("retry-after");
+  if (!raw) return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Map an HTTP failure to a typed error
+ */
+export function classifyKalshiError({ status, text, method, path, retryAfter = null }) {
+  const { code, message } = parseErrorBody(text);
+  const opts = { status, code, body: text, method, path };
+  const label = `Kalshi ${method} ${path} failed: ${status} ${message}`;
+  const c = String(code ?? "").toLowerCase();
+  const m = String(message ?? "").toLowerCase();
+
+  if (status === 429) return new RateLimitedError(label, { ...opts, retryAfterMs: retryAfter });
+  if (c.includes("insufficient_balance") || m.includes("insufficient balance")) return new InsufficientBalanceError(label, opts);
+  if (c.includes("market_closed") || c.includes("market_not_active") || c.includes("trading_is_paused") || m.includes("market is closed")) {
+    return new MarketClosedError(label, opts);
+  }
+  if (c.includes("order_already_exists") || c.includes("duplicate")) return new DuplicateOrderError(label, opts);
+  if (status === 401 || status === 403) return new AuthError(label, opts);
+  if (status === 404) return new NotFoundError(label, opts);
+  if (status >= 500) return new ServerError(label, opts);
+  return new KalshiError(label, opts);
+}
+
+/**
+ * Shared Kalshi REST client
+ *
+ * Signs every authenticated request, rate-limits reads and writes with separate token
+ * buckets sized to the account tier, and retries retryable failures (429, 5xx, timeouts)
+ * with exponential backoff and full jitter. Only requests marked `idempotent` are retried:
+ * GETs and DELETEs by default, POSTs when the caller says so (e.g. orders carrying a
+ * client_order_id).
+ */
+export class KalshiClient {
+  constructor({
+    baseUrl = CONFIG.kalshi.baseUrl,
+    apiKey = CONFIG.kalshi.apiKey,
+    privateKey = CONFIG.kalshi.privateKey,
+    tier = CONFIG.kalshi.rateTier,
+    timeoutMs = CONFIG.kalshi.requestTimeoutMs,
+    maxRetries = CONFIG.kalshi.maxRetries,
+    backoffBaseMs = 250,
+    backoffMaxMs = 8000
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.privateKey = privateKey;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.backoffBaseMs = backoffBaseMs;
+    this.backoffMaxMs = backoffMaxMs;
+
+    const limits = KALSHI_RATE_TIERS[tier] ?? KALSHI_RATE_TIERS.basic;
+    this.readBucket = new TokenBucket({ ratePerSec: limits.read });
+    this.writeBucket = new TokenBucket({ ratePerSec: limits.write });
+
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, errors: 0 };
+  }
+
+  backoffMs(attempt, hintMs = null) {
+    const cap = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** attempt);
+    const jittered = Math.random() * cap;
+    return hintMs !== null ? Math.max(hintMs, jittered) : jittered;
+  }
+
+  async request(method, path, { query = null, body = null, auth = false, idempotent = method === "GET" || method === "DELETE" } = {}) {
+    const url = new URL(path, this.baseUrl);
+    for (const [k, v] of Object.entries(query ?? {})) {
+      if (v !== null && v !== undefined) url.searchParams.set(k, String(v));
+    }
+    const payload = body === null ? null : JSON.stringify(body);
+    const bucket = method === "GET" ? this.readBucket : this.writeBucket;
+
+    for (let attempt = 0; ; attempt += 1) {
+      await bucket.take();
+      this.stats.requests += 1;
+
+      let err;
+      try {
+        // Signature covers the path only, never the query string; re-signed per attempt
+        const headers = auth
+          ? generateKalshiAuthHeaders(method, url.pathname, payload, { apiKey: this.apiKey, privateKey: this.privateKey })
+          : (payload !== null ? { 'Content-Type': 'application/json' } : {});
+
+        const res = await fetch(url, {
+          method,
+          headers,
+          body: payload ?? undefined,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (res.ok) {
+          const text = await res.text();
+          return text ? JSON.parse(text) : {};
+        }
+
+        err = classifyKalshiError({ status: res.status, text: await res.text(), method, path: url.pathname, retryAfter: retryAfterMs(res) });
+        if (err instanceof RateLimitedError) {
+          this.stats.rateLimited += 1;
+          bucket.drain();
+        }
+      } catch (e) {
+        if (e instanceof KalshiError) throw e;
+        if (e?.message === "Kalshi private key not configured") throw new AuthError(e.message, { method, path: url.pathname });
+        const reason = e?.name === "TimeoutError" ? `timed out after ${this.timeoutMs}ms` : e?.message ?? String(e);
+        err = new NetworkError(`Kalshi ${method} ${url.pathname} failed: ${reason}`, { method, path: url.pathname });
+      }
+
+      if (!err.retryable || !idempotent || attempt >= this.maxRetries) {
+        this.stats.errors += 1;
+        throw err;
+      }
+
+      this.stats.retries += 1;
+      await sleep(this.backoffMs(attempt, err.retryAfterMs ?? null));
+    }
+  }
+
+  get(path, opts = {}) {
+    return this.request("GET", path, opts);
+  }
+
+  /**
+   * Walk a cursor-paginated list endpoint, yielding items one at a time
+   * `itemsKey` is the array field in each page (e.g. "markets", "fills"); stops when the
+   * exchange returns an empty cursor or after `maxPages` pages
+   */
+  async *paginate(path, { itemsKey, query = {}, auth = false, pageSize = 100, maxPages = CONFIG.kalshi.maxPages } = {}) {
+    let cursor = null;
+    for (let page = 0; page < maxPages; page += 1) {
+      const data = await this.get(path, { auth, query: { ...query, limit: pageSize, cursor } });
+      const items = Array.isArray(data?.[itemsKey]) ? data[itemsKey] : [];
+      for (const item of items) yield item;
+      cursor = data?.cursor || null;
+      if (!cursor || items.length === 0) return;
+    }
+  }
+
+  post(path, body, opts = {}) {
+    return this.request("POST", path, { ...opts, body });
+  }
+
+  delete(path, opts = {}) {
+    return this.request("DELETE", path, opts);
+  }
+}
+
+let defaultClient = null;
+
+/**
+ * Process-wide client built from CONFIG (shares one set of rate-limit buckets)
+ */
+export function getKalshiClient() {
+  if (!defaultClient) defaultClient = new KalshiClient();
+  return defaultClient;
+}
@@ -0,0 +1,373 @@
+import WebSocket from "ws";
+import { CONFIG } from "../config.js";
+import { wsAgentForUrl } from "../net/proxy.js";
+import { generateKalshiAuthHeaders } from "./kalshi.js";
+import { recordMarketData } from "./recorder.js";
+
+function safeJsonParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function levelsToMap(levels) {
+  const map = new Map();
+  for (const level of Array.isArray(levels) ? levels : []) {
+    const price = toNumber(level?.[0]);
+    const qty = toNumber(level?.[1]);
+    if (price === null || qty === null || qty <= 0) continue;
+    map.set(price, qty);
+  }
+  return map;
+}
+
+// Same shape as the REST orderbook: [[price, qty], ...] sorted ascending by price
+function mapToLevels(map) {
+  return Array.from(map.entries()).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Path the WS handshake is signed against (Kalshi signs the URL path, not the host)
+ */
+function wsSignPath(wsUrl) {
+  try {
+    return new URL(wsUrl).pathname;
+  } catch {
+    return "/trade-api/ws/v2";
+  }
+}
+
+// Hourly markets share their event's close, so one close time covers every strike
+function eventOf(ticker) {
+  const i = ticker.lastIndexOf("-");
+  return i > 0 ? ticker.slice(0, i) : ticker;
+}
+
+/**
+ * Start Kalshi WebSocket market-data stream
+ * Subscribes to orderbook_delta, ticker and trade for the given market tickers
+ * and keeps a local order book per ticker (snapshot + deltas, resync on seq gaps)
+ * Tickers whose event has closed are unsubscribed and dropped the next time track() runs
+ */
+export function startKalshiMarketStream({
+  wsUrl = CONFIG.kalshi.wsUrl,
+  tickers = [],
+  channels = ["orderbook_delta", "ticker", "trade"],
+  onUpdate
+} = {}) {
+  let ws = null;
+  let closed = false;
+  let connected = false;
+  let reconnectMs = 500;
+  let nextId = 1;
+  let reconnectTimer = null;
+
+  const wanted = new Set(tickers);
+  // event ticker -> close time (ms), as passed to track()
+  const closesAt = new Map();
+
+  // ticker -> { yes: Map, no: Map, synced, updatedAt }
+  const books = new Map();
+  // ticker -> last ticker channel message
+  const tickerInfo = new Map();
+  // ticker -> last trade
+  const lastTrades = new Map();
+
+  // sid -> { channel, tickers, lastSeq }
+  const subscriptions = new Map();
+  // command id -> { channel, tickers }
+  const pending = new Map();
+
+  let resyncCount = 0;
+
+  const send = (obj) => {
+    try {
+      ws?.send(JSON.stringify(obj));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const emit = (type, ticker) => {
+    if (typeof onUpdate === "function") {
+      onUpdate({ type, ticker });
+    }
+  };
+
+  const subscribe = (channel, marketTickers) => {
+    if (!connected || marketTickers.length === 0) return;
+    const id = nextId++;
+    pending.set(id, { channel, tickers: marketTickers });
+    send({ id, cmd: "subscribe", params: { channels: [channel], market_tickers: marketTickers } });
+  };
+
+  const subscribeAll = (marketTickers) => {
+    for (const channel of channels) subscribe(channel, marketTickers);
+  };
+
+  const hasClosed = (ticker, now) => (closesAt.get(eventOf(ticker)) ?? Infinity) <= now;
+
+  // Forget tickers whose market has closed: unsubscribe every sid that carries one and
+  // resubscribe whatever else that sid was feeding
+  const prune = () => {
+    const now = Date.now();
+    const gone = Array.from(wanted).filter((t) => hasClosed(t, now));
+    for (const [event, closeMs] of closesAt) {
+      if (closeMs <= now - 86_400_000) closesAt.delete(event);
+    }
+    if (gone.length === 0) return;
+
+    for (const t of gone) {
+      wanted.delete(t);
+      books.delete(t);
+      tickerInfo.delete(t);
+      lastTrades.delete(t);
+    }
+    const sids = [];
+    for (const [sid, sub] of subscriptions) {
+      const keep = sub.tickers.filter((t) => wanted.has(t));
+      if (keep.length === sub.tickers.length) continue;
+      sids.push(sid);
+      subscriptions.delete(sid);
+      if (sub.channel === "orderbook_delta") {
+        for (const t of keep) {
+          const book = books.get(t);
+          if (book) book.synced = false;
+        }
+      }
+      if (sub.channel && keep.length > 0) subscribe(sub.channel, keep);
+    }
+    if (sids.length > 0) send({ id: nextId++, cmd: "unsubscribe", params: { sids } });
+  };
+
+  // Drop every orderbook subscription and start over from fresh snapshots,
+  // so no ticker ends up fed by two sids at once
+  const resync = () => {
+    resyncCount += 1;
+    const sids = [];
+    for (const [sid, sub] of subscriptions) {
+      if (sub.channel !== "orderbook_delta") continue;
+      sids.push(sid);
+      subscriptions.delete(sid);
+    }
+    for (const book of books.values()) book.synced = false;
+    if (sids.length > 0) send({ id: nextId++, cmd: "unsubscribe", params: { sids } });
+    subscribe("orderbook_delta", Array.from(wanted));
+  };
+
+  const handleSnapshot = (msg) => {
+    const ticker = msg.market_ticker;
+    if (!ticker) return;
+    books.set(ticker, {
+      yes: levelsToMap(msg.yes),
+      no: levelsToMap(msg.no),
+      synced: true,
+      updatedAt: Date.now()
+    });
+    emit("orderbook", ticker);
+  };
+
+  const handleDelta = (msg) => {
+    const ticker = msg.market_ticker;
+    const book = books.get(ticker);
+    if (!book || !book.synced) return;
+
+    const side = msg.side === "no" ? book.no : book.yes;
+    const price = toNumber(msg.price);
+    const delta = toNumber(msg.delta);
+    if (price === null || delta === null) return;
+
+    const qty = (side.get(price) ?? 0) + delta;
+    if (qty > 0) side.set(price, qty);
+    else side.delete(price);
+
+    book.updatedAt = Date.now();
+    emit("orderbook", ticker);
+  };
+
+  const handleTicker = (msg) => {
+    const ticker = msg.market_ticker;
+    if (!ticker) return;
+    tickerInfo.set(ticker, {
+      price: toNumber(msg.price),
+      yesBid: toNumber(msg.yes_bid),
+      yesAsk: toNumber(msg.yes_ask),
+      volume: toNumber(msg.volume),
+      openInterest: toNumber(msg.open_interest),
+      time: toNumber(msg.ts) ? toNumber(msg.ts) * 1000 : Date.now()
+    });
+    emit("ticker", ticker);
+  };
+
+  const handleTrade = (msg) => {
+    const ticker = msg.market_ticker;
+    if (!ticker) return;
+    lastTrades.set(ticker, {
+      yesPrice: toNumber(msg.yes_price),
+      noPrice: toNumber(msg.no_price),
+      count: toNumber(msg.count),
+      takerSide: msg.taker_side ?? null,
+      time: toNumber(msg.ts) ? toNumber(msg.ts) * 1000 : Date.now()
+    });
+    emit("trade", ticker);
+  };
+
+  const connect = () => {
+    if (closed) return;
+
+    let headers;
+    if (CONFIG.kalshi.privateKey) {
+      try {
+        headers = generateKalshiAuthHeaders("GET", wsSignPath(wsUrl));
+      } catch {
+        headers = undefined;
+      }
+    }
+
+    const socket = new WebSocket(wsUrl, {
+      handshakeTimeout: 10_000,
+      headers,
+      agent: wsAgentForUrl(wsUrl)
+    });
+    ws = socket;
+
+    // error is usually followed by close; only the first one for the live socket counts
+    const scheduleReconnect = () => {
+      if (closed || reconnectTimer || ws !== socket) return;
+      connected = false;
+      try {
+        ws?.terminate();
+      } catch {
+        // ignore
+      }
+      ws = null;
+      subscriptions.clear();
+      pending.clear();
+      for (const book of books.values()) book.synced = false;
+      const wait = reconnectMs;
+      reconnectMs = Math.min(10_000, Math.floor(reconnectMs * 1.5));
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, wait);
+    };
+
+    socket.on("open", () => {
+      connected = true;
+      reconnectMs = 500;
+      subscribeAll(Array.from(wanted));
+    });
+
+    socket.on("message", (buf) => {
+      const data = safeJsonParse(typeof buf === "string" ? buf : buf?.toString?.() ?? "");
+      if (!data) return;
+      recordMarketData("kalshi.ws", data);
+
+      const msg = data.msg ?? {};
+
+      if (data.type === "subscribed") {
+        const req = pending.get(data.id);
+        pending.delete(data.id);
+        if (toNumber(msg.sid) !== null) {
+          subscriptions.set(msg.sid, {
+            channel: msg.channel ?? req?.channel ?? null,
+            tickers: req?.tickers ?? [],
+            lastSeq: null
+          });
+        }
+        return;
+      }
+
+      if (data.type === "error") {
+        pending.delete(data.id);
+        console.error("[Kalshi WS] Error:", msg.msg ?? msg.code ?? "unknown");
+        return;
+      }
+
+      // Sequence numbers are per subscription; a gap means we missed a delta
+      if (data.type === "orderbook_snapshot" || data.type === "orderbook_delta") {
+        const sub = subscriptions.get(data.sid);
+        // Stragglers from a subscription we already dropped
+        if (!sub) return;
+        const seq = toNumber(data.seq);
+        if (seq !== null) {
+          if (data.type === "orderbook_delta" && sub.lastSeq !== null && seq !== sub.lastSeq + 1) {
+            resync();
+            return;
+          }
+          sub.lastSeq = seq;
+        }
+      }
+
+      if (data.type === "orderbook_snapshot") handleSnapshot(msg);
+      else if (data.type === "orderbook_delta") handleDelta(msg);
+      else if (data.type === "ticker") handleTicker(msg);
+      else if (data.type === "trade") handleTrade(msg);
+    });
+
+    socket.on("close", scheduleReconnect);
+    socket.on("error", scheduleReconnect);
+  };
+
+  connect();
+
+  function getBook(ticker) {
+    const book = books.get(ticker);
+    if (!book || !book.synced) return null;
+    return { yes: mapToLevels(book.yes), no: mapToLevels(book.no) };
+  }
+
+  return {
+    getLast(ticker) {
+      const book = books.get(ticker);
+      return {
+        ticker,
+        orderbook: getBook(ticker),
+        info: tickerInfo.get(ticker) ?? null,
+        trade: lastTrades.get(ticker) ?? null,
+        updatedAt: book?.updatedAt ?? null,
+        source: "kalshi_ws"
+      };
+    },
+    getBook,
+    /**
+     * Add tickers to the stream (e.g. when the hour rolls to a new event)
+     * closeTime (ISO or ms) is the market's close; once it passes the tickers are pruned
+     */
+    track(newTickers, { closeTime = null } = {}) {
+      const list = (Array.isArray(newTickers) ? newTickers : [newTickers]).filter(Boolean);
+      const closeMs = typeof closeTime === "number" ? closeTime : Date.parse(closeTime ?? "");
+      if (Number.isFinite(closeMs)) {
+        for (const t of list) closesAt.set(eventOf(t), closeMs);
+      }
+      prune();
+      const now = Date.now();
+      const added = list.filter((t) => !wanted.has(t) && !hasClosed(t, now));
+      if (added.length === 0) return;
+      for (const t of added) wanted.add(t);
+      subscribeAll(added);
+    },
+    isConnected: () => connected,
+    getStats: () => ({ resyncs: resyncCount, subscriptions: subscriptions.size, books: books.size }),
+    close() {
+      closed = true;
+      connected = false;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      try {
+        ws?.close();
+      } catch {
+        // ignore
+      }
+      ws = null;
+    }
+  };
+}
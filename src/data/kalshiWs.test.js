@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { startMockKalshiWsServer } from "../mock/kalshiWsServer.js";
+import { startKalshiMarketStream } from "./kalshiWs.js";
+
+const ticker = "KXBTCD-26OCT1915-T100000";
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll until `fn` is truthy, or fail after `ms`
+const until = async (fn, ms = 2000) => {
+  const end = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > end) throw new Error("timed out waiting");
+    await sleep(10);
+  }
+};
+
+const setup = async (books = {}) => {
+  const server = await startMockKalshiWsServer({ books });
+  const stream = startKalshiMarketStream({ wsUrl: server.url, channels: ["orderbook_delta"] });
+  await until(() => stream.isConnected());
+  return {
+    server,
+    stream,
+    close: async () => {
+      stream.close();
+      await server.close();
+    }
+  };
+};
+
+test("a snapshot and the deltas after it build the book", async () => {
+  const { server, stream, close } = await setup({ [ticker]: { yes: [[45, 100]], no: [[50, 20]] } });
+  try {
+    stream.track(ticker);
+    await until(() => stream.getBook(ticker));
+    assert.deepEqual(stream.getBook(ticker), { yes: [[45, 100]], no: [[50, 20]] });
+
+    server.applyDelta(ticker, { side: "yes", price: 46, delta: 10 });
+    server.applyDelta(ticker, { side: "no", price: 50, delta: -20 });
+    await until(() => stream.getBook(ticker).no.length === 0);
+    assert.deepEqual(stream.getBook(ticker), { yes: [[45, 100], [46, 10]], no: [] });
+  } finally {
+    await close();
+  }
+});
+
+test("a sequence gap drops the book and resyncs from a fresh snapshot", async () => {
+  const { server, stream, close } = await setup({ [ticker]: { yes: [[45, 100]], no: [[50, 20]] } });
+  try {
+    stream.track(ticker);
+    await until(() => stream.getBook(ticker));
+
+    server.applyDelta(ticker, { side: "yes", price: 44, delta: 5, skipSeq: true });
+    await until(() => stream.getStats().resyncs === 1 && stream.getBook(ticker));
+    assert.deepEqual(stream.getBook(ticker), server.getBook(ticker));
+  } finally {
+    await close();
+  }
+});
+
+test("tickers of a closed market are unsubscribed and dropped", async () => {
+  const next = "KXBTCD-26OCT1916-T100000";
+  const { stream, close } = await setup({ [ticker]: { yes: [[45, 100]] }, [next]: { yes: [[40, 10]] } });
+  try {
+    stream.track(ticker, { closeTime: Date.now() + 150 });
+    stream.track(next, { closeTime: Date.now() + 3_600_000 });
+    await until(() => stream.getBook(ticker) && stream.getBook(next));
+    assert.equal(stream.getStats().subscriptions, 2);
+
+    await sleep(200);
+    stream.track(next);
+    assert.equal(stream.getBook(ticker), null);
+    await until(() => stream.getStats().subscriptions === 1 && stream.getBook(next));
+
+    // Tracking a closed ticker again does nothing
+    stream.track(ticker);
+    await sleep(50);
+    assert.equal(stream.getStats().subscriptions, 1);
+    assert.equal(stream.getStats().books, 1);
+  } finally {
+    await close();
+  }
+});
+
+test("a dropped connection reconnects once and resubscribes", async () => {
+  const { server, stream, close } = await setup({ [ticker]: { yes: [[45, 100]] } });
+  try {
+    stream.track(ticker);
+    await until(() => stream.getBook(ticker));
+
+    server.dropClients();
+    await until(() => !stream.isConnected());
+    await until(() => stream.getBook(ticker));
+    await sleep(300);
+    assert.equal(server.getStats().connections, 2);
+    assert.equal(server.getStats().clients, 1);
+  } finally {
+    await close();
+  }
+});
+
+test("a failed handshake (error, then close) schedules one reconnect", async () => {
+  let attempts = 0;
+  const refuse = http.createServer();
+  refuse.on("upgrade", (req, socket) => {
+    attempts += 1;
+    socket.end("HTTP/1.1 500 Internal Server Error\r\n\r\n");
+  });
+  await new Promise((resolve) => refuse.listen(0, "127.0.0.1", resolve));
+  const stream = startKalshiMarketStream({ wsUrl: `ws://127.0.0.1:${refuse.address().port}/trade-api/ws/v2` });
+  try {
+    // Retries come 500ms, then 750ms, apart
+    await sleep(1000);
+    assert.equal(attempts, 2);
+  } finally {
+    stream.close();
+    await new Promise((resolve) => refuse.close(resolve));
+  }
+});
@@ -0,0 +1,155 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { pipeline } from "node:stream/promises";
+import { CONFIG } from "../config.js";
+import { ensureDir } from "../utils.js";
+
+// "2026-10-19T14" (UTC)
+const hourKey = (ms) => new Date(ms).toISOString().slice(0, 13);
+
+/**
+ * Raw market-data recorder: every input the loop reads, as received, one JSON line each
+ *
+ * Lines are { ts, source, params?, data }: `ts` is the receive time (ms), `source` what it
+ * came from (e.g. "coinbase.candles", "kalshi.orderbook", "kalshi.ws"), `params` the request
+ * that produced it and `data` the untouched response body or WS message. Files are per UTC
+ * hour, `dir`/YYYY-MM-DD/HH.jsonl; once the hour is over the file is gzipped to HH.jsonl.gz.
+ * Hours left uncompressed by an earlier run (crash, kill) are gzipped on startup.
+ */
+export function createMarketRecorder({ dir = CONFIG.recorder.dir, compress = CONFIG.recorder.compress } = {}) {
+  let fd = null;
+  let currentKey = null;
+  let currentPath = null;
+  let records = 0;
+  let bytes = 0;
+  let errors = 0;
+  let lastError = null;
+  const compressing = new Set();
+
+  const fileFor = (key) => path.join(dir, key.slice(0, 10), `${key.slice(11, 13)}.jsonl`);
+
+  function compressFile(filePath) {
+    const gzPath = `${filePath}.gz`;
+    const tmpPath = `${gzPath}.tmp`;
+    const job = pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmpPath))
+      .then(() => {
+        fs.renameSync(tmpPath, gzPath);
+        fs.rmSync(filePath, { force: true });
+      })
+      .catch((err) => {
+        errors += 1;
+        lastError = err.message;
+        console.error(`[Recorder] Could not compress ${filePath}:`, err.message);
+        fs.rmSync(tmpPath, { force: true });
+      })
+      .finally(() => compressing.delete(job));
+    compressing.add(job);
+    return job;
+  }
+
+  function rotate(now) {
+    const key = hourKey(now);
+    if (key === currentKey) return;
+    if (fd !== null) {
+      fs.closeSync(fd);
+      if (compress) compressFile(currentPath);
+    }
+    currentKey = key;
+    currentPath = fileFor(key);
+    ensureDir(path.dirname(currentPath));
+    fd = fs.openSync(currentPath, "a");
+  }
+
+  if (compress) {
+    let days = [];
+    try {
+      days = fs.readdirSync(dir);
+    } catch {
+      // nothing recorded yet
+    }
+    const current = fileFor(hourKey(Date.now()));
+    for (const day of days) {
+      let files = [];
+      try {
+        files = fs.readdirSync(path.join(dir, day));
+      } catch {
+        continue;
+      }
+      for (const f of files) {
+        const filePath = path.join(dir, day, f);
+        if (f.endsWith(".jsonl") && filePath !== current) compressFile(filePath);
+      }
+    }
+  }
+
+  /**
+   * Append one record; receivedAt defaults to now. Write errors are counted, never thrown
+   */
+  function record(source, data, { params = null, receivedAt = Date.now() } = {}) {
+    try {
+      rotate(receivedAt);
+      const line = `${JSON.stringify(params ? { ts: receivedAt, source, params, data } : { ts: receivedAt, source, data })}\n`;
+      fs.writeSync(fd, line);
+      records += 1;
+      bytes += Buffer.byteLength(line);
+    } catch (err) {
+      errors += 1;
+      lastError = err.message;
+    }
+  }
+
+  /**
+   * Close (and gzip) the current hour and wait for pending compressions
+   */
+  async function close() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+      if (compress) compressFile(currentPath);
+      currentKey = null;
+    }
+    await Promise.all([...compressing]);
+  }
+
+  return {
+    record,
+    close,
+    getStatus: () => ({ dir, file: currentPath, records, bytes, errors, lastError })
+  };
+}
+
+/**
+ * Read one recording file (.jsonl or .jsonl.gz) into its records, oldest first
+ * A torn last line (the recorder was killed mid-write) is skipped
+ */
+export function readMarketRecording(filePath) {
+  const raw = fs.readFileSync(filePath);
+  const text = filePath.endsWith(".gz") ? zlib.gunzipSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString("utf8") : raw.toString("utf8");
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // torn line
+    }
+  }
+  return out;
+}
+
+let activeRecorder = null;
+
+/**
+ * Make `recorder` the process-wide one the data modules write to (null turns recording off)
+ */
+export function setMarketRecorder(recorder) {
+  activeRecorder = recorder;
+}
+
+/**
+ * Called by the data modules for everything they receive; a no-op unless a recorder is set
+ */
+export function recordMarketData(source, data, options) {
+  if (activeRecorder) activeRecorder.record(source, data, options);
+}
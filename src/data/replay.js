@@ -0,0 +1,196 @@
+import fs from "node:fs";
+import path from "node:path";
+import { EXCHANGE_ADAPTERS } from "./exchanges/index.js";
+import { tickFromMessage } from "./coinbaseWs.js";
+import { readMarketRecording } from "./recorder.js";
+import { sleep } from "../utils.js";
+
+// Recorded WS messages, pushed to listeners as the virtual clock passes them
+const STREAM_SOURCES = new Set(["coinbase.ws", "exchange.ws", "kalshi.ws"]);
+
+const JSON_HEADERS = { "content-type": "application/json" };
+
+/**
+ * Recording files under `target` (a file, or a directory searched recursively), in name order
+ */
+function recordingFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  const out = [];
+  for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+    const full = path.join(target, entry.name);
+    if (entry.isDirectory()) out.push(...recordingFiles(full));
+    else if (entry.name.endsWith(".jsonl") || entry.name.endsWith(".jsonl.gz")) out.push(full);
+  }
+  return out.sort();
+}
+
+// REST responses are looked up by what identifies the request
+function responseKey(source, params) {
+  switch (source) {
+    case "coinbase.candles":
+      return `${source}|${params?.productId}|${params?.granularity}`;
+    case "coinbase.ticker":
+      return `${source}|${params?.productId}`;
+    case "kalshi.markets":
+      return `${source}|${params?.seriesTicker}|${params?.status}`;
+    case "kalshi.orderbook":
+      return `${source}|${params?.ticker}`;
+    default:
+      return null;
+  }
+}
+
+// Requested URL -> { key, wrap (recorded data -> response body) }
+function requestKey(url) {
+  let m = url.pathname.match(/^\/products\/([^/]+)\/candles$/);
+  if (m) return { key: responseKey("coinbase.candles", { productId: m[1], granularity: Number(url.searchParams.get("granularity")) }) };
+  m = url.pathname.match(/^\/products\/([^/]+)\/ticker$/);
+  if (m) return { key: responseKey("coinbase.ticker", { productId: m[1] }) };
+  m = url.pathname.match(/^\/trade-api\/v2\/markets\/([^/]+)\/orderbook$/);
+  if (m) return { key: responseKey("kalshi.orderbook", { ticker: m[1] }) };
+  // Market lists were recorded with every page joined, so they are served as a single page
+  if (url.pathname === "/trade-api/v2/markets" && !url.searchParams.get("cursor")) {
+    return {
+      key: responseKey("kalshi.markets", { seriesTicker: url.searchParams.get("series_ticker"), status: url.searchParams.get("status") }),
+      wrap: (markets) => ({ markets, cursor: "" })
+    };
+  }
+  return { key: null };
+}
+
+/**
+ * Replay of a market-data recording (see recorder.js) on a virtual clock
+ *
+ * The clock starts at the first record. Only clock.sleep() moves it: by the time asked, at
+ * once with speed "fast", after a real wait otherwise ("realtime", or a number for that many
+ * times real speed). fetch() answers the REST requests the loop makes (Coinbase candles and
+ * ticker, Kalshi market list and order book) with the newest recorded response for the same
+ * request at or before the virtual now, and 404 when there is none; anything else is a 404.
+ * WS messages reach the stubbed streams in recorded order as the clock passes them. Nothing
+ * depends on real time, so the same recording always plays out the same way.
+ */
+export function createMarketReplay({ target, speed = "fast" }) {
+  const records = recordingFiles(target)
+    .flatMap((f) => readMarketRecording(f))
+    .sort((a, b) => a.ts - b.ts);
+  if (!records.length) throw new Error(`No market-data records in ${target}`);
+
+  // key -> [{ ts, data }], oldest first
+  const responses = new Map();
+  const stream = [];
+  for (const r of records) {
+    if (STREAM_SOURCES.has(r.source)) {
+      stream.push(r);
+      continue;
+    }
+    const key = responseKey(r.source, r.params);
+    if (!key) continue;
+    const list = responses.get(key) ?? [];
+    list.push({ ts: r.ts, data: r.data });
+    responses.set(key, list);
+  }
+
+  const startMs = records[0].ts;
+  const endMs = records[records.length - 1].ts;
+  const slowdown = speed === "fast" ? 0 : speed === "realtime" ? 1 : 1 / Math.max(Number(speed) || 1, 1e-6);
+  let now = startMs;
+  let next = 0;
+  let served = 0;
+  let missed = 0;
+  // source -> [(data, params) => void]
+  const listeners = new Map();
+
+  const on = (source, fn) => listeners.set(source, [...(listeners.get(source) ?? []), fn]);
+
+  const deliver = (untilMs) => {
+    while (next < stream.length && stream[next].ts <= untilMs) {
+      const r = stream[next];
+      next += 1;
+      now = Math.max(now, r.ts);
+      for (const fn of listeners.get(r.source) ?? []) fn(r.data, r.params ?? null);
+    }
+  };
+
+  const clock = {
+    now: () => now,
+    async sleep(ms) {
+      const until = now + Math.max(0, ms);
+      if (slowdown > 0) await sleep(ms * slowdown);
+      else await new Promise((resolve) => setImmediate(resolve));
+      deliver(until);
+      now = until;
+    }
+  };
+
+  // Newest response at or before now
+  const latest = (key) => {
+    const list = responses.get(key);
+    if (!list) return undefined;
+    let lo = 0;
+    let hi = list.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].ts <= now) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found >= 0 ? list[found].data : undefined;
+  };
+
+  async function fetch(input) {
+    const url = new URL(typeof input === "string" ? input : input?.url ?? String(input));
+    const { key, wrap = null } = requestKey(url);
+    const data = key ? latest(key) : undefined;
+    if (data === undefined) {
+      missed += 1;
+      const message = `nothing recorded for ${url.pathname} by ${new Date(now).toISOString()}`;
+      return new Response(JSON.stringify({ error: { code: "not_recorded", message } }), { status: 404, headers: JSON_HEADERS });
+    }
+    served += 1;
+    return new Response(JSON.stringify(wrap ? wrap(data) : data), { status: 200, headers: JSON_HEADERS });
+  }
+
+  /**
+   * Stand-in for startCoinbaseTickerStream fed by the recorded ticker messages
+   */
+  function coinbaseStream({ productIds, onTick = null }) {
+    const lastTicks = new Map();
+    on("coinbase.ws", (msg) => {
+      const parsed = tickFromMessage(msg, productIds);
+      if (!parsed) return;
+      lastTicks.set(parsed.productId, parsed.tick);
+      if (typeof onTick === "function") onTick(parsed.productId, parsed.tick);
+    });
+    return {
+      getLast: (id = productIds[0]) => lastTicks.get(id) ?? null,
+      isConnected: () => true,
+      cleanup: () => {}
+    };
+  }
+
+  /**
+   * Push the recorded exchange trades into a composite index stream (one started with no exchanges)
+   */
+  function feedCompositeIndex(composite, { productIds }) {
+    on("exchange.ws", (msg, params) => {
+      const adapter = EXCHANGE_ADAPTERS[params?.exchange];
+      if (!adapter) return;
+      for (const t of adapter.parse(msg, { productIds })) composite.ingest(adapter.name, t.productId, t);
+    });
+  }
+
+  return {
+    clock,
+    fetch,
+    coinbaseStream,
+    feedCompositeIndex,
+    startMs,
+    endMs,
+    finished: () => now > endMs,
+    getStatus: () => ({ now, startMs, endMs, records: records.length, served, missed })
+  };
+}
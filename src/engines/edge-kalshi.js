@@ -1,31 +1,53 @@
 import { clamp } from "../utils.js";
+import { kalshiFeePerContract } from "./fees.js";
 
 /**
  * Compute edge for Kalshi markets
  * Note: Kalshi uses YES/NO contracts (similar to Polymarket's UP/DOWN)
  * YES = Bitcoin will be higher at hour close
  * NO = Bitcoin will be lower at hour close
+ *
+ * marketYes / marketNo must be executable prices (what it costs to buy that side,
+ * i.e. the derived ask or the average fill for the intended size), not resting bids
+ *
+ * edgeUp / edgeDown are expected value per contract after fees, in dollars:
+ * model probability - executable price - fee per contract for `count` contracts.
+ * Pass midYes / midNo to see how much of the gross edge went to crossing the spread.
+ * Each side stands alone: a side with no price gets null fields, the other is still priced.
  */
-export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
-  if (marketYes === null || marketNo === null) {
-    return { marketUp: null, marketDown: null, edgeUp: null, edgeDown: null };
-  }
-
-  // Kalshi prices are already normalized (0-1), no need to sum
-  const marketUp = marketYes;
-  const marketDown = marketNo;
-
-  const edgeUp = modelUp - marketUp;
-  const edgeDown = modelDown - marketDown;
+export function computeEdge({ modelUp, modelDown, marketYes, marketNo, count = 1, liquidity = "taker", midYes = null, midNo = null }) {
+  const side = (model, market, mid) => {
+    if (market === null || market === undefined) return { market: null, edge: null, gross: null, fee: null, spreadCost: null };
+    // Kalshi prices are already normalized (0-1), no need to sum
+    const price = clamp(market, 0, 1);
+    const gross = model - price;
+    const fee = kalshiFeePerContract({ count, price, liquidity });
+    return { market: price, edge: gross - fee, gross, fee, spreadCost: mid !== null && mid !== undefined ? price - mid : null };
+  };
+  const up = side(modelUp, marketYes, midYes);
+  const down = side(modelDown, marketNo, midNo);
 
   return {
-    marketUp: clamp(marketUp, 0, 1),
-    marketDown: clamp(marketDown, 0, 1),
-    edgeUp,
-    edgeDown
+    marketUp: up.market,
+    marketDown: down.market,
+    edgeUp: up.edge,
+    edgeDown: down.edge,
+    grossEdgeUp: up.gross,
+    grossEdgeDown: down.gross,
+    feeUp: up.fee,
+    feeDown: down.fee,
+    spreadCostUp: up.spreadCost,
+    spreadCostDown: down.spreadCost
   };
 }
 
+/**
+ * EARLY / MID / LATE for the minutes left in the hour (see decide)
+ */
+export function phaseFor(remainingMinutes) {
+  return remainingMinutes > 40 ? "EARLY" : remainingMinutes > 20 ? "MID" : "LATE";
+}
+
 /**
  * Decide whether to enter a trade based on edge and timing
  * Adjusted for HOURLY markets (60 minutes) instead of 15 minutes
@@ -34,10 +56,13 @@ export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
  * - EARLY: > 40 minutes remaining (2/3 of hour) - Lower thresholds
  * - MID: 20-40 minutes remaining (1/3 to 2/3) - Medium thresholds
  * - LATE: < 20 minutes remaining (< 1/3) - Higher thresholds (more certainty needed)
+ *
+ * edgeUp / edgeDown are expected to be net of fees (see computeEdge); a null edge (no
+ * price for that side) rules that side out, and only both null is missing market data
  */
 export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, modelDown = null }) {
   // Adjust phases for hourly market (60 minutes total)
-  const phase = remainingMinutes > 40 ? "EARLY" : remainingMinutes > 20 ? "MID" : "LATE";
+  const phase = phaseFor(remainingMinutes);
 
   // Edge thresholds by phase
   // EARLY: More time to be right, lower threshold
@@ -48,11 +73,11 @@ export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, mod
   // Minimum model probability by phase
   const minProb = phase === "EARLY" ? 0.55 : phase === "MID" ? 0.6 : 0.65;
 
-  if (edgeUp === null || edgeDown === null) {
+  if (edgeUp === null && edgeDown === null) {
     return { action: "NO_TRADE", side: null, phase, reason: "missing_market_data", edgeUp: null, edgeDown: null };
   }
 
-  const bestSide = edgeUp > edgeDown ? "UP" : "DOWN";
+  const bestSide = edgeDown === null || (edgeUp !== null && edgeUp > edgeDown) ? "UP" : "DOWN";
   const bestEdge = bestSide === "UP" ? edgeUp : edgeDown;
   const bestModel = bestSide === "UP" ? modelUp : modelDown;
 
@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeEdge, decide } from "./edge-kalshi.js";
+
+test("a side with no executable price leaves the other side priced", () => {
+  const edge = computeEdge({ modelUp: 0.8, modelDown: 0.2, marketYes: 0.6, marketNo: null, count: 10 });
+  assert.ok(edge.edgeUp > 0.15);
+  assert.equal(edge.edgeDown, null);
+  assert.equal(edge.marketDown, null);
+
+  const rec = decide({ remainingMinutes: 50, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp: 0.8, modelDown: 0.2 });
+  assert.equal(rec.action, "ENTER");
+  assert.equal(rec.side, "UP");
+});
+
+test("no price on either side is missing market data", () => {
+  const edge = computeEdge({ modelUp: 0.8, modelDown: 0.2, marketYes: null, marketNo: null });
+  const rec = decide({ remainingMinutes: 50, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown });
+  assert.equal(rec.reason, "missing_market_data");
+});
@@ -0,0 +1,22 @@
+import { CONFIG } from "../config.js";
+
+/**
+ * Kalshi trading fee for one fill, in dollars
+ * fee = ceil_to_cent(rate * C * P * (1 - P)), P = contract price in dollars (0-1)
+ * Taker and maker orders use different rates (CONFIG.kalshi.takerFeeRate / makerFeeRate)
+ */
+export function kalshiFee({ count, price, liquidity = "taker" }) {
+  if (!Number.isFinite(count) || !Number.isFinite(price) || count <= 0) return 0;
+  const rate = liquidity === "maker" ? CONFIG.kalshi.makerFeeRate : CONFIG.kalshi.takerFeeRate;
+  const raw = rate * count * price * (1 - price);
+  // Round up to the cent; the epsilon keeps exact cents (e.g. 0.07) from bumping up on float noise
+  return Math.ceil(raw * 100 - 1e-9) / 100;
+}
+
+/**
+ * Fee spread over each contract of a fill, in dollars
+ */
+export function kalshiFeePerContract({ count, price, liquidity = "taker" }) {
+  if (!Number.isFinite(count) || count <= 0) return 0;
+  return kalshiFee({ count, price, liquidity }) / count;
+}
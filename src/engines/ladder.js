@@ -0,0 +1,142 @@
+import { clamp } from "../utils.js";
+import { probabilityAboveStrike } from "./probability.js";
+import { kalshiFeePerContract } from "./fees.js";
+
+/**
+ * Market-implied P(close > K) for one strike, from its YES quotes (cents)
+ * Mid when both sides quote, otherwise whichever side exists
+ */
+function impliedAbove(strike) {
+  const { yesBid, yesAsk } = strike;
+  if (yesBid !== null && yesAsk !== null) return (yesBid + yesAsk) / 200;
+  if (yesBid !== null) return yesBid / 100;
+  if (yesAsk !== null) return yesAsk / 100;
+  return null;
+}
+
+/**
+ * Weighted pool-adjacent-violators: closest non-increasing sequence to `values`
+ */
+function isotonicDecreasing(values, weights) {
+  const blocks = [];
+  for (let i = 0; i < values.length; i += 1) {
+    blocks.push({ value: values[i], weight: weights[i], count: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].value < blocks[blocks.length - 1].value) {
+      const b = blocks.pop();
+      const a = blocks.pop();
+      const weight = a.weight + b.weight;
+      blocks.push({ value: (a.value * a.weight + b.value * b.weight) / weight, weight, count: a.count + b.count });
+    }
+  }
+  const out = [];
+  for (const b of blocks) {
+    for (let i = 0; i < b.count; i += 1) out.push(b.value);
+  }
+  return out;
+}
+
+/**
+ * Build the market-implied distribution of the hourly close from a strike ladder
+ *
+ * Raw survival S(K) = P(close > K) per strike is checked for monotonicity (it must not
+ * rise with K), then smoothed with isotonic regression weighted by 1/spread so tight
+ * quotes move less than wide ones. Returns S, the CDF 1 - S, bucket masses between
+ * adjacent strikes and the implied median.
+ */
+export function buildImpliedDistribution(strikes) {
+  const quoted = (Array.isArray(strikes) ? strikes : [])
+    .map((s) => ({ ...s, rawAbove: impliedAbove(s) }))
+    .filter((s) => s.rawAbove !== null)
+    .sort((a, b) => a.strike - b.strike);
+
+  let violations = 0;
+  for (let i = 1; i < quoted.length; i += 1) {
+    if (quoted[i].rawAbove > quoted[i - 1].rawAbove) violations += 1;
+  }
+
+  const weights = quoted.map((s) => {
+    const spread = s.yesBid !== null && s.yesAsk !== null ? s.yesAsk - s.yesBid : 20;
+    return 1 / Math.max(1, spread);
+  });
+  const smoothed = isotonicDecreasing(quoted.map((s) => s.rawAbove), weights);
+
+  const points = quoted.map((s, i) => {
+    const above = clamp(smoothed[i], 0, 1);
+    return { ticker: s.ticker, strike: s.strike, rawAbove: s.rawAbove, above, cdf: 1 - above };
+  });
+
+  const buckets = [];
+  for (let i = 0; i < points.length - 1; i += 1) {
+    buckets.push({ from: points[i].strike, to: points[i + 1].strike, prob: points[i].above - points[i + 1].above });
+  }
+
+  let median = null;
+  for (let i = 1; i < points.length; i += 1) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (a.above >= 0.5 && b.above <= 0.5) {
+      median = a.above === b.above ? (a.strike + b.strike) / 2 : a.strike + ((a.above - 0.5) / (a.above - b.above)) * (b.strike - a.strike);
+      break;
+    }
+  }
+
+  return { points, buckets, median, violations, monotonic: violations === 0 };
+}
+
+/**
+ * Model distribution over the hourly close: probabilityAboveStrike evaluated at any strike
+ */
+export function buildModelDistribution({ price, sigmaPerMinute, remainingMinutes, driftPerMinute = 0, taUp = null, taTiltWeight = 0 }) {
+  if (!Number.isFinite(price) || !Number.isFinite(sigmaPerMinute) || sigmaPerMinute <= 0) return null;
+  const t = Math.max(remainingMinutes, 0);
+  return {
+    mean: price * Math.exp(driftPerMinute * t),
+    sd: price * sigmaPerMinute * Math.sqrt(t),
+    probAbove: (strike) => probabilityAboveStrike({
+      price,
+      strike,
+      remainingMinutes: t,
+      sigmaPerMinute,
+      driftPerMinute,
+      taUp,
+      taTiltWeight
+    }).probAbove
+  };
+}
+
+/**
+ * Join the ladder quotes, implied distribution and model, and price both sides of every strike
+ * edgeYes / edgeNo are model probability minus the price to buy that side, net of fees
+ */
+export function compareLadderToModel(strikes, implied, model, { count = 1, liquidity = "taker" } = {}) {
+  const netEdge = (prob, askCents) => {
+    if (prob === null || askCents === null) return null;
+    const price = askCents / 100;
+    return prob - price - kalshiFeePerContract({ count, price, liquidity });
+  };
+
+  const impliedByTicker = new Map((implied?.points ?? []).map((p) => [p.ticker, p]));
+
+  const rows = (Array.isArray(strikes) ? strikes : []).map((s) => {
+    const modelAbove = model ? model.probAbove(s.strike) : null;
+    const edgeYes = netEdge(modelAbove, s.yesAsk);
+    const edgeNo = netEdge(modelAbove === null ? null : 1 - modelAbove, s.noAsk);
+    return {
+      ...s,
+      impliedAbove: impliedByTicker.get(s.ticker)?.above ?? null,
+      modelAbove,
+      edgeYes,
+      edgeNo
+    };
+  });
+
+  let best = null;
+  for (const row of rows) {
+    for (const [side, edge] of [["yes", row.edgeYes], ["no", row.edgeNo]]) {
+      if (edge === null) continue;
+      if (!best || edge > best.edge) best = { ticker: row.ticker, strike: row.strike, side, edge };
+    }
+  }
+
+  return { rows, best };
+}
@@ -1,4 +1,4 @@
-import { clamp } from "../utils.js";
+import { clamp, normalCdf, normalInv } from "../utils.js";
 
 export function scoreDirection(inputs) {
   const {
@@ -57,3 +57,45 @@ export function applyTimeAwareness(rawUp, remainingMinutes, windowMinutes) {
   const adjustedUp = clamp(0.5 + (rawUp - 0.5) * timeDecay, 0, 1);
   return { timeDecay, adjustedUp, adjustedDown: 1 - adjustedUp };
 }
+
+/**
+ * P(close > strike) for an "above K at close" contract
+ *
+ * Lognormal diffusion over the time left: ln(S_T / S) ~ N((mu - sigma^2 / 2) t, sigma^2 t)
+ * with sigma / mu per minute. The TA probability (0-1, already time-decayed) can tilt the
+ * result: it is mapped to a z-shift of normalInv(taUp) * taTiltWeight, so taUp = 0.5 or
+ * weight 0 leaves the pure diffusion untouched.
+ */
+export function probabilityAboveStrike({
+  price,
+  strike,
+  remainingMinutes,
+  sigmaPerMinute,
+  driftPerMinute = 0,
+  taUp = null,
+  taTiltWeight = 0
+}) {
+  if (!Number.isFinite(price) || !Number.isFinite(strike) || price <= 0 || strike <= 0) {
+    return { probAbove: null, z: null, reason: "missing_inputs" };
+  }
+
+  const t = Math.max(0, remainingMinutes ?? 0);
+  const sigma = Number.isFinite(sigmaPerMinute) && sigmaPerMinute > 0 ? sigmaPerMinute : null;
+
+  // Settled: the answer is which side of the strike we are on
+  if (t === 0) {
+    const probAbove = price > strike ? 1 : price < strike ? 0 : 0.5;
+    return { probAbove, z: null, reason: "expired" };
+  }
+  // No vol estimate (e.g. too few candles) says nothing about the odds; callers fall back
+  if (sigma === null) return { probAbove: null, z: null, reason: "no_volatility" };
+
+  const sd = sigma * Math.sqrt(t);
+  let z = (Math.log(price / strike) + (driftPerMinute - (sigma * sigma) / 2) * t) / sd;
+
+  if (taUp !== null && Number.isFinite(taUp) && taTiltWeight > 0) {
+    z += normalInv(clamp(taUp, 0.01, 0.99)) * taTiltWeight;
+  }
+
+  return { probAbove: clamp(normalCdf(z), 0, 1), z, sd, reason: "ok" };
+}
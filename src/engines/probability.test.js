@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { probabilityAboveStrike } from "./probability.js";
+
+test("no volatility gives no probability instead of a certainty", () => {
+  const res = probabilityAboveStrike({ price: 100_500, strike: 100_000, remainingMinutes: 30, sigmaPerMinute: null });
+  assert.equal(res.probAbove, null);
+  assert.equal(res.reason, "no_volatility");
+});
+
+test("at the close the side of the strike decides", () => {
+  assert.equal(probabilityAboveStrike({ price: 100_500, strike: 100_000, remainingMinutes: 0, sigmaPerMinute: null }).probAbove, 1);
+  assert.equal(probabilityAboveStrike({ price: 99_500, strike: 100_000, remainingMinutes: 0, sigmaPerMinute: 0.001 }).probAbove, 0);
+});
+
+test("with volatility the probability sits strictly between 0 and 1", () => {
+  const { probAbove, reason } = probabilityAboveStrike({ price: 100_500, strike: 100_000, remainingMinutes: 30, sigmaPerMinute: 0.001 });
+  assert.equal(reason, "ok");
+  assert.ok(probAbove > 0.5 && probAbove < 1);
+});
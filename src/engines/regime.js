@@ -1,13 +1,18 @@
-export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRecent, volumeAvg }) {
+export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRecent, volumeAvg, volRegime = null }) {
   if (price === null || vwap === null || vwapSlope === null) return { regime: "CHOP", reason: "missing_inputs" };
 
   const above = price > vwap;
+  const flat = Math.abs((price - vwap) / vwap) < 0.001;
 
   const lowVolume = volumeRecent !== null && volumeAvg !== null ? volumeRecent < 0.6 * volumeAvg : false;
-  if (lowVolume && Math.abs((price - vwap) / vwap) < 0.001) {
+  if (lowVolume && flat) {
     return { regime: "CHOP", reason: "low_volume_flat" };
   }
 
+  if (volRegime === "LOW" && flat) {
+    return { regime: "CHOP", reason: "low_vol_flat" };
+  }
+
   if (above && vwapSlope > 0) {
     return { regime: "TREND_UP", reason: "price_above_vwap_slope_up" };
   }
@@ -16,6 +21,10 @@ export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRec
     return { regime: "TREND_DOWN", reason: "price_below_vwap_slope_down" };
   }
 
+  if (volRegime === "HIGH") {
+    return { regime: "VOLATILE", reason: "high_realized_vol" };
+  }
+
   if (vwapCrossCount !== null && vwapCrossCount >= 3) {
     return { regime: "RANGE", reason: "frequent_vwap_cross" };
   }
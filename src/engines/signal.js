@@ -0,0 +1,134 @@
+import { CONFIG } from "../config.js";
+import { computeSessionVwap, computeVwapSeries } from "../indicators/vwap.js";
+import { computeRsi, sma, slopeLast } from "../indicators/rsi.js";
+import { computeMacd } from "../indicators/macd.js";
+import { computeHeikenAshi, countConsecutive } from "../indicators/heikenAshi.js";
+import { computeVolatility } from "../indicators/volatility.js";
+import { detectRegime } from "./regime.js";
+import { scoreDirection, applyTimeAwareness } from "./probability.js";
+import { buildModelDistribution } from "./ladder.js";
+
+export function countVwapCrosses(closes, vwapSeries, lookback) {
+  if (closes.length < lookback || vwapSeries.length < lookback) return null;
+  let crosses = 0;
+  for (let i = closes.length - lookback + 1; i < closes.length; i += 1) {
+    const prev = closes[i - 1] - vwapSeries[i - 1];
+    const cur = closes[i] - vwapSeries[i];
+    if (prev === 0) continue;
+    if ((prev > 0 && cur < 0) || (prev < 0 && cur > 0)) crosses += 1;
+  }
+  return crosses;
+}
+
+/**
+ * Indicators, TA score and strike model for one moment, from candles only
+ *
+ * The live loop and the backtester both run this, so a backtest sees the same numbers the
+ * bot traded on. `price` is the last trade (VWAP distance, regime, TA score); `modelPrice`
+ * is what the strike model is centered on (the composite index live). With a `strikePrice`
+ * modelUp is P(close > strike), otherwise the time-aware TA probability.
+ */
+export function computeSignal({ candles1m, candles5m = [], price, modelPrice = price, remainingMinutes, strikePrice = null, windowMinutes = CONFIG.candleWindowMinutes }) {
+  const closes = candles1m.map((c) => c.close);
+
+  const vwap = computeSessionVwap(candles1m);
+  const vwapSeries = computeVwapSeries(candles1m);
+  const vwapNow = vwapSeries[vwapSeries.length - 1];
+
+  const lookback = CONFIG.vwapSlopeLookbackMinutes;
+  const vwapSlope = vwapSeries.length >= lookback ? (vwapNow - vwapSeries[vwapSeries.length - lookback]) / lookback : null;
+  const vwapDist = vwapNow ? (price - vwapNow) / vwapNow : null;
+
+  const rsiNow = computeRsi(closes, CONFIG.rsiPeriod);
+  const rsiSeries = [];
+  for (let i = 0; i < closes.length; i += 1) {
+    const sub = closes.slice(0, i + 1);
+    const r = computeRsi(sub, CONFIG.rsiPeriod);
+    if (r !== null) rsiSeries.push(r);
+  }
+  const rsiMa = sma(rsiSeries, CONFIG.rsiMaPeriod);
+  const rsiSlope = slopeLast(rsiSeries, 3);
+
+  const macd = computeMacd(closes, CONFIG.macdFast, CONFIG.macdSlow, CONFIG.macdSignal);
+  const ha = computeHeikenAshi(candles1m);
+  const consec = countConsecutive(ha);
+
+  const vwapCrossCount = countVwapCrosses(closes, vwapSeries, 20);
+  const volumeRecent = candles1m.slice(-20).reduce((a, c) => a + c.volume, 0);
+  const volumeAvg = candles1m.slice(-120).reduce((a, c) => a + c.volume, 0) / 6;
+
+  const failedVwapReclaim = vwapNow !== null && vwapSeries.length >= 3
+    ? closes[closes.length - 1] < vwapNow && closes[closes.length - 2] > vwapSeries[vwapSeries.length - 2]
+    : false;
+
+  const vol = computeVolatility({
+    candles1m,
+    candles5m,
+    remainingMinutes,
+    lookback: CONFIG.volLookbackMinutes,
+    estimator: CONFIG.volEstimator
+  });
+
+  const regimeInfo = detectRegime({
+    price,
+    vwap: vwapNow,
+    vwapSlope,
+    vwapCrossCount,
+    volumeRecent,
+    volumeAvg,
+    volRegime: vol.regime.level
+  });
+
+  const scored = scoreDirection({
+    price,
+    vwap: vwapNow,
+    vwapSlope,
+    rsi: rsiNow,
+    rsiSlope,
+    macd,
+    heikenColor: consec.color,
+    heikenCount: consec.count,
+    failedVwapReclaim
+  });
+
+  const timeAware = applyTimeAwareness(scored.rawUp, remainingMinutes, windowMinutes);
+
+  // Strike-aware model: P(close > K) from spot, distance to strike, time left and realized vol,
+  // with the TA score as a tilt on top
+  const modelDist = buildModelDistribution({
+    price: modelPrice,
+    sigmaPerMinute: vol.sigmaPerMinute,
+    remainingMinutes,
+    taUp: timeAware.adjustedUp,
+    taTiltWeight: CONFIG.taTiltWeight
+  });
+  const strikeUp = modelDist && strikePrice !== null ? modelDist.probAbove(strikePrice) : null;
+  const modelUp = strikeUp ?? timeAware.adjustedUp;
+
+  return {
+    closes,
+    vwap,
+    vwapSeries,
+    vwapNow,
+    vwapSlope,
+    vwapDist,
+    rsiNow,
+    rsiMa,
+    rsiSlope,
+    macd,
+    ha,
+    consec,
+    vwapCrossCount,
+    volumeRecent,
+    volumeAvg,
+    failedVwapReclaim,
+    vol,
+    regimeInfo,
+    scored,
+    timeAware,
+    modelDist,
+    strikeUp,
+    modelUp,
+    modelDown: 1 - modelUp
+  };
+}
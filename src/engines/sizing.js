@@ -0,0 +1,112 @@
+import { CONFIG } from "../config.js";
+import { kalshiFee } from "./fees.js";
+import { depthWithinPrice, estimateFillCost } from "../data/kalshiBook.js";
+
+/**
+ * Full Kelly stake for a binary contract, as a fraction of bankroll
+ * winProb: P(contract pays $1); cost: all-in price per contract in dollars (fill + fee).
+ * Net odds are (1 - cost) / cost, so f* = (winProb - cost) / (1 - cost); <= 0 means no bet
+ */
+export function kellyFraction({ winProb, cost }) {
+  if (!Number.isFinite(winProb) || !Number.isFinite(cost) || cost <= 0 || cost >= 1) return 0;
+  return (winProb - cost) / (1 - cost);
+}
+
+/**
+ * Contracts to buy on one side of a market
+ *
+ * `method` picks the stake: "kelly" stakes kellyFraction x full Kelly at the fee-inclusive
+ * average fill, "fixed" a flat fixedFraction of balance, "tiered" fixedFraction times the
+ * multiplier for the signal's strength. Only book depth within maxSlippageCents of the
+ * touch counts, and the result is capped by maxPosition, the per-trade risk limits and
+ * `capacity(limitPriceCents)` (what the risk manager still allows in this ticker).
+ * Any method sizes to 0 when winProb doesn't beat the all-in cost.
+ *
+ * Returns { contracts, cost ($, fees included), avgPrice (cents), limitPrice, winProb,
+ * breakeven, kelly, fraction, depth, cappedBy, reason }
+ */
+export function computePositionSize({
+  side,
+  winProb,
+  book,
+  balance,
+  strength = null,
+  capacity = null,
+  method = CONFIG.sizing.method,
+  settings = CONFIG.sizing,
+  limits = CONFIG.risk,
+  maxPosition = CONFIG.kalshi.maxPositionSize,
+  liquidity = CONFIG.kalshi.feeMode
+}) {
+  const result = {
+    method,
+    contracts: 0,
+    cost: 0,
+    avgPrice: null,
+    limitPrice: null,
+    winProb: Number.isFinite(winProb) ? winProb : null,
+    breakeven: null,
+    kelly: null,
+    fraction: null,
+    depth: 0,
+    cappedBy: null,
+    reason: null
+  };
+
+  const asks = (side === "no" ? book?.no : book?.yes)?.asks ?? [];
+  if (!asks.length) return { ...result, reason: "no_book" };
+  if (result.winProb === null) return { ...result, reason: "no_model" };
+  if (!Number.isFinite(balance) || balance <= 0) return { ...result, reason: "no_balance" };
+
+  const limitPrice = Math.min(99, asks[0].price + settings.maxSlippageCents);
+  result.limitPrice = limitPrice;
+  result.depth = depthWithinPrice(book, { side, action: "buy", limitPrice });
+
+  // All-in cost of n contracts: walk the asks, then the fee on the average fill
+  const quote = (n) => {
+    const fill = estimateFillCost(book, { side, action: "buy", count: n });
+    const price = fill.avgPrice / 100;
+    const total = fill.totalCost / 100 + kalshiFee({ count: n, price, liquidity });
+    return { avgPrice: fill.avgPrice, total, perContract: total / n };
+  };
+
+  // Share of balance the method would stake at a given all-in price
+  const stakeFraction = (perContract) => {
+    if (method === "fixed") return settings.fixedFraction;
+    if (method === "tiered") return settings.fixedFraction * (settings.tiers?.[strength] ?? 0);
+    return Math.max(0, kellyFraction({ winProb, cost: perContract })) * settings.kellyFraction;
+  };
+
+  const countCaps = [
+    ["max_position", maxPosition],
+    ["depth", result.depth],
+    ["max_contracts_per_trade", limits.maxContractsPerTrade > 0 ? limits.maxContractsPerTrade : null],
+    ["risk_capacity", typeof capacity === "function" ? capacity(limitPrice) : null]
+  ].filter(([, cap]) => cap !== null && Number.isFinite(cap));
+  let [cappedBy, n] = countCaps.reduce((best, cap) => (cap[1] < best[1] ? cap : best));
+  n = Math.max(0, Math.floor(n));
+
+  // Largest n whose all-in cost fits every dollar limit
+  for (; n > 0; n -= 1) {
+    const q = quote(n);
+    const breach = [
+      ["edge", q.perContract >= winProb],
+      ["stake", q.total > stakeFraction(q.perContract) * balance],
+      ["max_cost_per_trade", limits.maxCostPerTrade > 0 && q.total > limits.maxCostPerTrade],
+      ["max_risk_per_trade", limits.maxRiskPerTrade > 0 && q.total > limits.maxRiskPerTrade * balance]
+    ].find(([, hit]) => hit);
+    if (!breach) {
+      Object.assign(result, { contracts: n, cost: q.total, avgPrice: q.avgPrice, breakeven: q.perContract });
+      break;
+    }
+    cappedBy = breach[0];
+  }
+
+  const touch = quote(1).perContract;
+  result.kelly = kellyFraction({ winProb, cost: result.breakeven ?? touch });
+  result.fraction = stakeFraction(result.breakeven ?? touch);
+  if (result.breakeven === null) result.breakeven = touch;
+  result.cappedBy = result.contracts > 0 ? cappedBy : null;
+  if (result.contracts === 0) result.reason = touch >= winProb ? "no_edge" : cappedBy;
+  return result;
+}
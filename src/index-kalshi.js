@@ -1,16 +1,29 @@
 import { CONFIG } from "./config.js";
 import { fetchKlines, fetchLastPrice } from "./data/coinbase.js";
 import { startCoinbaseTickerStream } from "./data/coinbaseWs.js";
-import { fetchKalshiSnapshot, placeOrder, fetchPortfolio } from "./data/kalshi.js";
-import { computeSessionVwap, computeVwapSeries } from "./indicators/vwap.js";
-import fs from "node:fs";
-import { computeRsi, sma, slopeLast } from "./indicators/rsi.js";
-import { computeMacd } from "./indicators/macd.js";
-import { computeHeikenAshi, countConsecutive } from "./indicators/heikenAshi.js";
-import { detectRegime } from "./engines/regime.js";
-import { scoreDirection, applyTimeAwareness } from "./engines/probability.js";
+import { startCompositeIndexStream, indexBasis } from "./data/compositeIndex.js";
+import { fetchKalshiSnapshot, fetchOrderBook } from "./data/kalshi.js";
+import { startKalshiMarketStream } from "./data/kalshiWs.js";
+import { buildOrderBook, estimateFillCost } from "./data/kalshiBook.js";
+import { computeSignal } from "./engines/signal.js";
 import { computeEdge, decide } from "./engines/edge-kalshi.js";
-import { appendCsvRow, formatNumber, formatPct, getCandleWindowTiming, sleep } from "./utils.js";
+import { buildImpliedDistribution, compareLadderToModel } from "./engines/ladder.js";
+import { computePositionSize } from "./engines/sizing.js";
+import { AuthError, InsufficientBalanceError, MarketClosedError, RateLimitedError } from "./data/kalshiClient.js";
+import { createOrderManager } from "./trading/orderManager.js";
+import { createPortfolioSync, eventTickerOf } from "./trading/portfolio.js";
+import { createRiskManager } from "./trading/riskManager.js";
+import { createEntryGate } from "./trading/entryGate.js";
+import { createExitManager } from "./trading/exitManager.js";
+import { createPaperExchange } from "./trading/paperExchange.js";
+import { createKillSwitch } from "./trading/killSwitch.js";
+import { createExecutionManager, expirationFor } from "./trading/execution.js";
+import { createStateStore } from "./trading/stateStore.js";
+import { createMarketRecorder, setMarketRecorder } from "./data/recorder.js";
+import { createMarketReplay } from "./data/replay.js";
+import { appendCsvRow, clockNow, clockSleep, formatNumber, formatPct, getCandleWindowTiming, setClock, writeJsonAtomic } from "./utils.js";
+import fs from "node:fs";
+import path from "node:path";
 import readline from "node:readline";
 import { applyGlobalProxyFromEnv } from "./net/proxy.js";
 
@@ -134,7 +147,7 @@ function fmtTimeLeft(mins) {
   return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
 }
 
-function fmtEtTime(now = new Date()) {
+function fmtEtTime(now = new Date(clockNow())) {
   try {
     return new Intl.DateTimeFormat("en-US", {
       timeZone: "America/New_York",
@@ -148,24 +161,413 @@ function fmtEtTime(now = new Date()) {
   }
 }
 
-function countVwapCrosses(closes, vwapSeries, lookback) {
-  if (closes.length < lookback || vwapSeries.length < lookback) return null;
-  let crosses = 0;
-  for (let i = closes.length - lookback + 1; i < closes.length; i += 1) {
-    const prev = closes[i - 1] - vwapSeries[i - 1];
-    const cur = closes[i] - vwapSeries[i];
-    if (prev === 0) continue;
-    if ((prev > 0 && cur < 0) || (prev < 0 && cur > 0)) crosses += 1;
+function centsToProb(cents) {
+  return cents === null || cents === undefined ? null : cents / 100;
+}
+
+/**
+ * Bid (cents) an open position could be sold at, from the snapshot's book or ladder
+ */
+function markCents(kalshi, ticker, side) {
+  if (!kalshi?.ok) return null;
+  if (ticker === kalshi.ticker) {
+    return (side === "yes" ? kalshi.orderbook.up.bestBid : kalshi.orderbook.down.bestBid) ?? null;
+  }
+  const row = kalshi.ladder?.strikes.find((s) => s.ticker === ticker);
+  if (!row) return null;
+  return (side === "yes" ? row.yesBid : row.noBid) ?? null;
+}
+
+/**
+ * Average price (0-1) to buy `count` contracts on one side, walking the book
+ * Falls back to the top-of-book ask when no book is available. A book too thin to fill
+ * `count` gives null: the average of a partial fill would overstate the edge at that size
+ */
+function executablePrice(kalshi, side, count) {
+  if (!kalshi?.ok) return null;
+  const touch = side === "yes" ? kalshi.prices.up : kalshi.prices.down;
+  if (!kalshi.book) return touch;
+  const fill = estimateFillCost(kalshi.book, { side, action: "buy", count });
+  if (fill.avgPrice === null) return touch;
+  return fill.complete ? fill.avgPrice / 100 : null;
+}
+
+// Net edge with the gross and fee it came from, per contract in cents
+function edgeLine(net, gross, fee) {
+  if (net === null) return "-";
+  const color = net > 0 ? ANSI.green : ANSI.reset;
+  return `${color}${(net * 100).toFixed(2)}¢ net${ANSI.reset} ${ANSI.gray}(${(gross * 100).toFixed(2)}¢ gross - ${(fee * 100).toFixed(2)}¢ fee)${ANSI.reset}`;
+}
+
+// Strikes around spot shown in the TUI ladder
+const LADDER_ROWS = 7;
+
+function ladderLines(ladderView, spotPrice) {
+  const rows = ladderView?.rows ?? [];
+  if (rows.length === 0) return [kv("Ladder:", `${ANSI.gray}-${ANSI.reset}`)];
+
+  let center = 0;
+  for (let i = 0; i < rows.length; i += 1) {
+    if (Math.abs(rows[i].strike - spotPrice) < Math.abs(rows[center].strike - spotPrice)) center = i;
   }
-  return crosses;
+  const start = Math.max(0, Math.min(rows.length - LADDER_ROWS, center - Math.floor(LADDER_ROWS / 2)));
+  const fmtC = (x) => (x === null || x === undefined ? "  -" : String(x).padStart(3));
+  const fmtP = (x) => formatProbPct(x, 0).padStart(4);
+  const fmtE = (x) => {
+    if (x === null || x === undefined) return "   -";
+    const str = `${x > 0 ? "+" : ""}${(x * 100).toFixed(0)}`.padStart(4);
+    return x > 0 ? `${ANSI.green}${str}${ANSI.reset}` : `${ANSI.gray}${str}${ANSI.reset}`;
+  };
+
+  const out = [kv("Ladder:", `${ANSI.gray}strike     yes bid/ask  mkt  model  edgeY edgeN${ANSI.reset}`)];
+  for (const r of rows.slice(start, start + LADDER_ROWS)) {
+    const isBest = ladderView.best?.ticker === r.ticker;
+    const strikeStr = `${isBest ? "*" : " "}${formatNumber(r.strike, 2)}`.padEnd(11);
+    out.push(kv("", `${strikeStr}${fmtC(r.yesBid)}/${fmtC(r.yesAsk)}   ${fmtP(r.impliedAbove)} ${fmtP(r.modelAbove)}   ${fmtE(r.edgeYes)}  ${fmtE(r.edgeNo)}`));
+  }
+  return out;
+}
+
+const CSV_HEADER = [
+  "timestamp",
+  "entry_minute",
+  "time_left_min",
+  "regime",
+  "signal",
+  "model_up",
+  "model_down",
+  "mkt_up",
+  "mkt_down",
+  "edge_up",
+  "edge_down",
+  "recommendation",
+  "trade_executed",
+  "ticker",
+  "strike",
+  "touch_up",
+  "touch_down"
+];
+
+const EXIT_CSV_HEADER = [
+  "timestamp",
+  "ticker",
+  "side",
+  "reason",
+  "count",
+  "held",
+  "limit_price",
+  "avg_price",
+  "exit_price",
+  "pnl_pct",
+  "status"
+];
+
+const EXECUTION_CSV_HEADER = [
+  "timestamp",
+  "ticker",
+  "side",
+  "strategy",
+  "count",
+  "filled",
+  "first_price",
+  "last_price",
+  "avg_fill_price",
+  "signal_price",
+  "slippage_cents",
+  "reprices",
+  "duration_ms",
+  "outcome"
+];
+
+// Replay runs the loop on a recording: virtual clock, recorded responses, signals only
+const replay = CONFIG.replay.path ? createMarketReplay({ target: CONFIG.replay.path, speed: CONFIG.replay.speed }) : null;
+if (replay) {
+  setClock(replay.clock);
+  globalThis.fetch = replay.fetch;
+}
+
+// Signal outputs go under logs/, or a replay's own directory, emptied first so each replay of
+// the same recording writes the same files
+const logDir = replay ? CONFIG.replay.outDir : "./logs";
+if (replay) {
+  for (const { series } of CONFIG.series) fs.rmSync(path.join(logDir, series), { recursive: true, force: true });
+  fs.rmSync(path.join(logDir, "current-signal.json"), { force: true });
+  fs.rmSync(path.join(logDir, "state"), { recursive: true, force: true });
+}
+
+/**
+ * Loop state for one series; outputs go under <logDir>/<SERIES>/
+ */
+function createSeriesState({ series, productId }, { primary = false } = {}) {
+  return {
+    series,
+    productId,
+    asset: productId.split("-")[0],
+    primary,
+    prevSpotPrice: null,
+    prevCurrentPrice: null,
+    // Latest Kalshi snapshot, also used to mark positions in this series
+    lastKalshi: null,
+    csvPath: `${logDir}/${series}/kalshi-signals.csv`,
+    exitsPath: `${logDir}/${series}/kalshi-exits.csv`,
+    executionsPath: `${logDir}/${series}/kalshi-executions.csv`,
+    signalPath: `${logDir}/${series}/current-signal.json`
+  };
 }
 
-// Track last trade to avoid duplicate entries
-let lastTradeTimestamp = 0;
-let currentPosition = null; // { side: "yes" | "no", count: number, entryPrice: number }
+const seriesStates = CONFIG.series.map((x, i) => createSeriesState(x, { primary: i === 0 }));
 
-async function executeTradeIfNeeded(recommendation, kalshi, spotPrice) {
-  if (!CONFIG.kalshi.autoTrade) {
+// Mark an open position with whichever series' latest snapshot quotes its ticker
+function markAcrossSeries(ticker, side) {
+  for (const state of seriesStates) {
+    const mark = markCents(state.lastKalshi, ticker, side);
+    if (mark !== null) return mark;
+  }
+  return null;
+}
+
+// Paper mode trades the full strategy against a simulator instead of the exchange
+const paperExchange = CONFIG.paper.enabled && !replay ? createPaperExchange() : null;
+const tradingEnabled = !replay && (CONFIG.kalshi.autoTrade || paperExchange !== null);
+const tradingMode = replay ? "replay" : paperExchange ? "paper" : CONFIG.kalshi.autoTrade ? "live" : "signal";
+
+// Raw inputs (ticks, candles, market lists, books) to hourly JSONL files for replay
+const recorder = CONFIG.recorder.enabled && !replay ? createMarketRecorder() : null;
+setMarketRecorder(recorder);
+
+// Orders, fills, entries, worked entries, take-profit levels, risk counters and signal changes,
+// kept across restarts
+const store = createStateStore(replay ? { dir: path.join(logDir, "state") } : paperExchange ? { dir: CONFIG.paper.stateDir } : {});
+
+// Orders, fills and positions (positions come from real fills, not from what we sent)
+const orderManager = tradingEnabled
+  ? createOrderManager({
+    ...(paperExchange ? { api: paperExchange } : {}),
+    onOrderUpdate: ({ previousClientOrderId = null, ...order }) => store.record("order", { order, previousClientOrderId }),
+    onFill: (fill) => store.record("fill", { fill })
+  })
+  : null;
+
+// Pick up where the last run stopped. Without restored fills, fills are asked for from the
+// oldest order still working; positions are checked against the exchange before trading
+if (orderManager && store.restored) {
+  const fills = store.getFills();
+  const working = store.getOrders().filter((o) => ["pending", "resting", "unknown"].includes(o.status));
+  const oldest = working.length ? Math.min(...working.map((o) => o.createdAt)) : null;
+  orderManager.restore({
+    orders: store.getOrders(),
+    fills,
+    since: !fills.length && oldest !== null ? Math.floor(oldest / 1000) : null
+  });
+}
+// Set once positions have been checked against the exchange; no orders go out before
+let reconciled = !orderManager;
+let lastReconcileAt = 0;
+// Positions in closed events are checked against the exchange this often until settled
+const RECONCILE_SETTLED_MS = 2 * 60_000;
+
+// Balance, fills and settlements from the exchange (needs credentials, works without auto-trade);
+// on paper the same ledger is fed by the simulator, in its own file
+const portfolio = paperExchange
+  ? createPortfolioSync({ api: paperExchange, orderManager, ledgerPath: CONFIG.paper.ledgerPath })
+  : CONFIG.kalshi.privateKey && !replay ? createPortfolioSync({ orderManager }) : null;
+
+// Limits every order must pass (halts persist across restarts)
+const riskManager = !tradingEnabled
+  ? null
+  : paperExchange
+    ? createRiskManager({ statePath: CONFIG.paper.riskStatePath, logPath: CONFIG.paper.riskLogPath, store })
+    : createRiskManager({ store });
+
+// Keeps a standing ENTER signal from re-buying every poll
+const entryGate = tradingEnabled ? createEntryGate({ initial: store.getEntries() }) : null;
+
+// Prices entries (join / improve / cross) and works them until filled, canceled or expired
+const executor = tradingEnabled
+  ? createExecutionManager({
+    orderManager,
+    initial: store.getWorking(),
+    onUpdate: (change) => store.record("working", change)
+  })
+  : null;
+
+// Take-profit / stop-loss / reversal / pre-close sells for open positions
+const exitManager = tradingEnabled && CONFIG.exit.enabled
+  ? createExitManager({
+    orderManager,
+    initial: store.getExitLevels(),
+    onLevel: (change) => store.record("exitLevels", change)
+  })
+  : null;
+
+// Trading stops while the kill-switch file exists; signals keep being generated
+const killSwitch = tradingEnabled ? createKillSwitch() : null;
+// Set by SIGINT / SIGTERM: the loop finishes its tick and nothing new is sent
+let shuttingDown = false;
+
+// New entries paused after the exchange pushed back: { until (ms), reason }
+let entryPause = { until: 0, reason: null };
+// Markets the exchange told us are closed; no point sending more orders there
+const closedTickers = new Set();
+
+/**
+ * React to a typed order rejection
+ */
+function handleOrderError(err, ticker) {
+  const now = clockNow();
+  if (err instanceof InsufficientBalanceError) {
+    // Balance only changes on settlement or a deposit, so sit out the rest of the hour
+    entryPause = { until: getCandleWindowTiming(CONFIG.candleWindowMinutes).endMs, reason: "insufficient_balance" };
+  } else if (err instanceof MarketClosedError) {
+    closedTickers.add(ticker);
+  } else if (err instanceof RateLimitedError) {
+    entryPause = { until: now + (err.retryAfterMs ?? 10_000), reason: "rate_limited" };
+  } else if (err instanceof AuthError) {
+    entryPause = { until: Infinity, reason: "auth_error" };
+  }
+}
+
+// Tickers of the configured series (the account may trade others by hand)
+const seriesPrefixes = CONFIG.series.map((x) => `${x.series}-`);
+const inSeries = (ticker) => seriesPrefixes.some((p) => ticker.startsWith(p));
+
+/**
+ * Cancel the bot's resting orders in the configured series. Syncs first, so an order whose
+ * placement timed out has its exchange id. Returns [{ ticker, ok, error }]
+ */
+async function cancelSeriesOrders() {
+  await orderManager.sync();
+  const results = [];
+  for (const o of orderManager.getOpenOrders()) {
+    if (!inSeries(o.ticker)) continue;
+    const res = await orderManager.cancel(o.clientOrderId);
+    results.push({ ticker: o.ticker, ok: res.ok, error: res.ok ? null : res.error });
+  }
+  return results;
+}
+
+/**
+ * Line the restored positions up with the exchange: fills and settlements from while the
+ * bot was down. Runs after the first successful order sync; trading waits for it. Runs
+ * again while positions sit in past events, which drops them once their market settles
+ */
+async function reconcileState() {
+  const diffs = await orderManager.reconcilePositions({ match: inSeries });
+  lastReconcileAt = clockNow();
+  store.record("reconcile", { time: new Date(clockNow()).toISOString(), diffs });
+  for (const d of diffs) {
+    console.error('[Reconcile]', `${d.ticker} ${d.side.toUpperCase()}: local ${d.local}, exchange ${d.exchange}`);
+  }
+  reconciled = true;
+}
+
+// A position in an event no series is quoting any more: its market closed and it is waiting
+// to settle (fills never take a settled position off, so the exchange has to)
+function holdsPastEvents() {
+  const current = new Set(seriesStates.map((s) => s.lastKalshi?.ticker).filter(Boolean).map(eventTickerOf));
+  if (!current.size) return false;
+  return orderManager.getPositions().some((p) => inSeries(p.ticker) && !current.has(eventTickerOf(p.ticker)));
+}
+
+/**
+ * Parsed book for a ticker: the snapshot's for the selected market, otherwise the Kalshi
+ * stream's or REST. null when it can't be fetched
+ */
+async function bookFor(ticker, kalshi, kalshiStream) {
+  if (kalshi.ok && ticker === kalshi.ticker && kalshi.book) return kalshi.book;
+  kalshiStream?.track(ticker);
+  try {
+    return buildOrderBook(kalshiStream?.getLast(ticker)?.orderbook ?? await fetchOrderBook({ ticker }));
+  } catch (err) {
+    console.error('[Book]', ticker, err.message);
+    return null;
+  }
+}
+
+/**
+ * Work the series' resting entries (timeouts, repricing) and log the ones that finished
+ */
+async function manageExecutions(state, kalshi, { kalshiStream }) {
+  if (shuttingDown || !reconciled || killSwitch.isActive()) return [];
+  const done = await executor.manage({
+    prefix: `${state.series}-`,
+    getBook: (ticker) => bookFor(ticker, kalshi, kalshiStream),
+    halted: riskManager.isHalted()
+  });
+  for (const r of done) {
+    riskManager.releaseUnfilled({ count: r.count, filled: r.filled, price: r.firstPrice, placedAt: r.placedAt });
+    appendCsvRow(state.executionsPath, EXECUTION_CSV_HEADER, [
+      new Date(r.time).toISOString(),
+      r.ticker,
+      r.side,
+      r.strategy,
+      r.count,
+      r.filled,
+      r.firstPrice,
+      r.lastPrice,
+      r.avgFillPrice,
+      r.signalPrice,
+      r.slippage,
+      r.reprices,
+      r.durationMs,
+      r.outcome
+    ]);
+  }
+  return done;
+}
+
+/**
+ * Run the exit rules over the bot's open positions in one series. The selected market's
+ * book is in the snapshot; other strikes of the same hour come from the Kalshi stream or
+ * REST. Positions from an earlier hour are left to settle. Returns the exits placed.
+ */
+async function manageExits(state, kalshi, rec, { timing, kalshiStream }) {
+  const now = clockNow();
+  if (shuttingDown || !reconciled || killSwitch.isActive()) return [];
+  if (now < entryPause.until && entryPause.reason !== "insufficient_balance") return [];
+
+  exitManager.prune(orderManager.getPositions());
+  const closeMs = kalshi.ok && kalshi.ladder.closeTime ? Date.parse(kalshi.ladder.closeTime) : NaN;
+  const remainingMinutes = Number.isFinite(closeMs) ? (closeMs - now) / 60_000 : timing.remainingMinutes;
+
+  const placed = [];
+  for (const position of orderManager.getPositions()) {
+    if (!position.ticker.startsWith(`${state.series}-`) || closedTickers.has(position.ticker)) continue;
+    const current = kalshi.ok && position.ticker === kalshi.ticker;
+    if (!current && kalshi.ok && eventTickerOf(position.ticker) !== kalshi.ladder.eventTicker) continue;
+
+    const book = await bookFor(position.ticker, kalshi, kalshiStream);
+    if (!book) continue;
+
+    const exit = await exitManager.manage({
+      position,
+      book,
+      remainingMinutes,
+      signal: current ? rec : null,
+      expirationTs: expirationFor(closeMs)
+    });
+    if (!exit) continue;
+    if (!exit.ok) handleOrderError(exit.cause, position.ticker);
+    appendCsvRow(state.exitsPath, EXIT_CSV_HEADER, [
+      new Date(exit.time).toISOString(),
+      exit.ticker,
+      exit.side,
+      exit.reason,
+      exit.count,
+      exit.held,
+      exit.price,
+      exit.avgPrice,
+      exit.exitPrice,
+      exit.pnlPct,
+      exit.ok ? exit.order.status : `error:${exit.error}`
+    ]);
+    placed.push(exit);
+  }
+  return placed;
+}
+
+async function executeTradeIfNeeded(recommendation, kalshi, spotPrice, size) {
+  if (!tradingEnabled) {
     return null; // Auto-trading disabled
   }
 
@@ -174,307 +576,735 @@ async function executeTradeIfNeeded(recommendation, kalshi, spotPrice) {
   }
 
   const side = recommendation.side === "UP" ? "yes" : "no";
-  const now = Date.now();
+  const now = clockNow();
 
-  try {
-    // Place order (convert price to cents as integer)
-    const priceDecimal = side === "yes" ? kalshi.prices.up : kalshi.prices.down;
-    const priceCents = Math.round(priceDecimal * 100);
-
-    const orderResult = await placeOrder({
-      ticker: kalshi.ticker,
-      side,
-      action: "buy",
-      count: CONFIG.kalshi.maxPositionSize,
-      price: priceCents,
-      type: "limit"
-    });
+  if (shuttingDown) {
+    return { success: false, skipped: true, error: "shutting_down" };
+  }
+  if (killSwitch.isActive()) {
+    return { success: false, skipped: true, error: "kill_switch" };
+  }
+  if (!reconciled) {
+    return { success: false, skipped: true, error: "not_reconciled" };
+  }
+  if (now < entryPause.until) {
+    return { success: false, skipped: true, error: `entries_paused:${entryPause.reason}` };
+  }
+  if (closedTickers.has(kalshi.ticker)) {
+    return { success: false, skipped: true, error: "market_closed" };
+  }
+  const gate = entryGate.check({
+    ticker: kalshi.ticker,
+    side,
+    edge: recommendation.edge,
+    positions: orderManager.getPositions({ ticker: kalshi.ticker }),
+    openOrders: orderManager.getOpenOrders({ ticker: kalshi.ticker }),
+    getOrder: (clientOrderId) => orderManager.getOrder(clientOrderId),
+    now
+  });
+  if (!gate.ok) {
+    return { success: false, skipped: true, error: `entry:${gate.reason}` };
+  }
+  if (!size || size.contracts <= 0) {
+    return { success: false, skipped: true, error: `size:${size?.reason ?? "none"}` };
+  }
+  const count = size.contracts;
 
-    lastTradeTimestamp = now;
-    currentPosition = {
-      side,
-      count: CONFIG.kalshi.maxPositionSize,
-      entryPrice: side === "yes" ? kalshi.prices.up : kalshi.prices.down,
-      entryTime: now,
-      entrySpotPrice: spotPrice
-    };
+  // Join / improve the bid or cross the asks, as the execution settings and edge allow
+  const plan = executor.plan({ side, count, book: kalshi.book, winProb: size.winProb });
+  if (!plan) {
+    return { success: false, skipped: true, error: "exec:no_price" };
+  }
 
-    return { success: true, order: orderResult, position: currentPosition };
-  } catch (err) {
-    console.error('[Trade Error]', err.message);
-    return { success: false, error: err.message };
+  const verdict = riskManager.check({ ticker: kalshi.ticker, count, price: plan.price });
+  if (!verdict.ok) {
+    return { success: false, skipped: true, error: `risk:${verdict.reason}` };
   }
+
+  // The listing's ask when the signal fired; null when it had none (the book's average priced
+  // the edge), and then no slippage is measured
+  const touch = side === "yes" ? kalshi.prices.up : kalshi.prices.down;
+  const touchCents = touch === null || touch === undefined ? null : Math.round(touch * 100);
+  const result = await executor.execute({
+    ticker: kalshi.ticker,
+    side,
+    count,
+    plan,
+    winProb: size.winProb,
+    signalPrice: touchCents,
+    closeMs: kalshi.ladder.closeTime ? Date.parse(kalshi.ladder.closeTime) : null,
+    meta: { strategy: "signal", signalSide: recommendation.side, phase: recommendation.phase, strength: recommendation.strength, spotPrice, sizing: size.method, add: gate.add }
+  });
+
+  if (!result.ok) {
+    console.error('[Trade Error]', result.error);
+    handleOrderError(result.cause, kalshi.ticker);
+    return { success: false, error: result.error, order: result.order };
+  }
+
+  const clientOrderId = result.order?.clientOrderId ?? null;
+  entryGate.record({ ticker: kalshi.ticker, side, edge: recommendation.edge, count, clientOrderId, now });
+  store.record("entry", { ticker: kalshi.ticker, side, edge: recommendation.edge, count, clientOrderId, time: now });
+  riskManager.recordTrade({ count, price: plan.price });
+  return { success: true, order: result.order, execution: plan };
 }
 
-async function main() {
-  const coinbaseStream = startCoinbaseTickerStream({ productId: CONFIG.coinbase.productId });
-
-  let prevSpotPrice = null;
-  let prevCurrentPrice = null;
-
-  const header = [
-    "timestamp",
-    "entry_minute",
-    "time_left_min",
-    "regime",
-    "signal",
-    "model_up",
-    "model_down",
-    "mkt_up",
-    "mkt_down",
-    "edge_up",
-    "edge_down",
-    "recommendation",
-    "trade_executed"
+/**
+ * One loop tick for one series: fetch spot, candles and the Kalshi snapshot, run the
+ * indicators and models, decide, trade, and write the series' CSV row and signal file.
+ * Returns the series' block of TUI lines.
+ */
+async function tickSeries(state, { timing, coinbaseStream, kalshiStream, composite }) {
+  const wsTick = coinbaseStream.getLast(state.productId);
+  const wsPrice = wsTick?.price ?? null;
+
+  // Fetch price first to select optimal Kalshi strike
+  const lastPrice = await fetchLastPrice({ productId: state.productId });
+
+  // Kalshi settles on a multi-exchange index, so strike selection and the model use the
+  // composite when enough exchanges report; Coinbase otherwise
+  const index = composite?.getLast(state.productId) ?? null;
+  const modelPrice = index?.price ?? lastPrice;
+  const basis = indexBasis(index?.price ?? null, lastPrice);
+
+  const [klines1m, klines5m, kalshi] = await Promise.all([
+    fetchKlines({ interval: "1m", limit: 240, productId: state.productId }),
+    fetchKlines({ interval: "5m", limit: 200, productId: state.productId }),
+    fetchKalshiSnapshot(modelPrice, { stream: kalshiStream, seriesTicker: state.series })
+  ]);
+  state.lastKalshi = kalshi;
+
+  const timeLeftMin = timing.remainingMinutes;
+  const strikePrice = kalshi.ok ? kalshi.strikePrice : null;
+  const {
+    vwapNow,
+    vwapSlope,
+    vwapDist,
+    rsiNow,
+    rsiSlope,
+    macd,
+    consec,
+    vol,
+    regimeInfo,
+    timeAware,
+    modelDist,
+    strikeUp,
+    modelUp,
+    modelDown
+  } = computeSignal({
+    candles1m: klines1m,
+    candles5m: klines5m,
+    price: lastPrice,
+    modelPrice,
+    remainingMinutes: timeLeftMin,
+    strikePrice
+  });
+
+  // Executable prices for the size we would trade, not the resting bids
+  const marketUp = executablePrice(kalshi, "yes", CONFIG.kalshi.maxPositionSize);
+  const marketDown = executablePrice(kalshi, "no", CONFIG.kalshi.maxPositionSize);
+  const edge = computeEdge({
+    modelUp,
+    modelDown,
+    marketYes: marketUp,
+    marketNo: marketDown,
+    count: CONFIG.kalshi.maxPositionSize,
+    liquidity: CONFIG.kalshi.feeMode,
+    midYes: centsToProb(kalshi.book?.yes.mid),
+    midNo: centsToProb(kalshi.book?.no.mid)
+  });
+
+  // Whole strike ladder: market-implied distribution vs the model's own
+  const impliedDist = kalshi.ok ? buildImpliedDistribution(kalshi.ladder.strikes) : null;
+  const ladderView = kalshi.ok ? compareLadderToModel(kalshi.ladder.strikes, impliedDist, modelDist, {
+    count: CONFIG.kalshi.maxPositionSize,
+    liquidity: CONFIG.kalshi.feeMode
+  }) : null;
+
+  const rec = decide({ remainingMinutes: timeLeftMin, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp, modelDown });
+
+  // Resting entries first (timeouts, repricing), then exits before entries, so a reversal
+  // sells the old side before the gate looks at it
+  const executionsDone = executor ? await manageExecutions(state, kalshi, { kalshiStream }) : [];
+  const exitsPlaced = exitManager ? await manageExits(state, kalshi, rec, { timing, kalshiStream }) : [];
+
+  // Size the entry from balance, model probability and the book within acceptable slippage
+  const size = rec.action === "ENTER" && kalshi.ok
+    ? computePositionSize({
+      side: rec.side === "UP" ? "yes" : "no",
+      winProb: rec.side === "UP" ? modelUp : modelDown,
+      book: kalshi.book,
+      balance: portfolio?.getBalance() ?? (CONFIG.sizing.bankroll || null),
+      strength: rec.strength,
+      capacity: riskManager ? (price) => riskManager.capacity({ ticker: kalshi.ticker, price }) : null
+    })
+    : null;
+
+  // Execute trade if needed
+  const tradeResult = await executeTradeIfNeeded(rec, kalshi, lastPrice, size);
+
+  const vwapSlopeLabel = vwapSlope === null ? "-" : vwapSlope > 0 ? "UP" : vwapSlope < 0 ? "DOWN" : "FLAT";
+  const macdLabel = macd === null
+    ? "-"
+    : macd.hist < 0
+      ? (macd.histDelta !== null && macd.histDelta < 0 ? "bearish (expanding)" : "bearish")
+      : (macd.histDelta !== null && macd.histDelta > 0 ? "bullish (expanding)" : "bullish");
+
+  const lastCandle = klines1m.length ? klines1m[klines1m.length - 1] : null;
+  const lastClose = lastCandle?.close ?? null;
+  const close1mAgo = klines1m.length >= 2 ? klines1m[klines1m.length - 2]?.close ?? null : null;
+  const close3mAgo = klines1m.length >= 4 ? klines1m[klines1m.length - 4]?.close ?? null : null;
+  const delta1m = lastClose !== null && close1mAgo !== null ? lastClose - close1mAgo : null;
+  const delta3m = lastClose !== null && close3mAgo !== null ? lastClose - close3mAgo : null;
+
+  const haNarrative = (consec.color ?? "").toLowerCase() === "green" ? "LONG" : (consec.color ?? "").toLowerCase() === "red" ? "SHORT" : "NEUTRAL";
+  const rsiNarrative = narrativeFromSlope(rsiSlope);
+  const macdNarrative = narrativeFromSign(macd?.hist ?? null);
+  const vwapNarrative = narrativeFromSign(vwapDist);
+
+  const pLong = timeAware?.adjustedUp ?? null;
+  const pShort = timeAware?.adjustedDown ?? null;
+  const predictValue = `${ANSI.green}LONG${ANSI.reset} ${ANSI.green}${formatProbPct(pLong, 0)}${ANSI.reset} / ${ANSI.red}SHORT${ANSI.reset} ${ANSI.red}${formatProbPct(pShort, 0)}${ANSI.reset}`;
+
+  const marketUpStr = `${(marketUp * 100).toFixed(1) ?? "-"}${marketUp === null || marketUp === undefined ? "" : "¢"}`;
+  const marketDownStr = `${(marketDown * 100).toFixed(1) ?? "-"}${marketDown === null || marketDown === undefined ? "" : "¢"}`;
+  const kalshiHeaderValue = `${ANSI.green}↑ YES${ANSI.reset} ${marketUpStr}  |  ${ANSI.red}↓ NO${ANSI.reset} ${marketDownStr}`;
+
+  const fmtCents = (x) => (x === null || x === undefined ? "-" : `${x}¢`);
+  const bookValue = kalshi.ok
+    ? `YES ${fmtCents(kalshi.orderbook.up.bestBid)}/${fmtCents(kalshi.orderbook.up.bestAsk)}  |  NO ${fmtCents(kalshi.orderbook.down.bestBid)}/${fmtCents(kalshi.orderbook.down.bestAsk)}`
+    : "-";
+
+  const heikenValue = `${consec.color ?? "-"} x${consec.count}`;
+  const heikenLine = formatNarrativeValue("Heiken Ashi", heikenValue, haNarrative);
+
+  const rsiArrow = rsiSlope !== null && rsiSlope < 0 ? "↓" : rsiSlope !== null && rsiSlope > 0 ? "↑" : "-";
+  const rsiValue = `${formatNumber(rsiNow, 1)} ${rsiArrow}`;
+  const rsiLine = formatNarrativeValue("RSI", rsiValue, rsiNarrative);
+
+  const macdLine = formatNarrativeValue("MACD", macdLabel, macdNarrative);
+
+  const delta1Narrative = narrativeFromSign(delta1m);
+  const delta3Narrative = narrativeFromSign(delta3m);
+  const deltaValue = `${colorByNarrative(formatSignedDelta(delta1m, lastClose), delta1Narrative)} | ${colorByNarrative(formatSignedDelta(delta3m, lastClose), delta3Narrative)}`;
+
+  const vwapValue = `${formatNumber(vwapNow, 0)} (${formatPct(vwapDist, 2)}) | slope: ${vwapSlopeLabel}`;
+  const vwapLine = formatNarrativeValue("VWAP", vwapValue, vwapNarrative);
+
+  const bp = (x) => (x === null ? "-" : (x * 10_000).toFixed(1));
+  const volRow = (v) => `c2c ${bp(v.closeToClose)} | park ${bp(v.parkinson)} | gk ${bp(v.garmanKlass)} | ewma ${bp(v.ewma)}`;
+  const volValue = volRow(vol.perMinute);
+  const vol5mValue = volRow(vol.perMinute5m);
+  const volColor = vol.regime.level === "HIGH" ? ANSI.red : vol.regime.level === "LOW" ? ANSI.gray : ANSI.reset;
+  const volRemainingValue = vol.sigmaRemaining === null
+    ? "-"
+    : `±$${formatNumber(lastPrice * vol.sigmaRemaining, 0)} (${formatPct(vol.sigmaRemaining, 2)}) | ${volColor}${vol.regime.level}${vol.regime.ratio !== null ? ` x${vol.regime.ratio.toFixed(2)}` : ""}${ANSI.reset}`;
+
+  const indexValue = index?.price
+    ? `$${formatNumber(index.price, 2)} (${index.used}/${index.exchanges.length} ex) | Coinbase ${basis.bps >= 0 ? "+" : ""}${basis.bps.toFixed(1)}bp`
+    : `${ANSI.gray}- (using Coinbase)${ANSI.reset}`;
+
+  const signal = rec.action === "ENTER" ? (rec.side === "UP" ? "BUY YES" : "BUY NO") : "NO TRADE";
+
+  const spotPrice = wsPrice ?? lastPrice;
+  const currentPrice = lastPrice;
+
+  const spotPriceLine = colorPriceLine({ label: `${state.asset} (Coinbase)`, price: spotPrice, prevPrice: state.prevSpotPrice, decimals: 2, prefix: "$" });
+  const currentPriceLine = colorPriceLine({ label: "CURRENT PRICE", price: currentPrice, prevPrice: state.prevCurrentPrice, decimals: 2, prefix: "$" });
+
+  const marketTitle = kalshi.ok ? `${state.series}: ${kalshi.ticker}` : `${state.series}: -`;
+  const timeColor = timeLeftMin >= 40 && timeLeftMin <= 60
+    ? ANSI.green
+    : timeLeftMin >= 20 && timeLeftMin < 40
+      ? ANSI.yellow
+      : timeLeftMin >= 0 && timeLeftMin < 20
+        ? ANSI.red
+        : ANSI.reset;
+
+  const currentPosition = kalshi.ok ? orderManager?.getPosition(kalshi.ticker) ?? null : null;
+  const openOrders = orderManager?.getOpenOrders() ?? [];
+  const openOrdersStr = openOrders.length ? ` | ${openOrders.length} open order${openOrders.length === 1 ? "" : "s"}` : "";
+  const tradeStatusLine = tradeResult?.success
+    ? `${ANSI.green}✓ Order sent: ${tradeResult.order.side.toUpperCase()} x${tradeResult.order.count} @ ${tradeResult.order.price}¢ (${tradeResult.execution.strategy}, ${tradeResult.order.status})${ANSI.reset}${openOrdersStr}`
+    : currentPosition
+      ? `Position: ${currentPosition.side.toUpperCase()} x${currentPosition.count} @ ${(currentPosition.avgPrice * 100).toFixed(1)}¢${openOrdersStr}`
+      : `No active position${openOrdersStr}`;
+  const pnl = portfolio?.getPnl({ markCents: markAcrossSeries }) ?? null;
+  const balance = portfolio?.getBalance() ?? null;
+  const fmtUsd = (x) => `${x < 0 ? "-" : "+"}$${Math.abs(x).toFixed(2)}`;
+  const balanceStr = portfolio
+    ? ` | Bal ${balance === null ? "-" : `$${formatNumber(balance, 2)}`} | Day P&L ${pnl ? `${pnl.day.total < 0 ? ANSI.red : ANSI.green}${fmtUsd(pnl.day.total)}${ANSI.reset}` : "-"}`
+    : "";
+  const risk = riskManager?.getStatus() ?? null;
+  const kill = killSwitch?.getStatus() ?? null;
+  const riskStr = !risk
+    ? ""
+    : kill.active
+      ? ` | ${ANSI.red}KILL SWITCH: ${kill.reason}${ANSI.reset}`
+      : risk.halted
+      ? ` | ${ANSI.red}HALTED: ${risk.halt.reason}${ANSI.reset}`
+      : ` | Trades ${risk.tradesToday}/${CONFIG.risk.maxTradesPerDay}${tradeResult?.error?.startsWith("risk:") ? ` ${ANSI.yellow}(blocked: ${tradeResult.error.slice(5)})${ANSI.reset}` : ""}`;
+  const skipReason = tradeResult?.skipped && !tradeResult.error.startsWith("risk:") ? tradeResult.error : null;
+  const skipStr = skipReason && !skipReason.startsWith("entries_paused") && skipReason !== "kill_switch" ? ` ${ANSI.gray}(skipped: ${skipReason})${ANSI.reset}` : "";
+  const seriesExits = exitManager?.getExits({ prefix: `${state.series}-` }) ?? [];
+  const lastExit = seriesExits[seriesExits.length - 1] ?? null;
+  const exitValue = lastExit
+    ? `${exitsPlaced.some((e) => e.time === lastExit.time) ? ANSI.yellow : ANSI.gray}${lastExit.reason} ${lastExit.side.toUpperCase()} x${lastExit.count} @ ${lastExit.price}¢ (${formatPct(lastExit.pnlPct, 1)})${lastExit.ok ? "" : ` error: ${lastExit.error}`}${ANSI.reset}`
+    : "-";
+  const seriesExecutions = executor?.getResults({ prefix: `${state.series}-` }) ?? [];
+  const lastExecution = seriesExecutions[seriesExecutions.length - 1] ?? null;
+  const workingCount = executor?.getWorking({ prefix: `${state.series}-` }).length ?? 0;
+  const executionValue = lastExecution
+    ? `${executionsDone.some((r) => r.clientOrderId === lastExecution.clientOrderId) ? ANSI.yellow : ANSI.gray}${lastExecution.outcome} ${lastExecution.strategy} ${lastExecution.filled}/${lastExecution.count}${lastExecution.avgFillPrice !== null ? ` @ ${lastExecution.avgFillPrice.toFixed(1)}¢` : ""}${lastExecution.slippage !== null ? ` (slip ${lastExecution.slippage >= 0 ? "+" : ""}${lastExecution.slippage.toFixed(1)}¢)` : ""}${ANSI.reset}${workingCount ? ` | ${workingCount} working` : ""}`
+    : workingCount ? `${workingCount} working` : "-";
+  const pauseStr = clockNow() < entryPause.until ? ` ${ANSI.yellow}(entries paused: ${entryPause.reason})${ANSI.reset}` : "";
+
+  const lines = [
+    `${ANSI.white}${centerText(marketTitle, screenWidth())}${ANSI.reset}`,
+    kv("Time left:", `${timeColor}${fmtTimeLeft(timeLeftMin)}${ANSI.reset}`),
+    "",
+    sepLine(),
+    "",
+    kv("TA Predict:", predictValue),
+    kv("Heiken Ashi:", heikenLine.split(": ")[1] ?? heikenLine),
+    kv("RSI:", rsiLine.split(": ")[1] ?? rsiLine),
+    kv("MACD:", macdLine.split(": ")[1] ?? macdLine),
+    kv("Delta 1/3:", deltaValue),
+    kv("VWAP:", vwapLine.split(": ")[1] ?? vwapLine),
+    kv("Vol (bp/min):", volValue),
+    kv("Vol 5m (bp/min):", vol5mValue),
+    kv("Vol to close:", volRemainingValue),
+    kv("Index:", indexValue),
+    "",
+    sepLine(),
+    "",
+    kv("KALSHI:", kalshiHeaderValue),
+    kv("Book (bid/ask):", bookValue),
+    kv("Model P(>K):", strikeUp !== null ? `${formatProbPct(strikeUp, 1)} above $${formatNumber(strikePrice, 2)}` : `${ANSI.gray}- (TA only)${ANSI.reset}`),
+    kv("Signal:", signal),
+    kv("Size:", size
+      ? size.contracts > 0
+        ? `${size.contracts} @ <=${size.limitPrice}¢ ($${size.cost.toFixed(2)}, ${size.method}${size.cappedBy ? `, capped by ${size.cappedBy}` : ""})`
+        : `${ANSI.gray}0 (${size.reason})${ANSI.reset}`
+      : "-"),
+    kv("Edge UP:", edgeLine(edge.edgeUp, edge.grossEdgeUp, edge.feeUp)),
+    kv("Edge DOWN:", edgeLine(edge.edgeDown, edge.grossEdgeDown, edge.feeDown)),
+    "",
+    sepLine(),
+    "",
+    ...ladderLines(ladderView, modelPrice),
+    kv("Implied median:", impliedDist?.median ? `$${formatNumber(impliedDist.median, 0)}${impliedDist.monotonic ? "" : ` ${ANSI.yellow}(${impliedDist.violations} non-monotonic)${ANSI.reset}`}` : "-"),
+    kv("Best strike:", ladderView?.best ? `${ladderView.best.side.toUpperCase()} ${ladderView.best.ticker} (${(ladderView.best.edge * 100).toFixed(1)}%)` : "-"),
+    "",
+    sepLine(),
+    "",
+    kv("", currentPriceLine.split(": ")[1] ?? currentPriceLine),
+    "",
+    sepLine(),
+    "",
+    kv("Status:", `${tradeStatusLine}${balanceStr}${riskStr}${skipStr}${pauseStr}`),
+    ...(executor ? [kv("Execution:", executionValue)] : []),
+    ...(exitManager ? [kv("Last exit:", exitValue)] : []),
+    kv("ET Time:", `${ANSI.white}${fmtEtTime()}${ANSI.reset}`),
+    "",
+    sepLine()
   ];
 
+  state.prevSpotPrice = spotPrice ?? state.prevSpotPrice;
+  state.prevCurrentPrice = currentPrice ?? state.prevCurrentPrice;
+
+  appendCsvRow(state.csvPath, CSV_HEADER, [
+    new Date(clockNow()).toISOString(),
+    timing.elapsedMinutes.toFixed(3),
+    timeLeftMin.toFixed(3),
+    regimeInfo.regime,
+    signal,
+    modelUp,
+    modelDown,
+    marketUp,
+    marketDown,
+    edge.edgeUp,
+    edge.edgeDown,
+    rec.action === "ENTER" ? `${rec.side}:${rec.phase}:${rec.strength}` : "NO_TRADE",
+    tradeResult?.success ? "YES" : "NO",
+    kalshi.ticker || null,
+    strikePrice,
+    kalshi.prices?.up ?? null,
+    kalshi.prices?.down ?? null
+  ]);
+
+  // Write JSON signal for moltbot integration
+  const jsonSignal = {
+    timestamp: new Date(clockNow()).toISOString(),
+    series: state.series,
+    product_id: state.productId,
+    trading_mode: tradingMode,
+    ticker: kalshi.ticker || null,
+    spot_price: lastPrice,
+    model_price: modelPrice,
+    btc_price: lastPrice,
+    signal: rec.action === "ENTER" ? (rec.side === "UP" ? "BUY_YES" : "BUY_NO") : "NO_TRADE",
+    signal_side: rec.side || null,
+    phase: rec.phase || null,
+    strength: rec.strength || null,
+    edge_up: edge.edgeUp,
+    edge_down: edge.edgeDown,
+    gross_edge_up: edge.grossEdgeUp,
+    gross_edge_down: edge.grossEdgeDown,
+    fee_up: edge.feeUp,
+    fee_down: edge.feeDown,
+    spread_cost_up: edge.spreadCostUp,
+    spread_cost_down: edge.spreadCostDown,
+    best_edge: rec.action === "ENTER" ? (rec.side === "UP" ? edge.edgeUp : edge.edgeDown) : null,
+    recommended_contracts: size?.contracts ?? 0,
+    trade_skipped: tradeResult?.skipped ? tradeResult.error : null,
+    sizing: size
+      ? {
+        method: size.method,
+        contracts: size.contracts,
+        cost: size.cost,
+        avg_price: size.avgPrice,
+        limit_price: size.limitPrice,
+        win_prob: size.winProb,
+        breakeven: size.breakeven,
+        kelly: size.kelly,
+        fraction: size.fraction,
+        depth: size.depth,
+        capped_by: size.cappedBy,
+        reason: size.reason
+      }
+      : null,
+    strike: strikePrice,
+    model_up: modelUp,
+    model_down: modelDown,
+    ta_up: timeAware.adjustedUp,
+    market_yes: marketUp,
+    market_no: marketDown,
+    time_remaining_min: timeLeftMin,
+    regime: regimeInfo.regime,
+    index: index
+      ? {
+        price: index.price,
+        exchanges_used: index.used,
+        basis_coinbase: basis.diff,
+        basis_coinbase_bps: basis.bps,
+        exchanges: index.exchanges.map((e) => ({
+          exchange: e.exchange,
+          price: e.price,
+          volume: e.volume,
+          included: e.included,
+          excluded_reason: e.reason
+        }))
+      }
+      : null,
+    volatility: {
+      estimator: vol.estimator,
+      per_minute: {
+        close_to_close: vol.perMinute.closeToClose,
+        parkinson: vol.perMinute.parkinson,
+        garman_klass: vol.perMinute.garmanKlass,
+        ewma: vol.perMinute.ewma
+      },
+      per_minute_5m: {
+        close_to_close: vol.perMinute5m.closeToClose,
+        parkinson: vol.perMinute5m.parkinson,
+        garman_klass: vol.perMinute5m.garmanKlass,
+        ewma: vol.perMinute5m.ewma
+      },
+      baseline_per_minute: vol.baselinePerMinute,
+      sigma_remaining: vol.sigmaRemaining,
+      regime: vol.regime.level,
+      regime_ratio: vol.regime.ratio
+    },
+    rsi: rsiNow,
+    macd_signal: macd?.hist < 0 ? "bearish" : "bullish",
+    heiken_ashi: {
+      color: consec.color,
+      count: consec.count
+    },
+    account: portfolio
+      ? {
+        balance,
+        day_pnl: pnl?.day.total ?? null,
+        realized_pnl: pnl?.realized ?? null,
+        unrealized_pnl: pnl?.unrealized ?? null
+      }
+      : null,
+    kill_switch: kill
+      ? { active: kill.active, reason: kill.reason, since: kill.since, path: kill.path }
+      : null,
+    risk: risk
+      ? {
+        halted: risk.halted,
+        halt_reason: risk.halt?.reason ?? null,
+        halted_since: risk.halt?.since ?? null,
+        trades_today: risk.tradesToday,
+        max_trades_per_day: CONFIG.risk.maxTradesPerDay,
+        spent_today: risk.spentToday,
+        daily_loss_limit: risk.dailyLossLimit,
+        loss_streak: risk.lossStreak,
+        blocked: tradeResult?.error?.startsWith("risk:") ? tradeResult.error.slice(5) : null
+      }
+      : null,
+    position: currentPosition
+      ? { side: currentPosition.side, count: currentPosition.count, avg_price: currentPosition.avgPrice }
+      : null,
+    executions: executor
+      ? seriesExecutions.slice(-5).map((r) => ({
+        time: new Date(r.time).toISOString(),
+        ticker: r.ticker,
+        side: r.side,
+        strategy: r.strategy,
+        count: r.count,
+        filled: r.filled,
+        first_price: r.firstPrice,
+        last_price: r.lastPrice,
+        avg_fill_price: r.avgFillPrice,
+        signal_price: r.signalPrice,
+        slippage_cents: r.slippage,
+        reprices: r.reprices,
+        duration_ms: r.durationMs,
+        outcome: r.outcome
+      }))
+      : null,
+    exits: exitManager
+      ? seriesExits.slice(-5).map((e) => ({
+        time: new Date(e.time).toISOString(),
+        ticker: e.ticker,
+        side: e.side,
+        reason: e.reason,
+        count: e.count,
+        held: e.held,
+        limit_price: e.price,
+        avg_price: e.avgPrice,
+        exit_price: e.exitPrice,
+        pnl_pct: e.pnlPct,
+        ok: e.ok,
+        error: e.error
+      }))
+      : null,
+    open_orders: openOrders.map((o) => ({
+      client_order_id: o.clientOrderId,
+      order_id: o.orderId,
+      ticker: o.ticker,
+      side: o.side,
+      action: o.action,
+      price: o.price,
+      count: o.count,
+      filled: o.filledCount,
+      status: o.status
+    })),
+    ladder: ladderView
+      ? {
+        event_ticker: kalshi.ladder.eventTicker,
+        close_time: kalshi.ladder.closeTime,
+        implied_median: impliedDist.median,
+        monotonic: impliedDist.monotonic,
+        monotonic_violations: impliedDist.violations,
+        model_mean: modelDist?.mean ?? null,
+        model_sd: modelDist?.sd ?? null,
+        best: ladderView.best,
+        strikes: ladderView.rows.map((r) => ({
+          ticker: r.ticker,
+          strike: r.strike,
+          yes_bid: r.yesBid,
+          yes_ask: r.yesAsk,
+          no_bid: r.noBid,
+          no_ask: r.noAsk,
+          implied_above: r.impliedAbove,
+          model_above: r.modelAbove,
+          edge_yes: r.edgeYes,
+          edge_no: r.edgeNo
+        }))
+      }
+      : null
+  };
+
+  // Signal changes (not every poll) go to the state store
+  const lastStored = store.getLastSignal(state.series);
+  if (!lastStored || lastStored.signal !== jsonSignal.signal || lastStored.ticker !== jsonSignal.ticker) {
+    store.record("signal", {
+      series: state.series,
+      time: jsonSignal.timestamp,
+      ticker: jsonSignal.ticker,
+      signal: jsonSignal.signal,
+      phase: jsonSignal.phase,
+      strength: jsonSignal.strength,
+      edge_up: jsonSignal.edge_up,
+      edge_down: jsonSignal.edge_down,
+      model_up: modelUp,
+      model_down: modelDown
+    });
+  }
+
+  writeJsonAtomic(state.signalPath, jsonSignal);
+  // The first series also keeps the un-namespaced file existing moltbot setups read
+  if (state.primary) writeJsonAtomic(`${logDir}/current-signal.json`, jsonSignal);
+
+  return lines;
+}
+
+async function main() {
+  const productIds = [...new Set(CONFIG.series.map((x) => x.productId))];
+
+  // Composite index; its Coinbase leg rides on the shared ticker stream instead of a second connection
+  const indexExchanges = CONFIG.compositeIndex.exchanges;
+  const composite = CONFIG.compositeIndex.enabled
+    ? startCompositeIndexStream({ productIds, exchanges: replay ? [] : indexExchanges.filter((x) => x !== "coinbase") })
+    : null;
+  if (composite && replay) replay.feedCompositeIndex(composite, { productIds });
+  const feedIndex = composite && indexExchanges.includes("coinbase")
+    ? (productId, tick) => composite.ingest("coinbase", productId, { price: tick.price, size: tick.lastSize ?? 0, time: tick.time })
+    : null;
+
+  // One Coinbase connection for every product, one Kalshi stream for every series
+  // (a replay feeds the recorded ticks instead, and books come from the recorded REST responses)
+  const coinbaseStream = replay
+    ? replay.coinbaseStream({ productIds, onTick: feedIndex })
+    : startCoinbaseTickerStream({ productIds, onTick: feedIndex });
+  const kalshiStream = CONFIG.kalshi.wsEnabled && !replay ? startKalshiMarketStream() : null;
+
   console.log(`${ANSI.green}═══════════════════════════════════════════${ANSI.reset}`);
   console.log(`${ANSI.green}  Kalshi KXBTC Hourly Trading Assistant   ${ANSI.reset}`);
   console.log(`${ANSI.green}═══════════════════════════════════════════${ANSI.reset}\n`);
-  console.log(`Auto-trading: ${CONFIG.kalshi.autoTrade ? `${ANSI.green}ENABLED${ANSI.reset}` : `${ANSI.yellow}DISABLED${ANSI.reset}`}`);
+  console.log(`Series: ${CONFIG.series.map((x) => `${x.series} (${x.productId})`).join(", ")}`);
+  console.log(`Auto-trading: ${paperExchange ? `${ANSI.yellow}PAPER${ANSI.reset} ($${formatNumber(paperExchange.getStatus().balance, 2)})` : CONFIG.kalshi.autoTrade ? `${ANSI.green}ENABLED${ANSI.reset}` : `${ANSI.yellow}DISABLED${ANSI.reset}`}`);
   console.log(`Max position: ${CONFIG.kalshi.maxPositionSize} contracts`);
+  console.log(`Kalshi book: ${kalshiStream ? "WebSocket stream" : "REST polling"}`);
+  if (recorder) console.log(`Recording market data to ${CONFIG.recorder.dir}`);
+  if (replay) console.log(`Replaying ${CONFIG.replay.path} (${new Date(replay.startMs).toISOString()} to ${new Date(replay.endMs).toISOString()}, speed ${CONFIG.replay.speed}) into ${logDir}`);
   console.log(`Phase thresholds: EARLY 5% | MID 10% | LATE 20%\n`);
 
-  await sleep(2000);
+  // First signal: finish the tick, cancel resting orders, flush and close. Second: exit now
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      console.error(`[Shutdown] ${signal} again, exiting without cleanup`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\n[Shutdown] ${signal} received, stopping after this tick...`);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  await clockSleep(2000);
 
-  while (true) {
-    const timing = getCandleWindowTiming(CONFIG.candleWindowMinutes);
+  // Fast replays skip the screen and print where they are every 10 virtual minutes
+  const quietReplay = replay && CONFIG.replay.speed === "fast";
+  let lastProgress = null;
 
-    const wsTick = coinbaseStream.getLast();
-    const wsPrice = wsTick?.price ?? null;
+  while (!shuttingDown && !replay?.finished()) {
+    const timing = getCandleWindowTiming(CONFIG.candleWindowMinutes);
 
     try {
-      // Fetch price first to select optimal Kalshi strike
-      const lastPrice = await fetchLastPrice();
-
-      const [klines1m, klines5m, kalshi] = await Promise.all([
-        fetchKlines({ interval: "1m", limit: 240 }),
-        fetchKlines({ interval: "5m", limit: 200 }),
-        fetchKalshiSnapshot(lastPrice)
-      ]);
-
-      const candles = klines1m;
-      const closes = candles.map((c) => c.close);
-
-      const vwap = computeSessionVwap(candles);
-      const vwapSeries = computeVwapSeries(candles);
-      const vwapNow = vwapSeries[vwapSeries.length - 1];
-
-      const lookback = CONFIG.vwapSlopeLookbackMinutes;
-      const vwapSlope = vwapSeries.length >= lookback ? (vwapNow - vwapSeries[vwapSeries.length - lookback]) / lookback : null;
-      const vwapDist = vwapNow ? (lastPrice - vwapNow) / vwapNow : null;
-
-      const rsiNow = computeRsi(closes, CONFIG.rsiPeriod);
-      const rsiSeries = [];
-      for (let i = 0; i < closes.length; i += 1) {
-        const sub = closes.slice(0, i + 1);
-        const r = computeRsi(sub, CONFIG.rsiPeriod);
-        if (r !== null) rsiSeries.push(r);
-      }
-      const rsiMa = sma(rsiSeries, CONFIG.rsiMaPeriod);
-      const rsiSlope = slopeLast(rsiSeries, 3);
-
-      const macd = computeMacd(closes, CONFIG.macdFast, CONFIG.macdSlow, CONFIG.macdSignal);
-      const ha = computeHeikenAshi(candles);
-      const consec = countConsecutive(ha);
-
-      const vwapCrossCount = countVwapCrosses(closes, vwapSeries, 20);
-      const volumeRecent = candles.slice(-20).reduce((a, c) => a + c.volume, 0);
-      const volumeAvg = candles.slice(-120).reduce((a, c) => a + c.volume, 0) / 6;
-
-      const failedVwapReclaim = vwapNow !== null && vwapSeries.length >= 3
-        ? closes[closes.length - 1] < vwapNow && closes[closes.length - 2] > vwapSeries[vwapSeries.length - 2]
-        : false;
-
-      const regimeInfo = detectRegime({
-        price: lastPrice,
-        vwap: vwapNow,
-        vwapSlope,
-        vwapCrossCount,
-        volumeRecent,
-        volumeAvg
-      });
-
-      const scored = scoreDirection({
-        price: lastPrice,
-        vwap: vwapNow,
-        vwapSlope,
-        rsi: rsiNow,
-        rsiSlope,
-        macd,
-        heikenColor: consec.color,
-        heikenCount: consec.count,
-        failedVwapReclaim
-      });
-
-      const timeLeftMin = timing.remainingMinutes;
-      const timeAware = applyTimeAwareness(scored.rawUp, timeLeftMin, CONFIG.candleWindowMinutes);
-
-      const marketUp = kalshi.ok ? kalshi.prices.up : null;
-      const marketDown = kalshi.ok ? kalshi.prices.down : null;
-      const edge = computeEdge({ modelUp: timeAware.adjustedUp, modelDown: timeAware.adjustedDown, marketYes: marketUp, marketNo: marketDown });
-
-      const rec = decide({ remainingMinutes: timeLeftMin, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp: timeAware.adjustedUp, modelDown: timeAware.adjustedDown });
-
-      // Execute trade if needed
-      const tradeResult = await executeTradeIfNeeded(rec, kalshi, lastPrice);
-
-      const vwapSlopeLabel = vwapSlope === null ? "-" : vwapSlope > 0 ? "UP" : vwapSlope < 0 ? "DOWN" : "FLAT";
-      const macdLabel = macd === null
-        ? "-"
-        : macd.hist < 0
-          ? (macd.histDelta !== null && macd.histDelta < 0 ? "bearish (expanding)" : "bearish")
-          : (macd.histDelta !== null && macd.histDelta > 0 ? "bullish (expanding)" : "bullish");
-
-      const lastCandle = klines1m.length ? klines1m[klines1m.length - 1] : null;
-      const lastClose = lastCandle?.close ?? null;
-      const close1mAgo = klines1m.length >= 2 ? klines1m[klines1m.length - 2]?.close ?? null : null;
-      const close3mAgo = klines1m.length >= 4 ? klines1m[klines1m.length - 4]?.close ?? null : null;
-      const delta1m = lastClose !== null && close1mAgo !== null ? lastClose - close1mAgo : null;
-      const delta3m = lastClose !== null && close3mAgo !== null ? lastClose - close3mAgo : null;
-
-      const haNarrative = (consec.color ?? "").toLowerCase() === "green" ? "LONG" : (consec.color ?? "").toLowerCase() === "red" ? "SHORT" : "NEUTRAL";
-      const rsiNarrative = narrativeFromSlope(rsiSlope);
-      const macdNarrative = narrativeFromSign(macd?.hist ?? null);
-      const vwapNarrative = narrativeFromSign(vwapDist);
-
-      const pLong = timeAware?.adjustedUp ?? null;
-      const pShort = timeAware?.adjustedDown ?? null;
-      const predictValue = `${ANSI.green}LONG${ANSI.reset} ${ANSI.green}${formatProbPct(pLong, 0)}${ANSI.reset} / ${ANSI.red}SHORT${ANSI.reset} ${ANSI.red}${formatProbPct(pShort, 0)}${ANSI.reset}`;
-
-      const marketUpStr = `${(marketUp * 100).toFixed(1) ?? "-"}${marketUp === null || marketUp === undefined ? "" : "¢"}`;
-      const marketDownStr = `${(marketDown * 100).toFixed(1) ?? "-"}${marketDown === null || marketDown === undefined ? "" : "¢"}`;
-      const kalshiHeaderValue = `${ANSI.green}↑ YES${ANSI.reset} ${marketUpStr}  |  ${ANSI.red}↓ NO${ANSI.reset} ${marketDownStr}`;
-
-      const heikenValue = `${consec.color ?? "-"} x${consec.count}`;
-      const heikenLine = formatNarrativeValue("Heiken Ashi", heikenValue, haNarrative);
-
-      const rsiArrow = rsiSlope !== null && rsiSlope < 0 ? "↓" : rsiSlope !== null && rsiSlope > 0 ? "↑" : "-";
-      const rsiValue = `${formatNumber(rsiNow, 1)} ${rsiArrow}`;
-      const rsiLine = formatNarrativeValue("RSI", rsiValue, rsiNarrative);
-
-      const macdLine = formatNarrativeValue("MACD", macdLabel, macdNarrative);
-
-      const delta1Narrative = narrativeFromSign(delta1m);
-      const delta3Narrative = narrativeFromSign(delta3m);
-      const deltaValue = `${colorByNarrative(formatSignedDelta(delta1m, lastClose), delta1Narrative)} | ${colorByNarrative(formatSignedDelta(delta3m, lastClose), delta3Narrative)}`;
-
-      const vwapValue = `${formatNumber(vwapNow, 0)} (${formatPct(vwapDist, 2)}) | slope: ${vwapSlopeLabel}`;
-      const vwapLine = formatNarrativeValue("VWAP", vwapValue, vwapNarrative);
-
-      const signal = rec.action === "ENTER" ? (rec.side === "UP" ? "BUY YES" : "BUY NO") : "NO TRADE";
-
-      const spotPrice = wsPrice ?? lastPrice;
-      const currentPrice = lastPrice;
-
-      const spotPriceLine = colorPriceLine({ label: "BTC (Coinbase)", price: spotPrice, prevPrice: prevSpotPrice, decimals: 2, prefix: "$" });
-      const currentPriceLine = colorPriceLine({ label: "CURRENT PRICE", price: currentPrice, prevPrice: prevCurrentPrice, decimals: 2, prefix: "$" });
-
-      const marketTitle = kalshi.ok ? `KXBTC: ${kalshi.ticker}` : "KXBTC: -";
-      const timeColor = timeLeftMin >= 40 && timeLeftMin <= 60
-        ? ANSI.green
-        : timeLeftMin >= 20 && timeLeftMin < 40
-          ? ANSI.yellow
-          : timeLeftMin >= 0 && timeLeftMin < 20
-            ? ANSI.red
-            : ANSI.reset;
-
-      const tradeStatusLine = tradeResult?.success
-        ? `${ANSI.green}✓ Trade executed: ${tradeResult.position.side.toUpperCase()} x${tradeResult.position.count}${ANSI.reset}`
-        : currentPosition
-          ? `Position: ${currentPosition.side.toUpperCase()} x${currentPosition.count} @ ${currentPosition.entryPrice.toFixed(2)}¢`
-          : "No active position";
-
-      const lines = [
-        `${ANSI.white}${centerText(marketTitle, screenWidth())}${ANSI.reset}`,
-        kv("Time left:", `${timeColor}${fmtTimeLeft(timeLeftMin)}${ANSI.reset}`),
-        "",
-        sepLine(),
-        "",
-        kv("TA Predict:", predictValue),
-        kv("Heiken Ashi:", heikenLine.split(": ")[1] ?? heikenLine),
-        kv("RSI:", rsiLine.split(": ")[1] ?? rsiLine),
-        kv("MACD:", macdLine.split(": ")[1] ?? macdLine),
-        kv("Delta 1/3:", deltaValue),
-        kv("VWAP:", vwapLine.split(": ")[1] ?? vwapLine),
-        "",
-        sepLine(),
-        "",
-        kv("KALSHI:", kalshiHeaderValue),
-        kv("Signal:", signal),
-        kv("Edge UP:", edge.edgeUp !== null ? `${edge.edgeUp.toFixed(2)}%` : "-"),
-        kv("Edge DOWN:", edge.edgeDown !== null ? `${edge.edgeDown.toFixed(2)}%` : "-"),
-        "",
-        sepLine(),
-        "",
-        kv("", currentPriceLine.split(": ")[1] ?? currentPriceLine),
-        "",
-        sepLine(),
-        "",
-        kv("Status:", tradeStatusLine),
-        kv("ET Time:", `${ANSI.white}${fmtEtTime(new Date())}${ANSI.reset}`),
-        "",
-        sepLine(),
-        centerText(`${ANSI.dim}${ANSI.gray}Kalshi Hourly Bot - Modified for KXBTC${ANSI.reset}`, screenWidth())
-      ];
-
-      renderScreen(lines.join("\n") + "\n");
-
-      prevSpotPrice = spotPrice ?? prevSpotPrice;
-      prevCurrentPrice = currentPrice ?? prevCurrentPrice;
-
-      appendCsvRow("./logs/kalshi-signals.csv", header, [
-        new Date().toISOString(),
-        timing.elapsedMinutes.toFixed(3),
-        timeLeftMin.toFixed(3),
-        regimeInfo.regime,
-        signal,
-        timeAware.adjustedUp,
-        timeAware.adjustedDown,
-        marketUp,
-        marketDown,
-        edge.edgeUp,
-        edge.edgeDown,
-        rec.action === "ENTER" ? `${rec.side}:${rec.phase}:${rec.strength}` : "NO_TRADE",
-        tradeResult?.success ? "YES" : "NO"
-      ]);
-
-      // Write JSON signal for moltbot integration
-      const jsonSignal = {
-        timestamp: new Date().toISOString(),
-        ticker: kalshi.ticker || null,
-        btc_price: lastPrice,
-        signal: rec.action === "ENTER" ? (rec.side === "UP" ? "BUY_YES" : "BUY_NO") : "NO_TRADE",
-        signal_side: rec.side || null,
-        phase: rec.phase || null,
-        strength: rec.strength || null,
-        edge_up: edge.edgeUp,
-        edge_down: edge.edgeDown,
-        best_edge: rec.action === "ENTER" ? (rec.side === "UP" ? edge.edgeUp : edge.edgeDown) : null,
-        model_up: timeAware.adjustedUp,
-        model_down: timeAware.adjustedDown,
-        market_yes: marketUp,
-        market_no: marketDown,
-        time_remaining_min: timeLeftMin,
-        regime: regimeInfo.regime,
-        rsi: rsiNow,
-        macd_signal: macd?.hist < 0 ? "bearish" : "bullish",
-        heiken_ashi: {
-          color: consec.color,
-          count: consec.count
+      // Kill switch flipped on: pull everything resting now, not when the orders next come up
+      if (killSwitch) {
+        const kill = killSwitch.check();
+        if (kill.changed && kill.active) {
+          const canceled = await cancelSeriesOrders();
+          console.error('[Kill Switch]', `trading disabled (${kill.reason}), canceled ${canceled.filter((c) => c.ok).length}/${canceled.length} resting orders`);
+        } else if (kill.changed) {
+          console.error('[Kill Switch]', "file removed, trading resumed");
         }
-      };
+      }
+      // Refresh order status and pull fills before deciding anything
+      if (paperExchange) {
+        const stepped = await paperExchange.step();
+        if (!stepped.ok) console.error('[Paper]', stepped.error);
+      }
+      if (orderManager) {
+        const synced = await orderManager.sync();
+        if (!synced.ok) console.error('[Order Sync]', synced.error);
+        else if (!reconciled || (clockNow() - lastReconcileAt >= RECONCILE_SETTLED_MS && holdsPastEvents())) await reconcileState();
+      }
+      if (portfolio) {
+        const synced = await portfolio.sync();
+        if (!synced.ok) console.error('[Portfolio Sync]', synced.error);
+      }
+      if (riskManager) {
+        riskManager.update({
+          balance: portfolio?.getBalance() ?? null,
+          dayStartBalance: portfolio?.getDayStartBalance() ?? null,
+          pnl: portfolio?.getPnl({ markCents: markAcrossSeries }) ?? null,
+          positions: orderManager.getPositions(),
+          openOrders: orderManager.getOpenOrders()
+        });
+      }
+    } catch (err) {
+      console.error('[Sync]', err?.message ?? String(err));
+    }
 
-      fs.writeFileSync("./logs/current-signal.json", JSON.stringify(jsonSignal, null, 2));
+    const blocks = [];
+    for (const state of seriesStates) {
+      try {
+        blocks.push(await tickSeries(state, { timing, coinbaseStream, kalshiStream, composite }));
+      } catch (err) {
+        blocks.push([
+          `${ANSI.white}${centerText(`${state.series}: -`, screenWidth())}${ANSI.reset}`,
+          "────────────────────────────────",
+          `Error: ${err?.message ?? String(err)}`,
+          "────────────────────────────────",
+          ""
+        ]);
+      }
+    }
 
-    } catch (err) {
-      console.log("────────────────────────────────");
-      console.log(`Error: ${err?.message ?? String(err)}`);
-      console.log("────────────────────────────────");
+    if (quietReplay) {
+      const slot = Math.floor(clockNow() / 600_000);
+      if (slot !== lastProgress) {
+        lastProgress = slot;
+        console.log(`[Replay] ${new Date(clockNow()).toISOString()}`);
+      }
+    } else {
+      renderScreen([
+        ...blocks.flat(),
+        centerText(`${ANSI.dim}${ANSI.gray}Kalshi Hourly Bot - ${CONFIG.series.map((x) => x.series).join(", ")}${paperExchange ? " - PAPER" : replay ? " - REPLAY" : ""}${ANSI.reset}`, screenWidth())
+      ].join("\n") + "\n");
     }
 
-    await sleep(CONFIG.pollIntervalMs);
+    if (!shuttingDown) await clockSleep(CONFIG.pollIntervalMs);
+  }
+
+  if (replay) {
+    const { records, served, missed } = replay.getStatus();
+    console.log(`[Replay] done: ${records} records, ${served} responses served, ${missed} requests not in the recording`);
+  }
+
+  await shutdown({ coinbaseStream, kalshiStream, composite });
+}
+
+/**
+ * Orderly exit: cancel what rests in our series, write the ledger and a state snapshot,
+ * close the streams
+ * Anything still running after 15s is abandoned.
+ */
+async function shutdown({ coinbaseStream, kalshiStream, composite }) {
+  setTimeout(() => {
+    console.error('[Shutdown] timed out, exiting');
+    process.exit(1);
+  }, 15_000).unref();
+
+  if (orderManager) {
+    const canceled = await cancelSeriesOrders();
+    const failed = canceled.filter((c) => !c.ok);
+    console.log(`[Shutdown] canceled ${canceled.length - failed.length}/${canceled.length} resting orders`);
+    for (const c of failed) console.error('[Shutdown] cancel failed', c.ticker, c.error);
+  }
+  store.snapshot();
+  if (portfolio) {
+    const synced = await portfolio.sync({ force: true });
+    if (!synced.ok) console.error('[Shutdown] portfolio sync', synced.error);
+  }
+
+  coinbaseStream.cleanup();
+  kalshiStream?.close();
+  composite?.close();
+  if (recorder) {
+    setMarketRecorder(null);
+    await recorder.close();
   }
+  console.log("[Shutdown] done");
+  process.exit(0);
 }
 
 main().catch((err) => {
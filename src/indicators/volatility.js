@@ -0,0 +1,130 @@
+function validCandles(candles) {
+  return (Array.isArray(candles) ? candles : []).filter(
+    (c) => c && c.open > 0 && c.high > 0 && c.low > 0 && c.close > 0
+  );
+}
+
+function logReturns(candles) {
+  const out = [];
+  for (let i = 1; i < candles.length; i += 1) {
+    out.push(Math.log(candles[i].close / candles[i - 1].close));
+  }
+  return out;
+}
+
+/**
+ * Close-to-close: sample stdev of log returns, per bar
+ */
+export function closeToCloseVol(candles, lookback) {
+  const slice = validCandles(candles).slice(-(lookback + 1));
+  const rets = logReturns(slice);
+  if (rets.length < 2) return null;
+  const mean = rets.reduce((a, b) => a + b, 0) / rets.length;
+  const variance = rets.reduce((a, r) => a + (r - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Parkinson: high/low range estimator, per bar
+ */
+export function parkinsonVol(candles, lookback) {
+  const slice = validCandles(candles).slice(-lookback);
+  if (slice.length < 2) return null;
+  const sum = slice.reduce((a, c) => a + Math.log(c.high / c.low) ** 2, 0);
+  return Math.sqrt(sum / (4 * Math.LN2 * slice.length));
+}
+
+/**
+ * Garman-Klass: OHLC estimator, per bar
+ */
+export function garmanKlassVol(candles, lookback) {
+  const slice = validCandles(candles).slice(-lookback);
+  if (slice.length < 2) return null;
+  const k = 2 * Math.LN2 - 1;
+  const sum = slice.reduce((a, c) => {
+    const hl = Math.log(c.high / c.low);
+    const co = Math.log(c.close / c.open);
+    return a + 0.5 * hl * hl - k * co * co;
+  }, 0);
+  const variance = sum / slice.length;
+  return variance > 0 ? Math.sqrt(variance) : null;
+}
+
+/**
+ * EWMA (RiskMetrics) of squared log returns, per bar
+ */
+export function ewmaVol(candles, lambda = 0.94) {
+  const rets = logReturns(validCandles(candles));
+  if (rets.length < 2) return null;
+  let variance = rets[0] * rets[0];
+  for (let i = 1; i < rets.length; i += 1) {
+    variance = lambda * variance + (1 - lambda) * rets[i] * rets[i];
+  }
+  return Math.sqrt(variance);
+}
+
+function perMinute(volPerBar, barMinutes) {
+  return volPerBar === null ? null : volPerBar / Math.sqrt(barMinutes);
+}
+
+/**
+ * Classify short-horizon vol against the longer baseline
+ */
+export function classifyVolRegime(shortPerMinute, longPerMinute, { high = 1.5, low = 0.67 } = {}) {
+  if (shortPerMinute === null || longPerMinute === null || longPerMinute === 0) {
+    return { level: "UNKNOWN", ratio: null };
+  }
+  const ratio = shortPerMinute / longPerMinute;
+  const level = ratio >= high ? "HIGH" : ratio <= low ? "LOW" : "NORMAL";
+  return { level, ratio };
+}
+
+// The four estimators over the last `bars` candles, per minute
+function estimatorsFor(candles, bars, barMinutes, ewmaLambda) {
+  return {
+    closeToClose: perMinute(closeToCloseVol(candles, bars), barMinutes),
+    parkinson: perMinute(parkinsonVol(candles, bars), barMinutes),
+    garmanKlass: perMinute(garmanKlassVol(candles, bars), barMinutes),
+    ewma: perMinute(ewmaVol(validCandles(candles).slice(-(bars * 2)), ewmaLambda), barMinutes)
+  };
+}
+
+/**
+ * Realized volatility from 1m and 5m klines
+ *
+ * Every estimator runs on both timeframes: 1m over `lookback` minutes, 5m over the whole
+ * 5m history. All are reported per minute (5m figures are scaled by 1/sqrt(5)), then
+ * scaled to the minutes left in the hour. `sigmaPerMinute` is the 1m estimator picked by
+ * `estimator`, falling back to the same estimator on 5m, then to 1m close-to-close. The
+ * regime compares 1m close-to-close against 5m close-to-close (the baseline).
+ */
+export function computeVolatility({
+  candles1m,
+  candles5m = [],
+  remainingMinutes,
+  lookback = 60,
+  estimator = "ewma",
+  ewmaLambda = 0.94
+}) {
+  const estimates = estimatorsFor(candles1m, lookback, 1, ewmaLambda);
+  const long5m = validCandles(candles5m);
+  const estimates5m = estimatorsFor(long5m, Math.max(1, long5m.length - 1), 5, ewmaLambda);
+  const baseline = estimates5m.closeToClose;
+
+  const sigmaPerMinute = estimates[estimator] ?? estimates5m[estimator] ?? estimates.closeToClose;
+  const t = Math.max(0, remainingMinutes ?? 0);
+  const remaining = Object.fromEntries(
+    Object.entries(estimates).map(([k, v]) => [k, v === null ? null : v * Math.sqrt(t)])
+  );
+
+  return {
+    estimator,
+    perMinute: estimates,
+    perMinute5m: estimates5m,
+    baselinePerMinute: baseline,
+    sigmaPerMinute,
+    remaining,
+    sigmaRemaining: sigmaPerMinute === null ? null : sigmaPerMinute * Math.sqrt(t),
+    regime: classifyVolRegime(estimates.closeToClose, baseline)
+  };
+}
@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeVolatility } from "./volatility.js";
+
+// Candles whose close alternates +/- `move` (log) with a high/low range around it
+const candles = (n, move, barMs) => {
+  const out = [];
+  let close = 100_000;
+  for (let i = 0; i < n; i += 1) {
+    const open = close;
+    close = open * Math.exp(i % 2 ? -move : move);
+    out.push({ openTime: i * barMs, open, high: Math.max(open, close) * 1.0002, low: Math.min(open, close) * 0.9998, close, volume: 1 });
+  }
+  return out;
+};
+
+test("every estimator runs on both timeframes, per minute", () => {
+  const vol = computeVolatility({ candles1m: candles(120, 0.0005, 60_000), candles5m: candles(100, 0.0005 * Math.sqrt(5), 300_000), remainingMinutes: 25 });
+  for (const key of ["closeToClose", "parkinson", "garmanKlass", "ewma"]) {
+    assert.ok(vol.perMinute[key] > 0, `1m ${key}`);
+    assert.ok(vol.perMinute5m[key] > 0, `5m ${key}`);
+  }
+  // The same per-minute move on both timeframes reads the same once scaled
+  assert.ok(Math.abs(vol.perMinute5m.closeToClose / vol.perMinute.closeToClose - 1) < 0.05);
+  assert.equal(vol.baselinePerMinute, vol.perMinute5m.closeToClose);
+  assert.equal(vol.regime.level, "NORMAL");
+});
+
+test("with too few 1m candles the strike model falls back to the 5m estimate", () => {
+  const vol = computeVolatility({ candles1m: candles(2, 0.0005, 60_000), candles5m: candles(100, 0.001, 300_000), remainingMinutes: 25, estimator: "ewma" });
+  assert.equal(vol.perMinute.ewma, null);
+  assert.equal(vol.sigmaPerMinute, vol.perMinute5m.ewma);
+  assert.ok(vol.sigmaRemaining > 0);
+});
@@ -0,0 +1,685 @@
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { kalshiFee } from "../engines/fees.js";
+
+export const DEFAULT_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "kxbtcd-hourly.json");
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// Signed requests older / newer than this are rejected, like the real exchange
+const MAX_CLOCK_SKEW_MS = 60_000;
+
+class ExchangeError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Fixture times: ISO string, or relative to `now` ("+45m", "-2h", "30s")
+ */
+function fixtureTime(value, now) {
+  const rel = String(value ?? "").match(/^([+-]?\d+(?:\.\d+)?)([smhd])$/);
+  if (rel) {
+    const unit = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[rel[2]];
+    return now + Number(rel[1]) * unit;
+  }
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? at : now;
+}
+
+function nextTopOfHour(now) {
+  return Math.floor(now / 3_600_000) * 3_600_000 + 3_600_000;
+}
+
+/**
+ * Kalshi-style event code for a close time in ET: 2026-02-02 02:00 ET -> "26FEB0202"
+ */
+function eventCode(closeMs) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: "America/New_York",
+      year: "2-digit",
+      month: "numeric",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23"
+    }).formatToParts(new Date(closeMs)).map((p) => [p.type, p.value])
+  );
+  return `${parts.year}${MONTHS[Number(parts.month) - 1]}${parts.day}${parts.hour}`;
+}
+
+export function loadExchangeFixture(filePath = DEFAULT_FIXTURE) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Verify a Kalshi RSA-PSS request signature (timestamp + method + path, no query string)
+ */
+export function verifyKalshiSignature({ publicKey, timestamp, method, path: reqPath, signature }) {
+  try {
+    return crypto.verify(
+      "sha256",
+      Buffer.from(`${timestamp}${method}${reqPath}`),
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+      Buffer.from(String(signature), "base64")
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local stand-in for Kalshi's trade-api v2 REST endpoints (markets, events, order book,
+ * orders, fills, positions, balance, settlements)
+ *
+ * Markets, books, balance and past settlements come from a fixture (see
+ * fixtures/kxbtcd-hourly.json). Incoming orders take liquidity from the scripted book;
+ * whatever doesn't cross rests and fills as maker when a later script step crosses it.
+ * Markets close at their close time and settle against `spot` (or the fixture's
+ * `result`); `hourly` events roll over to the next hour. Portfolio endpoints require a
+ * valid RSA-PSS signature from the key pair matching `publicKey`.
+ *
+ * Time only moves when a request comes in (or `advance()` is called), so the server
+ * keeps no timers of its own.
+ */
+export function startMockKalshiExchange({
+  port = 0,
+  fixture = loadExchangeFixture(),
+  publicKey = null,
+  apiKey = null,
+  spot = null
+} = {}) {
+  const startedAt = Date.now();
+  const series = fixture.series_ticker ?? "KXBTCD";
+  const step = toNumber(fixture.strike_step) ?? 1;
+  // Recentre the fixture ladder on `spot`, keeping strikes on the fixture's grid
+  const strikeShift = spot !== null && toNumber(fixture.spot) !== null
+    ? Math.round((spot - fixture.spot) / step) * step
+    : 0;
+
+  const state = {
+    spot: spot ?? toNumber(fixture.spot),
+    balance: toNumber(fixture.balance) ?? 0,
+    // ticker -> market record (Kalshi listing fields plus `book`)
+    markets: new Map(),
+    events: [],
+    orders: new Map(),
+    fills: [],
+    settlements: (fixture.settlements ?? []).map((st) => ({ ...st, settled_time: iso(fixtureTime(st.settled_time, startedAt)) })),
+    // `${ticker}:${side}` -> { count, cost (cents) }
+    positions: new Map(),
+    script: (fixture.script ?? []).map((s) => ({ ...s, done: false })),
+    nextOrderId: 1,
+    nextFillId: 1
+  };
+
+  const toMap = (levels = []) => new Map(levels.map(([p, q]) => [Number(p), Number(q)]));
+  const position = (ticker, side) => {
+    const key = `${ticker}:${side}`;
+    if (!state.positions.has(key)) state.positions.set(key, { count: 0, cost: 0 });
+    return state.positions.get(key);
+  };
+
+  const openEvent = (template, index, closeMs) => {
+    const eventTicker = `${series}-${eventCode(closeMs)}`;
+    const event = { template, index, eventTicker, closeMs, tickers: [] };
+    for (const m of template.markets ?? []) {
+      const strike = Math.round((Number(m.strike) + strikeShift) * 100) / 100;
+      const ticker = `${eventTicker}-T${strike}`;
+      state.markets.set(ticker, {
+        ticker,
+        event_ticker: eventTicker,
+        series_ticker: series,
+        title: `Bitcoin price above ${strike}?`,
+        strike_type: "greater",
+        floor_strike: strike,
+        open_time: iso(closeMs - 3_600_000),
+        close_time: iso(closeMs),
+        status: "open",
+        result: "",
+        volume: 0,
+        open_interest: 0,
+        fixtureResult: m.result ?? null,
+        book: { yes: toMap(m.yes), no: toMap(m.no) }
+      });
+      event.tickers.push(ticker);
+    }
+    state.events[index] = event;
+    return event;
+  };
+
+  (fixture.events ?? []).forEach((ev, index) => {
+    const closeMs = ev.close === "next_hour" || ev.close === undefined ? nextTopOfHour(startedAt) : fixtureTime(ev.close, startedAt);
+    openEvent(ev, index, closeMs);
+  });
+
+  // ---- order book ----
+
+  const restingOrders = (ticker) => Array.from(state.orders.values()).filter((o) => o.ticker === ticker && o.status === "resting");
+
+  // Every order bids on one side of the book: buy YES @P and sell NO @(100-P) are both a YES bid
+  const bidSideOf = (o) => (o.action === "buy" ? o.side : (o.side === "yes" ? "no" : "yes"));
+  const bidPriceOf = (o) => {
+    const own = o.side === "yes" ? o.yes_price : o.no_price;
+    return o.action === "buy" ? own : 100 - own;
+  };
+
+  const bookLevels = (market) => {
+    const merged = { yes: new Map(market.book.yes), no: new Map(market.book.no) };
+    for (const o of restingOrders(market.ticker)) {
+      const map = merged[bidSideOf(o)];
+      const p = bidPriceOf(o);
+      map.set(p, (map.get(p) ?? 0) + o.remaining_count);
+    }
+    const sorted = (map) => Array.from(map.entries()).filter(([, q]) => q > 0).sort((a, b) => a[0] - b[0]);
+    return { yes: sorted(merged.yes), no: sorted(merged.no) };
+  };
+
+  const quote = (market) => {
+    const { yes, no } = bookLevels(market);
+    const bestYes = yes.length ? yes[yes.length - 1][0] : null;
+    const bestNo = no.length ? no[no.length - 1][0] : null;
+    return {
+      yes_bid: bestYes ?? 0,
+      yes_ask: bestNo !== null ? 100 - bestNo : 100,
+      no_bid: bestNo ?? 0,
+      no_ask: bestYes !== null ? 100 - bestYes : 100
+    };
+  };
+
+  const marketView = (market) => {
+    const { book, fixtureResult, ...fields } = market;
+    return { ...fields, ...quote(market) };
+  };
+
+  // ---- fills and settlement ----
+
+  const recordFill = (order, count, bidPrice, isTaker) => {
+    const market = state.markets.get(order.ticker);
+    const ownPrice = order.action === "buy" ? bidPrice : 100 - bidPrice;
+    const yesPrice = order.side === "yes" ? ownPrice : 100 - ownPrice;
+    const fee = kalshiFee({ count, price: ownPrice / 100, liquidity: isTaker ? "taker" : "maker" });
+    const feeCents = Math.round(fee * 100);
+
+    const pos = position(order.ticker, order.side);
+    if (order.action === "buy") {
+      state.balance -= count * ownPrice + feeCents;
+      pos.count += count;
+      pos.cost += count * ownPrice;
+    } else {
+      const avg = pos.count > 0 ? pos.cost / pos.count : 0;
+      state.balance += count * ownPrice - feeCents;
+      pos.count -= count;
+      pos.cost -= count * avg;
+    }
+
+    order.fill_count += count;
+    order.remaining_count -= count;
+    if (isTaker) order.taker_fill_count += count;
+    else order.maker_fill_count += count;
+    order.taker_fees += isTaker ? feeCents : 0;
+    order.maker_fees += isTaker ? 0 : feeCents;
+    order.last_update_time = iso(Date.now());
+    if (order.remaining_count === 0) order.status = "executed";
+
+    market.volume += count;
+    market.last_price = yesPrice;
+
+    const id = `mock-fill-${state.nextFillId++}`;
+    state.fills.push({
+      fill_id: id,
+      trade_id: id,
+      order_id: order.order_id,
+      ticker: order.ticker,
+      side: order.side,
+      action: order.action,
+      count,
+      yes_price: yesPrice,
+      no_price: 100 - yesPrice,
+      is_taker: isTaker,
+      created_time: iso(Date.now())
+    });
+  };
+
+  /**
+   * Take liquidity from the scripted book's opposite side, best price first
+   */
+  const matchIncoming = (order) => {
+    const market = state.markets.get(order.ticker);
+    const side = bidSideOf(order);
+    const bidPrice = bidPriceOf(order);
+    const opposite = market.book[side === "yes" ? "no" : "yes"];
+
+    const crossing = Array.from(opposite.keys()).filter((p) => p >= 100 - bidPrice).sort((a, b) => b - a);
+    for (const level of crossing) {
+      if (order.remaining_count === 0) break;
+      const take = Math.min(order.remaining_count, opposite.get(level));
+      recordFill(order, take, 100 - level, true);
+      if (opposite.get(level) === take) opposite.delete(level);
+      else opposite.set(level, opposite.get(level) - take);
+    }
+  };
+
+  /**
+   * After the scripted book moves, resting orders it now crosses fill as maker at their own price
+   */
+  const matchResting = (market) => {
+    for (const order of restingOrders(market.ticker)) {
+      const side = bidSideOf(order);
+      const bidPrice = bidPriceOf(order);
+      const opposite = market.book[side === "yes" ? "no" : "yes"];
+      const crossing = Array.from(opposite.keys()).filter((p) => p >= 100 - bidPrice).sort((a, b) => b - a);
+      for (const level of crossing) {
+        if (order.remaining_count === 0) break;
+        const take = Math.min(order.remaining_count, opposite.get(level));
+        recordFill(order, take, bidPrice, false);
+        if (opposite.get(level) === take) opposite.delete(level);
+        else opposite.set(level, opposite.get(level) - take);
+      }
+    }
+  };
+
+  const settleMarket = (market, result) => {
+    const yes = position(market.ticker, "yes");
+    const no = position(market.ticker, "no");
+    if (yes.count > 0 || no.count > 0) {
+      const revenue = (result === "yes" ? yes.count : 0) * 100 + (result === "no" ? no.count : 0) * 100;
+      state.balance += revenue;
+      state.settlements.push({
+        ticker: market.ticker,
+        market_result: result,
+        yes_count: yes.count,
+        yes_total_cost: Math.round(yes.cost),
+        no_count: no.count,
+        no_total_cost: Math.round(no.cost),
+        revenue,
+        settled_time: iso(Date.now())
+      });
+    }
+    state.positions.delete(`${market.ticker}:yes`);
+    state.positions.delete(`${market.ticker}:no`);
+    market.status = "settled";
+    market.result = result;
+  };
+
+  /**
+   * Expire orders, apply due script steps, close / settle expired markets and roll hourly events
+   */
+  const advance = (now = Date.now()) => {
+    for (const o of state.orders.values()) {
+      if (o.status !== "resting" || !o.expiration_time || now < Date.parse(o.expiration_time)) continue;
+      o.status = "canceled";
+      o.last_update_time = iso(now);
+    }
+
+    for (const s of state.script) {
+      if (s.done || now - startedAt < s.after_ms) continue;
+      s.done = true;
+      const event = state.events[s.event ?? 0];
+      const strike = Math.round((Number(s.strike) + strikeShift) * 100) / 100;
+      const market = state.markets.get(s.ticker ?? `${event?.eventTicker}-T${strike}`);
+      if (!market || market.status !== "open") continue;
+      market.book = { yes: toMap(s.yes), no: toMap(s.no) };
+      matchResting(market);
+    }
+
+    for (const event of [...state.events]) {
+      if (!event || now < event.closeMs) continue;
+      if (event.settled) continue;
+      event.settled = true;
+      for (const ticker of event.tickers) {
+        const market = state.markets.get(ticker);
+        for (const o of restingOrders(ticker)) {
+          o.status = "canceled";
+          o.last_update_time = iso(now);
+        }
+        const result = market.fixtureResult ?? (state.spot !== null ? (state.spot > market.floor_strike ? "yes" : "no") : null);
+        if (result) settleMarket(market, result);
+        else market.status = "closed";
+      }
+      if (event.template.hourly) openEvent(event.template, event.index, nextTopOfHour(now));
+    }
+  };
+
+  // ---- orders ----
+
+  const findOrder = (orderId) => {
+    const order = state.orders.get(orderId);
+    if (!order) throw new ExchangeError(404, "not_found", `order ${orderId} not found`);
+    return order;
+  };
+
+  const createOrder = (body) => {
+    const market = state.markets.get(body.ticker);
+    if (!market) throw new ExchangeError(404, "market_not_found", `market ${body.ticker} not found`);
+    if (market.status !== "open") throw new ExchangeError(400, "market_closed", "market is closed");
+
+    const side = body.side === "no" ? "no" : "yes";
+    const action = body.action === "sell" ? "sell" : "buy";
+    const type = body.type === "market" ? "market" : "limit";
+    const count = toNumber(body.count);
+    if (!Number.isInteger(count) || count <= 0) throw new ExchangeError(400, "invalid_parameters", "count must be a positive integer");
+
+    let price = toNumber(side === "yes" ? body.yes_price : body.no_price)
+      ?? (side === "yes" && toNumber(body.no_price) !== null ? 100 - body.no_price : null)
+      ?? (side === "no" && toNumber(body.yes_price) !== null ? 100 - body.yes_price : null);
+    if (type === "market") price = action === "buy" ? 99 : 1;
+    if (price === null || price < 1 || price > 99) throw new ExchangeError(400, "invalid_parameters", "price must be between 1 and 99 cents");
+
+    if (body.client_order_id) {
+      for (const o of state.orders.values()) {
+        if (o.client_order_id === body.client_order_id) throw new ExchangeError(409, "order_already_exists", "order with this client_order_id already exists");
+      }
+    }
+
+    if (action === "buy") {
+      const worst = count * price + Math.round(kalshiFee({ count, price: price / 100 }) * 100);
+      if (worst > state.balance) throw new ExchangeError(400, "insufficient_balance", "insufficient balance");
+    } else if (position(market.ticker, side).count < count) {
+      throw new ExchangeError(400, "invalid_order", `cannot sell ${count} ${side}: position is ${position(market.ticker, side).count}`);
+    }
+
+    const now = iso(Date.now());
+    const order = {
+      order_id: `mock-order-${state.nextOrderId++}`,
+      client_order_id: body.client_order_id ?? crypto.randomUUID(),
+      user_id: "mock-user",
+      ticker: market.ticker,
+      side,
+      action,
+      type,
+      status: "resting",
+      yes_price: side === "yes" ? price : 100 - price,
+      no_price: side === "no" ? price : 100 - price,
+      initial_count: count,
+      remaining_count: count,
+      fill_count: 0,
+      taker_fill_count: 0,
+      maker_fill_count: 0,
+      taker_fees: 0,
+      maker_fees: 0,
+      created_time: now,
+      last_update_time: now,
+      expiration_time: body.expiration_ts ? iso(body.expiration_ts * 1000) : null
+    };
+    state.orders.set(order.order_id, order);
+
+    matchIncoming(order);
+    // Market orders never rest
+    if (type === "market" && order.remaining_count > 0) order.status = "canceled";
+    market.open_interest = Array.from(state.positions.entries())
+      .filter(([key]) => key.startsWith(`${market.ticker}:`))
+      .reduce((acc, [, p]) => acc + p.count, 0);
+    return order;
+  };
+
+  const reduceOrder = (order, reduceTo) => {
+    if (order.status !== "resting") throw new ExchangeError(400, "order_not_resting", `order is ${order.status}`);
+    const reducedBy = order.remaining_count - Math.max(0, reduceTo);
+    order.remaining_count = Math.max(0, reduceTo);
+    if (order.remaining_count === 0) order.status = "canceled";
+    order.last_update_time = iso(Date.now());
+    return reducedBy;
+  };
+
+  const amendOrder = (order, body) => {
+    if (order.status !== "resting") throw new ExchangeError(400, "order_not_resting", `order is ${order.status}`);
+    const old = { ...order };
+    const price = toNumber(order.side === "yes" ? body.yes_price : body.no_price);
+    const count = toNumber(body.count);
+    if (price !== null) {
+      order.yes_price = order.side === "yes" ? price : 100 - price;
+      order.no_price = 100 - order.yes_price;
+    }
+    if (count !== null) {
+      if (count <= order.fill_count) throw new ExchangeError(400, "invalid_parameters", "count must exceed the filled count");
+      order.initial_count = count;
+      order.remaining_count = count - order.fill_count;
+    }
+    if (body.updated_client_order_id) order.client_order_id = body.updated_client_order_id;
+    order.last_update_time = iso(Date.now());
+    matchIncoming(order);
+    return { old_order: old, order: { ...order } };
+  };
+
+  // ---- HTTP ----
+
+  const page = (items, url, key) => {
+    const limit = Math.min(1000, toNumber(url.searchParams.get("limit") || 100));
+    const start = toNumber(url.searchParams.get("cursor") || 0);
+    const slice = items.slice(start, start + limit);
+    const next = start + limit < items.length ? String(start + limit) : "";
+    return { [key]: slice, cursor: next };
+  };
+
+  const since = (rows, field, url) => {
+    const param = (name) => (url.searchParams.has(name) ? toNumber(url.searchParams.get(name)) : null);
+    const minTs = param("min_ts");
+    const maxTs = param("max_ts");
+    return rows.filter((r) => {
+      const ts = Date.parse(r[field]) / 1000;
+      return (minTs === null || ts >= minTs) && (maxTs === null || ts <= maxTs);
+    });
+  };
+
+  const authenticate = (req, url) => {
+    if (!publicKey) return;
+    const key = req.headers["kalshi-access-key"];
+    const timestamp = req.headers["kalshi-access-timestamp"];
+    const signature = req.headers["kalshi-access-signature"];
+    if (!key || !timestamp || !signature) throw new ExchangeError(401, "missing_parameters", "missing authentication headers");
+    if (apiKey && key !== apiKey) throw new ExchangeError(401, "authentication_error", "unknown api key");
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) throw new ExchangeError(401, "authentication_error", "timestamp outside allowed window");
+    if (!verifyKalshiSignature({ publicKey, timestamp, method: req.method, path: url.pathname, signature })) {
+      throw new ExchangeError(401, "authentication_error", "invalid signature");
+    }
+  };
+
+  const route = (method, pathname, url, body) => {
+    const p = pathname.replace(/^\/trade-api\/v2/, "");
+    let m;
+
+    if (method === "GET" && p === "/markets") {
+      const seriesTicker = url.searchParams.get("series_ticker");
+      const eventTicker = url.searchParams.get("event_ticker");
+      const status = url.searchParams.get("status");
+      const minCloseMs = Number(url.searchParams.get("min_close_ts") || 0) * 1000;
+      const maxCloseMs = Number(url.searchParams.get("max_close_ts") || Infinity) * 1000;
+      const rows = Array.from(state.markets.values())
+        .filter((mk) => (!seriesTicker || mk.series_ticker === seriesTicker) && (!eventTicker || mk.event_ticker === eventTicker) && (!status || mk.status === status))
+        .filter((mk) => Date.parse(mk.close_time) >= minCloseMs && Date.parse(mk.close_time) <= maxCloseMs)
+        .map(marketView);
+      return page(rows, url, "markets");
+    }
+    if (method === "GET" && (m = p.match(/^\/markets\/([^/]+)\/orderbook$/))) {
+      const market = state.markets.get(decodeURIComponent(m[1]));
+      if (!market) throw new ExchangeError(404, "not_found", "market not found");
+      return { orderbook: bookLevels(market) };
+    }
+    if (method === "GET" && (m = p.match(/^\/markets\/([^/]+)$/))) {
+      const market = state.markets.get(decodeURIComponent(m[1]));
+      if (!market) throw new ExchangeError(404, "not_found", "market not found");
+      return { market: marketView(market) };
+    }
+    if (method === "GET" && p === "/events") {
+      const rows = state.events.filter(Boolean).map((e) => ({
+        event_ticker: e.eventTicker,
+        series_ticker: series,
+        title: `Bitcoin price at ${iso(e.closeMs)}`,
+        strike_date: iso(e.closeMs)
+      }));
+      return page(rows, url, "events");
+    }
+
+    if (!p.startsWith("/portfolio/")) throw new ExchangeError(404, "not_found", `no route for ${method} ${pathname}`);
+
+    if (method === "GET" && p === "/portfolio/balance") return { balance: state.balance };
+    if (method === "GET" && p === "/portfolio/positions") {
+      const byTicker = new Map();
+      for (const [key, pos] of state.positions) {
+        const [ticker, side] = key.split(":");
+        const row = byTicker.get(ticker) ?? { ticker, position: 0, market_exposure: 0, total_traded: 0 };
+        row.position += side === "yes" ? pos.count : -pos.count;
+        row.market_exposure += Math.round(pos.cost);
+        byTicker.set(ticker, row);
+      }
+      return { market_positions: Array.from(byTicker.values()).filter((r) => r.position !== 0), event_positions: [], cursor: "" };
+    }
+    if (method === "GET" && p === "/portfolio/fills") {
+      const ticker = url.searchParams.get("ticker");
+      const orderId = url.searchParams.get("order_id");
+      const rows = since(state.fills, "created_time", url)
+        .filter((f) => (!ticker || f.ticker === ticker) && (!orderId || f.order_id === orderId))
+        .reverse();
+      return page(rows, url, "fills");
+    }
+    if (method === "GET" && p === "/portfolio/settlements") {
+      return page(since(state.settlements, "settled_time", url).reverse(), url, "settlements");
+    }
+    if (method === "GET" && p === "/portfolio/orders") {
+      const ticker = url.searchParams.get("ticker");
+      const status = url.searchParams.get("status");
+      const rows = Array.from(state.orders.values())
+        .filter((o) => (!ticker || o.ticker === ticker) && (!status || o.status === status))
+        .reverse();
+      return page(rows, url, "orders");
+    }
+    if (method === "POST" && p === "/portfolio/orders") return { order: { ...createOrder(body ?? {}) } };
+    if ((m = p.match(/^\/portfolio\/orders\/([^/]+)$/))) {
+      const order = findOrder(decodeURIComponent(m[1]));
+      if (method === "GET") return { order: { ...order } };
+      if (method === "DELETE") {
+        const reducedBy = reduceOrder(order, 0);
+        return { order: { ...order }, reduced_by: reducedBy };
+      }
+    }
+    if (method === "POST" && (m = p.match(/^\/portfolio\/orders\/([^/]+)\/decrease$/))) {
+      const order = findOrder(decodeURIComponent(m[1]));
+      const reduceTo = toNumber(body?.reduce_to) ?? order.remaining_count - (toNumber(body?.reduce_by) ?? 0);
+      reduceOrder(order, reduceTo);
+      return { order: { ...order } };
+    }
+    if (method === "POST" && (m = p.match(/^\/portfolio\/orders\/([^/]+)\/amend$/))) {
+      return amendOrder(findOrder(decodeURIComponent(m[1])), body ?? {});
+    }
+
+    throw new ExchangeError(404, "not_found", `no route for ${method} ${pathname}`);
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const reply = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+
+      try {
+        advance();
+        if (url.pathname.startsWith("/trade-api/v2/portfolio/")) authenticate(req, url);
+        const body = raw ? JSON.parse(raw) : null;
+        reply(200, route(req.method, url.pathname, url, body));
+      } catch (err) {
+        if (err instanceof ExchangeError) reply(err.status, { error: { code: err.code, message: err.message } });
+        else reply(500, { error: { code: "internal_server_error", message: err.message } });
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const actualPort = server.address().port;
+
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        advance,
+        getMarkets: () => Array.from(state.markets.values()).map(marketView),
+        getBook(ticker) {
+          const market = state.markets.get(ticker);
+          return market ? bookLevels(market) : null;
+        },
+        /**
+         * Replace the scripted (non-bot) book for a ticker; resting orders it crosses fill
+         */
+        setBook(ticker, { yes = [], no = [] } = {}) {
+          const market = state.markets.get(ticker);
+          if (!market) return false;
+          market.book = { yes: toMap(yes), no: toMap(no) };
+          matchResting(market);
+          return true;
+        },
+        setSpot(price) {
+          state.spot = price;
+        },
+        settle(ticker, result) {
+          const market = state.markets.get(ticker);
+          if (!market || market.status === "settled") return false;
+          for (const o of restingOrders(ticker)) o.status = "canceled";
+          settleMarket(market, result);
+          return true;
+        },
+        getBalance: () => state.balance,
+        getOrders: () => Array.from(state.orders.values()).map((o) => ({ ...o })),
+        getFills: () => state.fills.map((f) => ({ ...f })),
+        getSettlements: () => state.settlements.map((st) => ({ ...st })),
+        close() {
+          server.closeAllConnections?.();
+          return new Promise((done) => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+// `npm run kalshi:mock-exchange` - serve the fixture on a fixed port
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fixturePath = process.env.MOCK_FIXTURE || DEFAULT_FIXTURE;
+
+  // Verify against the key the bot signs with; without one, mint a pair for this session
+  let privateKeyPem = process.env.KALSHI_PRIVATE_KEY || "";
+  let keyNote = "verifying signatures against KALSHI_PRIVATE_KEY";
+  if (!privateKeyPem) {
+    const pair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    privateKeyPem = pair.privateKey.export({ type: "pkcs1", format: "pem" });
+    const keyPath = path.resolve("./logs/mock-kalshi-key.pem");
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, privateKeyPem, { mode: 0o600 });
+    keyNote = `generated a key pair; sign with KALSHI_API_KEY=mock KALSHI_PRIVATE_KEY="$(cat ${keyPath})"`;
+  }
+
+  const server = await startMockKalshiExchange({
+    port: Number(process.env.MOCK_EXCHANGE_PORT || "8788"),
+    fixture: loadExchangeFixture(fixturePath),
+    publicKey: crypto.createPublicKey(privateKeyPem),
+    spot: process.env.MOCK_SPOT ? Number(process.env.MOCK_SPOT) : null
+  });
+
+  console.log(`[Mock Kalshi] Listening on ${server.url} (fixture ${fixturePath})`);
+  console.log(`[Mock Kalshi] ${keyNote}`);
+  console.log(`[Mock Kalshi] Run the bot with KALSHI_BASE_URL=${server.url} KALSHI_WS_ENABLED=false`);
+
+  const shutdown = () => server.close().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
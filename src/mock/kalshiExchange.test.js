@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { AuthError, KalshiClient } from "../data/kalshiClient.js";
+import { startMockKalshiExchange } from "./kalshiExchange.js";
+
+const pem = (pair) => pair.privateKey.export({ type: "pkcs1", format: "pem" });
+const keys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherKeys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const setup = async () => {
+  const server = await startMockKalshiExchange({ publicKey: keys.publicKey, apiKey: "mock" });
+  const client = (privateKey = pem(keys)) => new KalshiClient({ baseUrl: server.url, apiKey: "mock", privateKey, maxRetries: 0 });
+  const atm = server.getMarkets().find((m) => m.floor_strike === 99999.99);
+  return { server, client, ticker: atm.ticker };
+};
+
+test("a correctly signed request is accepted", async () => {
+  const { server, client } = await setup();
+  try {
+    const data = await client().get("/trade-api/v2/portfolio/balance", { auth: true });
+    assert.equal(data.balance, 100000);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a bad or missing signature gets a 401", async () => {
+  const { server, client } = await setup();
+  try {
+    await assert.rejects(client(pem(otherKeys)).get("/trade-api/v2/portfolio/balance", { auth: true }), (err) => err instanceof AuthError && err.status === 401);
+    const res = await fetch(`${server.url}/trade-api/v2/portfolio/balance`);
+    assert.equal(res.status, 401);
+    // Market data needs no signature
+    assert.equal((await fetch(`${server.url}/trade-api/v2/markets`)).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test("an incoming buy takes the scripted asks and the rest fills as maker when the book crosses it", async () => {
+  const { server, client, ticker } = await setup();
+  try {
+    // NO bids 49 / 48 / 47 make YES asks of 51 / 52 / 53
+    const { order } = await client().post("/trade-api/v2/portfolio/orders", { ticker, side: "yes", action: "buy", count: 20, type: "limit", yes_price: 52 }, { auth: true });
+    assert.equal(order.status, "executed");
+    assert.deepEqual(server.getFills().map((f) => [f.count, f.yes_price, f.is_taker]), [[15, 51, true], [5, 52, true]]);
+
+    const resting = (await client().post("/trade-api/v2/portfolio/orders", { ticker, side: "yes", action: "buy", count: 5, type: "limit", yes_price: 40 }, { auth: true })).order;
+    assert.equal(resting.status, "resting");
+    server.setBook(ticker, { yes: [[38, 10]], no: [[61, 10]] });
+    const after = (await client().get(`/trade-api/v2/portfolio/orders/${resting.order_id}`, { auth: true })).order;
+    assert.equal(after.status, "executed");
+    assert.equal(after.maker_fill_count, 5);
+    assert.deepEqual(server.getFills().at(-1).yes_price, 40);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a market settles at its close against the spot and pays the winning side", async () => {
+  const { server, client, ticker } = await setup();
+  try {
+    await client().post("/trade-api/v2/portfolio/orders", { ticker, side: "yes", action: "buy", count: 10, type: "limit", yes_price: 51 }, { auth: true });
+    const before = server.getBalance();
+
+    // Spot 100000 is above the 99999.99 strike
+    server.advance(Date.parse(server.getMarkets().find((m) => m.ticker === ticker).close_time));
+    const { settlements } = await client().get("/trade-api/v2/portfolio/settlements", { auth: true });
+    const settled = settlements.find((s) => s.ticker === ticker);
+    assert.equal(settled.market_result, "yes");
+    assert.equal(settled.yes_count, 10);
+    assert.equal(settled.revenue, 1000);
+    assert.equal(server.getBalance(), before + 1000);
+
+    const { market_positions: positions } = await client().get("/trade-api/v2/portfolio/positions", { auth: true });
+    assert.equal(positions.length, 0);
+    assert.equal((await client().get(`/trade-api/v2/markets/${ticker}`)).market.result, "yes");
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,186 @@
+import { WebSocketServer } from "ws";
+import { pathToFileURL } from "node:url";
+
+/**
+ * Local stand-in for Kalshi's market-data WebSocket
+ * Speaks the same subscribe / orderbook_snapshot / orderbook_delta / ticker / trade
+ * messages as the real API so startKalshiMarketStream can be exercised offline.
+ * No auth is checked.
+ */
+export function startMockKalshiWsServer({ port = 0, path = "/trade-api/ws/v2", books = {} } = {}) {
+  const wss = new WebSocketServer({ port, path });
+
+  // ticker -> { yes: Map<price, qty>, no: Map<price, qty> }
+  const state = new Map();
+  // client -> Map<sid, { channel, tickers: Set, seq }>
+  const clients = new Map();
+  let nextSid = 1;
+  let connections = 0;
+
+  const setBook = (ticker, { yes = [], no = [] } = {}) => {
+    state.set(ticker, {
+      yes: new Map(yes.map(([p, q]) => [Number(p), Number(q)])),
+      no: new Map(no.map(([p, q]) => [Number(p), Number(q)]))
+    });
+  };
+
+  for (const [ticker, book] of Object.entries(books)) setBook(ticker, book);
+
+  const levels = (map) => Array.from(map.entries()).sort((a, b) => a[0] - b[0]);
+
+  const send = (client, obj) => {
+    try {
+      client.send(JSON.stringify(obj));
+    } catch {
+      // ignore
+    }
+  };
+
+  const forEachSub = (channel, ticker, fn) => {
+    for (const [client, subs] of clients) {
+      for (const [sid, sub] of subs) {
+        if (sub.channel === channel && sub.tickers.has(ticker)) fn(client, sid, sub);
+      }
+    }
+  };
+
+  wss.on("connection", (client) => {
+    const subs = new Map();
+    clients.set(client, subs);
+    connections += 1;
+
+    client.on("message", (buf) => {
+      let cmd;
+      try {
+        cmd = JSON.parse(buf.toString());
+      } catch {
+        return;
+      }
+
+      if (cmd.cmd === "subscribe") {
+        const tickers = Array.isArray(cmd.params?.market_tickers) ? cmd.params.market_tickers : [];
+        for (const channel of cmd.params?.channels ?? []) {
+          const sid = nextSid++;
+          const sub = { channel, tickers: new Set(tickers), seq: 0 };
+          subs.set(sid, sub);
+          send(client, { id: cmd.id, type: "subscribed", msg: { channel, sid } });
+
+          if (channel !== "orderbook_delta") continue;
+          for (const ticker of tickers) {
+            const book = state.get(ticker) ?? { yes: new Map(), no: new Map() };
+            sub.seq += 1;
+            send(client, {
+              type: "orderbook_snapshot",
+              sid,
+              seq: sub.seq,
+              msg: { market_ticker: ticker, yes: levels(book.yes), no: levels(book.no) }
+            });
+          }
+        }
+        return;
+      }
+
+      if (cmd.cmd === "unsubscribe") {
+        for (const sid of cmd.params?.sids ?? []) {
+          subs.delete(sid);
+          send(client, { id: cmd.id, sid, type: "unsubscribed" });
+        }
+      }
+    });
+
+    client.on("close", () => clients.delete(client));
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once("error", reject);
+    wss.once("listening", () => {
+      const actualPort = wss.address().port;
+
+      resolve({
+        url: `ws://127.0.0.1:${actualPort}${path}`,
+        port: actualPort,
+        setBook,
+        getBook(ticker) {
+          const book = state.get(ticker);
+          return book ? { yes: levels(book.yes), no: levels(book.no) } : null;
+        },
+        /**
+         * Change resting size at one level and broadcast the delta
+         * skipSeq simulates a dropped message so clients see a sequence gap
+         */
+        applyDelta(ticker, { side, price, delta, skipSeq = false }) {
+          if (!state.has(ticker)) setBook(ticker);
+          const map = side === "no" ? state.get(ticker).no : state.get(ticker).yes;
+          const qty = (map.get(price) ?? 0) + delta;
+          if (qty > 0) map.set(price, qty);
+          else map.delete(price);
+
+          forEachSub("orderbook_delta", ticker, (client, sid, sub) => {
+            sub.seq += skipSeq ? 2 : 1;
+            send(client, { type: "orderbook_delta", sid, seq: sub.seq, msg: { market_ticker: ticker, price, delta, side } });
+          });
+        },
+        pushTicker(ticker, fields = {}) {
+          forEachSub("ticker", ticker, (client, sid) => {
+            send(client, { type: "ticker", sid, msg: { market_ticker: ticker, ts: Math.floor(Date.now() / 1000), ...fields } });
+          });
+        },
+        pushTrade(ticker, fields = {}) {
+          forEachSub("trade", ticker, (client, sid) => {
+            send(client, { type: "trade", sid, msg: { market_ticker: ticker, ts: Math.floor(Date.now() / 1000), ...fields } });
+          });
+        },
+        /**
+         * Cut every client off without a close frame, as a dropped connection would
+         */
+        dropClients() {
+          for (const client of clients.keys()) client.terminate();
+        },
+        getStats: () => ({ connections, clients: clients.size }),
+        close() {
+          for (const client of clients.keys()) {
+            try {
+              client.terminate();
+            } catch {
+              // ignore
+            }
+          }
+          return new Promise((done) => wss.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+// `npm run kalshi:mock-ws` - serve a random-walking book for a demo ticker
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const ticker = process.env.MOCK_TICKER || "KXBTCD-MOCK-T100000";
+  const server = await startMockKalshiWsServer({
+    port: Number(process.env.MOCK_WS_PORT || "8787"),
+    books: {
+      [ticker]: {
+        yes: [[45, 100], [46, 50], [47, 20]],
+        no: [[50, 100], [51, 40], [52, 10]]
+      }
+    }
+  });
+
+  console.log(`[Mock Kalshi WS] Listening on ${server.url} (ticker ${ticker})`);
+
+  setInterval(() => {
+    const side = Math.random() < 0.5 ? "yes" : "no";
+    const book = server.getBook(ticker);
+    const levelsOnSide = book[side];
+    const top = levelsOnSide.length ? levelsOnSide[levelsOnSide.length - 1][0] : 45;
+    const price = Math.max(1, Math.min(99, top + Math.floor(Math.random() * 3) - 1));
+    const delta = Math.random() < 0.6 ? Math.ceil(Math.random() * 20) : -Math.ceil(Math.random() * 20);
+    server.applyDelta(ticker, { side, price, delta });
+    if (Math.random() < 0.2) {
+      server.pushTrade(ticker, { yes_price: price, no_price: 100 - price, count: Math.ceil(Math.random() * 5), taker_side: side });
+    }
+  }, 500);
+
+  const shutdown = () => server.close().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
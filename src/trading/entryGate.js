@@ -0,0 +1,93 @@
+import { CONFIG } from "../config.js";
+
+const HOUR_MS = 60 * 60_000;
+const TERMINAL_STATUSES = new Set(["executed", "canceled", "rejected"]);
+
+/**
+ * Entry gating: decides whether an ENTER signal may become a new order
+ *
+ * The signal is re-evaluated every poll, so without this an ENTER would re-buy on every
+ * loop. A ticker with a resting buy waits for it to fill or be canceled, a position on the
+ * other side is never bought against, and adding to an existing position (scaling in)
+ * needs all of: `minAddIntervalMs` since the last entry, fewer than `maxAddsPerHour` adds in
+ * the last hour, and an edge at least `minEdgeImprovement` above the best edge already
+ * entered at. A position with no recorded entry (e.g. bought by hand) is not added to.
+ * An entry whose order ended (expired, canceled, rejected) with nothing filled is dropped.
+ * Any other entry still holds off the next one for `minAddIntervalMs`, held or not: an
+ * executed order is neither resting nor a position until its fills sync. Past that, with
+ * nothing held (the position was exited or settled) the next entry is a fresh one.
+ *
+ * Entries are recorded with record() once the exchange accepted the order; `initial`
+ * ({ "ticker:side": [{ time, edge, count, clientOrderId }] }) carries them over from an
+ * earlier run.
+ */
+export function createEntryGate({ settings = CONFIG.entry, initial = {} } = {}) {
+  // `${ticker}:${side}` -> [{ time, edge, count, clientOrderId }]
+  const entries = new Map(Object.entries(initial).map(([key, list]) => [key, list.map((e) => ({ ...e }))]));
+
+  const prune = (now) => {
+    for (const [key, list] of entries) {
+      const kept = list.filter((e) => now - e.time < 2 * HOUR_MS);
+      if (kept.length) entries.set(key, kept);
+      else entries.delete(key);
+    }
+  };
+
+  /**
+   * positions / openOrders / getOrder(clientOrderId) come from the order manager; edge is
+   * the net edge of the signal. Returns { ok: true, add } or { ok: false, reason }
+   */
+  function check({ ticker, side, edge, positions = [], openOrders = [], getOrder = () => null, now = Date.now() }) {
+    prune(now);
+
+    if (openOrders.some((o) => o.ticker === ticker && o.action === "buy")) {
+      return { ok: false, reason: "resting_order" };
+    }
+    if (positions.some((p) => p.ticker === ticker && p.side !== side && p.count > 0)) {
+      return { ok: false, reason: "opposite_position" };
+    }
+
+    const key = `${ticker}:${side}`;
+    const list = (entries.get(key) ?? []).filter((e) => {
+      const order = e.clientOrderId ? getOrder(e.clientOrderId) : null;
+      return !(order && TERMINAL_STATUSES.has(order.status) && !(order.filledCount > 0));
+    });
+    if (list.length) entries.set(key, list);
+    else entries.delete(key);
+
+    const last = list[list.length - 1];
+    if (last && now - last.time < settings.minAddIntervalMs) {
+      return { ok: false, reason: "add_cooldown" };
+    }
+    const held = positions.some((p) => p.ticker === ticker && p.side === side && p.count > 0);
+    if (!held) {
+      entries.delete(key);
+      return { ok: true, add: false };
+    }
+    if (list.length === 0) return { ok: false, reason: "no_entry_record" };
+
+    // Every entry after the first one is an add
+    const addsLastHour = list.slice(1).filter((e) => now - e.time < HOUR_MS).length;
+    if (addsLastHour >= settings.maxAddsPerHour) {
+      return { ok: false, reason: "max_adds_per_hour" };
+    }
+    const bestEdge = Math.max(...list.map((e) => e.edge));
+    if (!(edge >= bestEdge + settings.minEdgeImprovement)) {
+      return { ok: false, reason: "edge_not_improved" };
+    }
+    return { ok: true, add: true };
+  }
+
+  function record({ ticker, side, edge, count, clientOrderId = null, now = Date.now() }) {
+    const key = `${ticker}:${side}`;
+    const list = entries.get(key) ?? [];
+    list.push({ time: now, edge, count, clientOrderId });
+    entries.set(key, list);
+  }
+
+  return {
+    check,
+    record,
+    getEntries: (ticker, side) => (entries.get(`${ticker}:${side}`) ?? []).map((e) => ({ ...e }))
+  };
+}
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createEntryGate } from "./entryGate.js";
+
+const settings = { minAddIntervalMs: 5 * 60_000, maxAddsPerHour: 2, minEdgeImprovement: 0.02 };
+const T0 = Date.parse("2026-10-19T14:00:00Z");
+
+test("an order that expired unfilled does not make the next entry an add", () => {
+  const gate = createEntryGate({ settings });
+  const ticker = "KXBTCD-26OCT1915-T100000";
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.1, now: T0 }), { ok: true, add: false });
+  gate.record({ ticker, side: "yes", edge: 0.1, count: 5, clientOrderId: "c1", now: T0 });
+
+  // Resting, then expired with nothing filled: no position, no open order
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.1, openOrders: [{ ticker, action: "buy" }], now: T0 + 30_000 }), { ok: false, reason: "resting_order" });
+  const getOrder = () => ({ clientOrderId: "c1", status: "canceled", filledCount: 0 });
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.1, getOrder, now: T0 + 60_000 }), { ok: true, add: false });
+  assert.deepEqual(gate.getEntries(ticker, "yes"), []);
+});
+
+test("an executed order whose fills have not synced yet is not bought again", () => {
+  const gate = createEntryGate({ settings });
+  const ticker = "KXBTCD-26OCT1915-T100000";
+  gate.record({ ticker, side: "yes", edge: 0.1, count: 5, clientOrderId: "c1", now: T0 });
+
+  // No longer an open order, not yet a position
+  const getOrder = () => ({ clientOrderId: "c1", status: "executed", filledCount: 5 });
+  for (const after of [5_000, 60_000, 4 * 60_000]) {
+    assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.3, getOrder, now: T0 + after }), { ok: false, reason: "add_cooldown" });
+  }
+  assert.equal(gate.getEntries(ticker, "yes").length, 1);
+
+  // Same while the order manager has lost track of it (e.g. a failed sync)
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.3, now: T0 + 60_000 }), { ok: false, reason: "add_cooldown" });
+});
+
+test("adds to a held position still need the cooldown and a better edge", () => {
+  const gate = createEntryGate({ settings });
+  const ticker = "KXBTCD-26OCT1915-T100000";
+  const positions = [{ ticker, side: "yes", count: 5 }];
+  gate.record({ ticker, side: "yes", edge: 0.1, count: 5, now: T0 });
+
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.2, positions, now: T0 + 60_000 }), { ok: false, reason: "add_cooldown" });
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.11, positions, now: T0 + 10 * 60_000 }), { ok: false, reason: "edge_not_improved" });
+  assert.deepEqual(gate.check({ ticker, side: "yes", edge: 0.13, positions, now: T0 + 10 * 60_000 }), { ok: true, add: true });
+});
+
+test("a position exited since its entry is entered fresh", () => {
+  const gate = createEntryGate({ settings });
+  const ticker = "KXBTCD-26OCT1915-T100000";
+  gate.record({ ticker, side: "no", edge: 0.3, count: 5, now: T0 });
+  assert.deepEqual(gate.check({ ticker, side: "no", edge: 0.1, positions: [{ ticker, side: "no", count: 0 }], now: T0 + 10 * 60_000 }), { ok: true, add: false });
+});
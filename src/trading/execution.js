@@ -0,0 +1,248 @@
+import { CONFIG } from "../config.js";
+import { kalshiFee } from "../engines/fees.js";
+import { estimateFillCost } from "../data/kalshiBook.js";
+
+const STRATEGIES = new Set(["join", "improve", "cross"]);
+const TERMINAL_STATUSES = new Set(["executed", "canceled", "rejected"]);
+
+/**
+ * Highest buy price (cents) at which the model still has `minEdge` per contract after the
+ * fee; null when no price does
+ */
+export function maxPriceFor({ winProb, minEdge = CONFIG.execution.minEdge, liquidity = "maker" }) {
+  if (!Number.isFinite(winProb)) return null;
+  for (let p = 99; p >= 1; p -= 1) {
+    const fee = kalshiFee({ count: 100, price: p / 100, liquidity }) / 100;
+    if (winProb - p / 100 - fee >= minEdge) return p;
+  }
+  return null;
+}
+
+/**
+ * Expiration (unix seconds) for an order on a market closing at `closeMs`: `expireBeforeCloseSec`
+ * ahead of the close, or the close itself once that point has passed. null without a close time
+ */
+export function expirationFor(closeMs, { settings = CONFIG.execution, now = Date.now() } = {}) {
+  if (!Number.isFinite(closeMs)) return null;
+  const target = closeMs - settings.expireBeforeCloseSec * 1000;
+  return Math.floor((target > now ? target : closeMs) / 1000);
+}
+
+// Best bid on the ladder, not counting our own resting order `own`
+const competingBid = (ladder, own = null) => {
+  for (const level of ladder?.bids ?? []) {
+    if (own && level.price === own.price && level.qty <= own.remaining) continue;
+    return level.price;
+  }
+  return null;
+};
+
+/**
+ * Limit price for a buy of `count` contracts
+ *
+ * - join: the best bid on our side, at the back of its queue
+ * - improve: one tick (`improveCents`) over the best bid, still under the ask
+ * - cross: the price that fills `count` from the asks, while the edge at that average fill
+ *   (taker fee included) is at least `crossMinEdge`; otherwise it works as improve
+ *
+ * Passive prices never go above `maxPrice` (see maxPriceFor). `own` ({ price, remaining })
+ * is a resting order of ours to leave out of the bids when repricing it.
+ * Returns { strategy, price, crossing }, or null with no bid to price from or nothing under maxPrice
+ */
+export function priceOrder({ side, count, book, winProb, maxPrice, strategy = CONFIG.execution.strategy, settings = CONFIG.execution, own = null }) {
+  const ladder = side === "no" ? book?.no : book?.yes;
+  const ask = ladder?.asks?.[0]?.price ?? null;
+
+  if (strategy === "cross" && ask !== null && Number.isFinite(winProb)) {
+    const fill = estimateFillCost(book, { side, action: "buy", count });
+    if (fill.complete) {
+      const perContract = (fill.totalCost / 100 + kalshiFee({ count, price: fill.avgPrice / 100, liquidity: "taker" })) / count;
+      if (winProb - perContract >= settings.crossMinEdge) {
+        return { strategy: "cross", price: fill.worstPrice, crossing: true };
+      }
+    }
+  }
+
+  const bid = competingBid(ladder, own);
+  if (bid === null) return null;
+  const passive = strategy === "join" ? "join" : "improve";
+  let price = passive === "join" ? bid : bid + settings.improveCents;
+  if (ask !== null) price = Math.min(price, ask - 1);
+  if (maxPrice !== null && maxPrice !== undefined) price = Math.min(price, maxPrice);
+  if (price < 1) return null;
+  return { strategy: passive, price, crossing: false };
+}
+
+/**
+ * Execution manager: places entries with a pricing strategy and works them until done
+ *
+ * Every order carries an expiration ahead of the market close. Each loop manage() looks at
+ * the orders still resting: one unfilled after `cancelAfterMs` is canceled, and with
+ * `reprice` on, a passive order follows the bid (never past its max price; while `halted`
+ * it may only move down, since a higher bid adds cost the risk manager hasn't seen). When an order
+ * is done (filled, canceled or expired) its result is kept, with the average fill and the
+ * slippage against the price the signal saw.
+ *
+ * onUpdate sees every change to the working set ({ working, previousClientOrderId } when an
+ * order is added or changed, { clientOrderId, working: null } when it is done), so a state
+ * store can journal it and hand it back as `initial` after a restart; the timeout and
+ * repricing then carry on from where they were.
+ */
+export function createExecutionManager({ orderManager, settings = CONFIG.execution, keep = 100, initial = [], onUpdate }) {
+  // clientOrderId -> working order
+  const working = new Map(initial.map((w) => [w.clientOrderId, { ...w }]));
+  const results = [];
+
+  const saved = (w, previousClientOrderId = null) => {
+    if (typeof onUpdate === "function") onUpdate({ working: { ...w }, previousClientOrderId });
+  };
+  const dropped = (clientOrderId) => {
+    if (typeof onUpdate === "function") onUpdate({ clientOrderId, working: null });
+  };
+
+  /**
+   * Price a buy with the configured strategy, before any order is sent
+   * Returns { strategy, price, crossing, maxPrice } or null (see priceOrder)
+   */
+  function plan({ side, count, book, winProb, strategy = settings.strategy }) {
+    const maxPrice = maxPriceFor({ winProb, minEdge: settings.minEdge });
+    const priced = priceOrder({ side, count, book, winProb, maxPrice, strategy: STRATEGIES.has(strategy) ? strategy : "cross", settings });
+    return priced ? { ...priced, maxPrice } : null;
+  }
+
+  /**
+   * Send a planned buy and start working it. signalPrice: the ask (cents) when the signal fired,
+   * null when there was none (no slippage is measured then)
+   * Returns the orderManager.submit() result
+   */
+  async function execute({ ticker, side, count, plan, winProb, signalPrice = null, closeMs = null, meta = null }) {
+    const expirationTs = expirationFor(closeMs, { settings });
+    const result = await orderManager.submit({
+      ticker,
+      side,
+      action: "buy",
+      count,
+      price: plan.price,
+      type: "limit",
+      expirationTs,
+      meta: { ...meta, execution: plan.strategy }
+    });
+    if (result.ok) {
+      const w = {
+        clientOrderId: result.order.clientOrderId,
+        orderId: result.order.orderId,
+        ticker,
+        side,
+        strategy: plan.strategy,
+        count,
+        firstPrice: plan.price,
+        signalPrice: Number.isFinite(signalPrice) ? signalPrice : null,
+        maxPrice: plan.maxPrice,
+        winProb,
+        expirationTs,
+        placedAt: Date.now(),
+        repricedAt: null,
+        reprices: 0,
+        canceledFor: null
+      };
+      working.set(w.clientOrderId, w);
+      saved(w);
+    }
+    return result;
+  }
+
+  const finish = (w, order) => {
+    const orderId = order?.orderId ?? w.orderId;
+    const fills = orderManager.getFills({ ticker: w.ticker }).filter((f) => f.orderId === orderId);
+    const filled = fills.reduce((acc, f) => acc + f.count, 0);
+    const avgFillPrice = filled > 0 ? fills.reduce((acc, f) => acc + f.count * f.price, 0) / filled : null;
+    const expired = w.expirationTs !== null && Date.now() >= w.expirationTs * 1000;
+    const record = {
+      time: Date.now(),
+      clientOrderId: w.clientOrderId,
+      ticker: w.ticker,
+      side: w.side,
+      strategy: w.strategy,
+      count: w.count,
+      filled,
+      firstPrice: w.firstPrice,
+      lastPrice: order?.price ?? w.firstPrice,
+      avgFillPrice,
+      signalPrice: w.signalPrice,
+      // Cents per contract paid over what the signal saw; negative is price improvement
+      slippage: avgFillPrice !== null && w.signalPrice !== null ? avgFillPrice - w.signalPrice : null,
+      reprices: w.reprices,
+      placedAt: w.placedAt,
+      durationMs: Date.now() - w.placedAt,
+      status: order?.status ?? "unknown",
+      outcome: filled >= w.count ? "filled" : w.canceledFor ?? (expired ? "expired" : order?.status ?? "unknown")
+    };
+    results.push(record);
+    if (results.length > keep) results.shift();
+    return record;
+  };
+
+  /**
+   * Work the orders in tickers starting with `prefix`. Call after orderManager.sync();
+   * getBook(ticker) returns a parsed book or null; `halted` holds reprices that would raise
+   * the price. Returns the results finished this call
+   */
+  async function manage({ prefix = null, getBook, halted = false }) {
+    const done = [];
+    for (const w of [...working.values()]) {
+      if (prefix && !w.ticker.startsWith(prefix)) continue;
+      const order = orderManager.getOrder(w.clientOrderId);
+      if (!order || TERMINAL_STATUSES.has(order.status)) {
+        working.delete(w.clientOrderId);
+        dropped(w.clientOrderId);
+        done.push(finish(w, order));
+        continue;
+      }
+      if (order.status !== "resting") continue;
+
+      const now = Date.now();
+      if (settings.cancelAfterMs > 0 && now - w.placedAt >= settings.cancelAfterMs) {
+        const res = await orderManager.cancel(w.clientOrderId);
+        if (res.ok) {
+          w.canceledFor = "timeout";
+          saved(w);
+        }
+        continue;
+      }
+
+      if (!settings.reprice || w.strategy === "cross" || (w.repricedAt && now - w.repricedAt < settings.repriceIntervalMs)) continue;
+      const book = await getBook(w.ticker);
+      if (!book) continue;
+      const plan = priceOrder({
+        side: w.side,
+        count: order.remainingCount,
+        book,
+        winProb: w.winProb,
+        maxPrice: w.maxPrice,
+        strategy: w.strategy,
+        settings,
+        own: { price: order.price, remaining: order.remainingCount }
+      });
+      if (!plan || plan.price === order.price || (halted && plan.price > order.price)) continue;
+      const res = await orderManager.amend(w.clientOrderId, { price: plan.price });
+      if (!res.ok) continue;
+      // An amend gives the order a new client id
+      const previousClientOrderId = w.clientOrderId;
+      working.delete(previousClientOrderId);
+      w.clientOrderId = res.order.clientOrderId;
+      w.repricedAt = now;
+      w.reprices += 1;
+      working.set(w.clientOrderId, w);
+      saved(w, previousClientOrderId);
+    }
+    return done;
+  }
+
+  return {
+    plan,
+    execute,
+    manage,
+    getWorking: ({ prefix = null } = {}) => [...working.values()].filter((w) => !prefix || w.ticker.startsWith(prefix)).map((w) => ({ ...w })),
+    getResults: ({ prefix = null } = {}) => results.filter((r) => !prefix || r.ticker.startsWith(prefix)).map((r) => ({ ...r }))
+  };
+}
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createExecutionManager } from "./execution.js";
+import { createStateStore } from "./stateStore.js";
+
+const settings = { strategy: "join", minEdge: 0, improveCents: 1, crossMinEdge: 0.05, reprice: false, repriceIntervalMs: 0, cancelAfterMs: 20, expireBeforeCloseSec: 60 };
+
+// Just enough of the order manager for one resting buy
+const fakeOrderManager = () => {
+  const orders = new Map();
+  return {
+    submit: async ({ ticker, side, count, price }) => {
+      const order = { clientOrderId: `c${orders.size + 1}`, orderId: `o${orders.size + 1}`, ticker, side, action: "buy", count, price, status: "resting", remainingCount: count };
+      orders.set(order.clientOrderId, order);
+      return { ok: true, order: { ...order } };
+    },
+    getOrder: (id) => (orders.has(id) ? { ...orders.get(id) } : null),
+    cancel: async (id) => {
+      orders.get(id).status = "canceled";
+      return { ok: true };
+    },
+    getFills: () => [],
+    orders
+  };
+};
+
+test("entries being worked survive a restart and still time out", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "exec-"));
+  const orderManager = fakeOrderManager();
+  const store = createStateStore({ dir, snapshotEvery: 0 });
+  const before = createExecutionManager({ orderManager, settings, onUpdate: (change) => store.record("working", change) });
+  await before.execute({ ticker: "KXBTCD-26OCT1915-T100000", side: "yes", count: 3, plan: { strategy: "join", price: 40, maxPrice: 60 }, winProb: 0.7 });
+
+  // A fresh process: the working set comes back from the journal
+  const reloaded = createStateStore({ dir, snapshotEvery: 0 });
+  assert.equal(reloaded.getWorking().length, 1);
+  const after = createExecutionManager({ orderManager, settings, initial: reloaded.getWorking(), onUpdate: (change) => reloaded.record("working", change) });
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  await after.manage({ getBook: async () => null });
+  assert.equal(orderManager.orders.get("c1").status, "canceled");
+
+  const done = await after.manage({ getBook: async () => null });
+  assert.equal(done.length, 1);
+  assert.equal(done[0].outcome, "timeout");
+  assert.equal(reloaded.getWorking().length, 0);
+});
@@ -0,0 +1,138 @@
+import { CONFIG } from "../config.js";
+import { kalshiFee } from "../engines/fees.js";
+import { depthWithinPrice, estimateFillCost } from "../data/kalshiBook.js";
+
+/**
+ * Should this position be sold now, and how much?
+ *
+ * P&L is measured on what selling would actually net: the average bid for the size, less
+ * the fee, against the average entry price. Rules, first match wins:
+ * - flatten_before_close: within `flattenMinutes` of the close, sell everything
+ * - stop_loss: down `stopLossPct` or more, sell everything
+ * - signal_reversal: the signal wants the other side of this ticker, sell everything
+ * - take_profit: up at least the next unfilled level's gain, sell that level's share of
+ *   what is still held (levels already hit are counted in `levelsTaken`)
+ *
+ * Sells are limited to `maxSlippageCents` under the best bid; what the book can't take
+ * there is left for the next loop. Returns null, or { reason, count, price (limit, cents),
+ * exitPrice ($, net of fee), pnlPct, level }
+ */
+export function evaluateExit({ position, book, remainingMinutes = null, signal = null, levelsTaken = 0, rules = CONFIG.exit, liquidity = "taker" }) {
+  if (!position || position.count <= 0 || !position.avgPrice) return null;
+  const { side } = position;
+  const bids = (side === "no" ? book?.no : book?.yes)?.bids ?? [];
+  if (!bids.length) return null;
+
+  const fill = estimateFillCost(book, { side, action: "sell", count: position.count });
+  const price = fill.avgPrice / 100;
+  const exitPrice = price - kalshiFee({ count: fill.filled, price, liquidity }) / fill.filled;
+  const pnlPct = exitPrice / position.avgPrice - 1;
+
+  let reason = null;
+  let count = position.count;
+  let level = null;
+  if (rules.flattenMinutes > 0 && remainingMinutes !== null && remainingMinutes <= rules.flattenMinutes) {
+    reason = "flatten_before_close";
+  } else if (rules.stopLossPct > 0 && pnlPct <= -rules.stopLossPct) {
+    reason = "stop_loss";
+  } else if (rules.onReversal && signal?.action === "ENTER" && (signal.side === "UP" ? "yes" : "no") !== side) {
+    reason = "signal_reversal";
+  } else {
+    const next = rules.takeProfit[levelsTaken];
+    if (!next || pnlPct < next.gain) return null;
+    reason = "take_profit";
+    level = levelsTaken;
+    const last = levelsTaken === rules.takeProfit.length - 1;
+    count = last || next.fraction >= 1 ? position.count : Math.max(1, Math.ceil(position.count * next.fraction));
+  }
+
+  const limitPrice = Math.max(1, bids[0].price - rules.maxSlippageCents);
+  count = Math.min(count, depthWithinPrice(book, { side, action: "sell", limitPrice }));
+  if (count <= 0) return null;
+  return { reason, count, price: limitPrice, exitPrice, pnlPct, level };
+}
+
+/**
+ * Exit manager: watches the bot's open positions and places the sells evaluateExit() calls for
+ *
+ * One sell per position at a time: while a sell rests on the ticker and side nothing new
+ * is sent. Take-profit levels already hit are remembered per position until it goes flat,
+ * so a partial exit isn't repeated. Every exit sent is kept (newest last) with its reason.
+ * onLevel({ key, levels }) sees every change to those counts (levels null once forgotten),
+ * so a state store can journal them and hand them back as `initial` after a restart.
+ */
+export function createExitManager({ orderManager, rules = CONFIG.exit, keep = 50, initial = {}, onLevel }) {
+  // `${ticker}:${side}` -> take-profit levels already sold
+  const levels = new Map(Object.entries(initial));
+  const exits = [];
+
+  const setLevels = (key, count) => {
+    if (count === null) {
+      if (!levels.delete(key)) return;
+    } else {
+      levels.set(key, count);
+    }
+    if (typeof onLevel === "function") onLevel({ key, levels: count });
+  };
+
+  /**
+   * Check one position against its live book; places the sell (expiring at `expirationTs`) if a rule fires
+   * Returns the exit record (with the order result and any typed error as `cause`) or null
+   */
+  async function manage({ position, book, remainingMinutes = null, signal = null, expirationTs = null }) {
+    const key = `${position.ticker}:${position.side}`;
+    if (position.count <= 0) {
+      setLevels(key, null);
+      return null;
+    }
+    const resting = orderManager.getOpenOrders({ ticker: position.ticker })
+      .some((o) => o.action === "sell" && o.side === position.side);
+    if (resting) return null;
+
+    const exit = evaluateExit({ position, book, remainingMinutes, signal, levelsTaken: levels.get(key) ?? 0, rules });
+    if (!exit) return null;
+
+    const result = await orderManager.submit({
+      ticker: position.ticker,
+      side: position.side,
+      action: "sell",
+      count: exit.count,
+      price: exit.price,
+      type: "limit",
+      expirationTs,
+      meta: { strategy: "signal", exitReason: exit.reason, pnlPct: exit.pnlPct }
+    });
+    if (result.ok && exit.level !== null) setLevels(key, exit.level + 1);
+
+    const record = {
+      time: Date.now(),
+      ticker: position.ticker,
+      side: position.side,
+      held: position.count,
+      avgPrice: position.avgPrice,
+      ...exit,
+      ok: result.ok,
+      error: result.ok ? null : result.error,
+      order: result.order
+    };
+    exits.push(record);
+    if (exits.length > keep) exits.shift();
+    return { ...record, cause: result.ok ? null : result.cause };
+  }
+
+  /**
+   * Forget levels for positions that are no longer held
+   */
+  function prune(positions) {
+    const held = new Set(positions.filter((p) => p.count > 0).map((p) => `${p.ticker}:${p.side}`));
+    for (const key of [...levels.keys()]) {
+      if (!held.has(key)) setLevels(key, null);
+    }
+  }
+
+  return {
+    manage,
+    prune,
+    getExits: ({ prefix = null } = {}) => exits.filter((e) => !prefix || e.ticker.startsWith(prefix)).map((e) => ({ ...e }))
+  };
+}
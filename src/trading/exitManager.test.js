@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildOrderBook } from "../data/kalshiBook.js";
+import { createExitManager } from "./exitManager.js";
+import { createStateStore } from "./stateStore.js";
+
+const rules = {
+  flattenMinutes: 0,
+  stopLossPct: 0,
+  onReversal: false,
+  maxSlippageCents: 5,
+  takeProfit: [{ gain: 0.2, fraction: 0.5 }, { gain: 0.6, fraction: 1 }]
+};
+const ticker = "KXBTCD-26OCT1915-T100000";
+
+test("a take-profit level already sold is not sold again after a restart", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "exits-"));
+  const sells = [];
+  const orderManager = {
+    getOpenOrders: () => [],
+    submit: async (order) => {
+      sells.push(order);
+      return { ok: true, order };
+    }
+  };
+  const position = { ticker, side: "yes", count: 10, avgPrice: 0.4 };
+  // 55c bid against a 40c entry: past the first level, short of the second
+  const book = buildOrderBook({ yes: [[55, 100]], no: [[40, 100]] });
+
+  const store = createStateStore({ dir, snapshotEvery: 0 });
+  const before = createExitManager({ orderManager, rules, onLevel: (change) => store.record("exitLevels", change) });
+  const exit = await before.manage({ position, book });
+  assert.equal(exit.reason, "take_profit");
+  assert.equal(exit.count, 5);
+
+  const reloaded = createStateStore({ dir, snapshotEvery: 0 });
+  const after = createExitManager({ orderManager, rules, initial: reloaded.getExitLevels() });
+  assert.equal(await after.manage({ position: { ...position, count: 5 }, book }), null);
+  assert.equal(sells.length, 1);
+});
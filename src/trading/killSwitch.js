@@ -0,0 +1,41 @@
+import fs from "node:fs";
+import { CONFIG } from "../config.js";
+
+/**
+ * Kill switch: while the file at `filePath` exists no orders are sent, signal generation
+ * carries on. `touch logs/KILL` stops trading, removing the file resumes it. The file's
+ * first line, if any, is reported as the reason.
+ *
+ * check() is called once per loop; `changed` marks the loop it flipped on or off.
+ */
+export function createKillSwitch({ filePath = CONFIG.control.killSwitchPath } = {}) {
+  let active = false;
+  let reason = null;
+  let since = null;
+
+  function check() {
+    const exists = fs.existsSync(filePath);
+    const changed = exists !== active;
+    if (exists && changed) {
+      let firstLine = "";
+      try {
+        firstLine = fs.readFileSync(filePath, "utf8").split("\n")[0].trim();
+      } catch {
+        // ignore
+      }
+      reason = firstLine || "kill switch file present";
+      since = new Date().toISOString();
+    } else if (!exists) {
+      reason = null;
+      since = null;
+    }
+    active = exists;
+    return { active, changed, reason, since };
+  }
+
+  return {
+    check,
+    isActive: () => active,
+    getStatus: () => ({ active, reason, since, path: filePath })
+  };
+}
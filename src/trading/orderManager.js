@@ -0,0 +1,384 @@
+import crypto from "node:crypto";
+import {
+  placeOrder,
+  fetchOrder,
+  fetchOrders,
+  cancelOrder,
+  decreaseOrder,
+  amendOrder,
+  fetchFills,
+  fetchPositions
+} from "../data/kalshi.js";
+import { KalshiError, NetworkError, ServerError, DuplicateOrderError } from "../data/kalshiClient.js";
+
+const DEFAULT_API = { placeOrder, fetchOrder, fetchOrders, cancelOrder, decreaseOrder, amendOrder, fetchFills, fetchPositions };
+
+const ACTIVE_STATUSES = new Set(["pending", "resting", "unknown"]);
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function newClientOrderId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Order lifecycle manager
+ *
+ * Every order gets a client_order_id before it is sent, so a submit that times out can be
+ * reconciled (or safely retried) instead of double-filling. `sync()` is called once per
+ * loop: it refreshes every active order and pulls new fills. Positions are built from
+ * fills only, never from what we asked for.
+ *
+ * An order whose submit had no clear answer is looked up by client id; it only counts as
+ * never placed once it is still missing from the listing `missingAfterMs` after that
+ * submit, since a fresh order can take a moment to be listed.
+ *
+ * `api` defaults to the live Kalshi REST calls; anything with the same shape (a paper
+ * simulator, a mock) can be swapped in. onOrderUpdate / onFill see every change, so a
+ * state store can journal them and hand them back to restore() after a restart.
+ */
+export function createOrderManager({ api = DEFAULT_API, onFill, onOrderUpdate, startTs = Date.now(), missingAfterMs = 30_000 } = {}) {
+  // clientOrderId -> order record
+  const orders = new Map();
+  // fill id -> fill
+  const fills = new Map();
+  // `${ticker}:${side}` -> position
+  const positions = new Map();
+
+  let lastFillTs = Math.floor(startTs / 1000);
+  let lastSyncAt = null;
+  let lastError = null;
+
+  const findByOrderId = (orderId) => {
+    for (const o of orders.values()) {
+      if (o.orderId === orderId) return o;
+    }
+    return null;
+  };
+
+  const emitUpdate = (record, extra = null) => {
+    if (typeof onOrderUpdate === "function") onOrderUpdate({ ...record, ...extra });
+  };
+
+  const applyExchangeOrder = (record, ex) => {
+    if (!ex) return record;
+    const before = `${record.status}:${record.filledCount}`;
+    record.orderId = ex.order_id ?? record.orderId;
+    record.status = ex.status ?? record.status;
+    const initial = toNumber(ex.initial_count) ?? record.count;
+    const remaining = toNumber(ex.remaining_count);
+    record.filledCount = toNumber(ex.fill_count) ?? (remaining !== null ? initial - remaining : record.filledCount);
+    record.remainingCount = remaining ?? Math.max(0, record.count - record.filledCount);
+    const price = toNumber(record.side === "no" ? ex.no_price : ex.yes_price);
+    if (price !== null) record.price = price;
+    record.updatedAt = Date.now();
+    if (before !== `${record.status}:${record.filledCount}`) emitUpdate(record);
+    return record;
+  };
+
+  // Record a normalized fill and move its position; false if it was already known
+  const addFill = (fill) => {
+    if (fills.has(fill.fillId)) return false;
+    fills.set(fill.fillId, fill);
+    lastFillTs = Math.max(lastFillTs, Math.floor(fill.time / 1000));
+
+    // Average-cost position per ticker and side; sells realize against the average
+    const key = `${fill.ticker}:${fill.side}`;
+    const pos = positions.get(key) ?? { ticker: fill.ticker, side: fill.side, count: 0, cost: 0, realizedPnl: 0, updatedAt: null };
+    if (fill.action === "buy") {
+      pos.count += fill.count;
+      pos.cost += fill.count * (fill.price ?? 0);
+    } else {
+      const avg = pos.count > 0 ? pos.cost / pos.count : 0;
+      const closed = Math.min(fill.count, pos.count);
+      pos.realizedPnl += closed * ((fill.price ?? 0) - avg);
+      pos.count -= closed;
+      pos.cost -= closed * avg;
+    }
+    pos.updatedAt = fill.time;
+    positions.set(key, pos);
+    return true;
+  };
+
+  const applyFill = (f) => {
+    const fillId = f.fill_id ?? f.trade_id ?? `${f.order_id}:${f.created_time}:${f.count}`;
+
+    const side = f.side === "no" ? "no" : "yes";
+    const price = toNumber(side === "no" ? f.no_price : f.yes_price);
+    const count = toNumber(f.count) ?? 0;
+    const time = f.created_time ? new Date(f.created_time).getTime() : Date.now();
+    const fill = {
+      fillId,
+      orderId: f.order_id ?? null,
+      clientOrderId: findByOrderId(f.order_id)?.clientOrderId ?? null,
+      ticker: f.ticker,
+      side,
+      action: f.action === "sell" ? "sell" : "buy",
+      count,
+      price,
+      isTaker: f.is_taker ?? null,
+      time
+    };
+    if (!addFill(fill)) return false;
+    if (typeof onFill === "function") onFill({ ...fill });
+    return true;
+  };
+
+  const positionView = (pos) => ({
+    ticker: pos.ticker,
+    side: pos.side,
+    count: pos.count,
+    // Cents internally; avgPrice and P&L reported in dollars (0-1 per contract)
+    avgPrice: pos.count > 0 ? pos.cost / pos.count / 100 : null,
+    cost: pos.cost / 100,
+    realizedPnl: pos.realizedPnl / 100,
+    updatedAt: pos.updatedAt
+  });
+
+  async function submit({ ticker, side, action = "buy", count, price, type = "limit", clientOrderId = newClientOrderId(), expirationTs = null, meta = null }) {
+    const existing = orders.get(clientOrderId);
+    if (existing && existing.status !== "unknown") {
+      return { ok: true, order: { ...existing }, duplicate: true };
+    }
+
+    const record = existing ?? {
+      clientOrderId,
+      orderId: null,
+      ticker,
+      side,
+      action,
+      type,
+      count,
+      price,
+      status: "pending",
+      filledCount: 0,
+      remainingCount: count,
+      expirationTs,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      error: null,
+      meta
+    };
+    orders.set(clientOrderId, record);
+
+    try {
+      const res = await api.placeOrder({ ticker, side, action, count, price, type, clientOrderId, expirationTs });
+      applyExchangeOrder(record, res?.order ?? res);
+      if (record.status === "pending") record.status = "resting";
+      record.error = null;
+      return { ok: true, order: { ...record } };
+    } catch (err) {
+      // A definite rejection (balance, closed market, bad request) is final. For a timeout,
+      // 5xx or duplicate-id answer we can't tell whether the exchange took it; sync() looks
+      // it up by client id
+      const ambiguous = !(err instanceof KalshiError)
+        || err instanceof NetworkError
+        || err instanceof ServerError
+        || err instanceof DuplicateOrderError;
+      record.status = ambiguous ? "unknown" : "rejected";
+      record.error = err.message;
+      record.updatedAt = Date.now();
+      emitUpdate(record);
+      return { ok: false, error: err.message, errorType: err.name, cause: err, order: { ...record } };
+    }
+  }
+
+  async function cancel(clientOrderId) {
+    const record = orders.get(clientOrderId);
+    if (!record?.orderId) return { ok: false, error: "unknown_order" };
+    try {
+      const ex = await api.cancelOrder(record.orderId);
+      applyExchangeOrder(record, ex);
+      if (ACTIVE_STATUSES.has(record.status)) {
+        record.status = "canceled";
+        emitUpdate(record);
+      }
+      return { ok: true, order: { ...record } };
+    } catch (err) {
+      return { ok: false, error: err.message, order: { ...record } };
+    }
+  }
+
+  async function cancelAll({ ticker = null } = {}) {
+    const results = [];
+    for (const o of orders.values()) {
+      if (!ACTIVE_STATUSES.has(o.status)) continue;
+      if (ticker && o.ticker !== ticker) continue;
+      results.push(await cancel(o.clientOrderId));
+    }
+    return results;
+  }
+
+  async function decrease(clientOrderId, { reduceBy = null, reduceTo = null }) {
+    const record = orders.get(clientOrderId);
+    if (!record?.orderId) return { ok: false, error: "unknown_order" };
+    try {
+      const ex = await api.decreaseOrder(record.orderId, { reduceBy, reduceTo });
+      applyExchangeOrder(record, ex);
+      return { ok: true, order: { ...record } };
+    } catch (err) {
+      return { ok: false, error: err.message, order: { ...record } };
+    }
+  }
+
+  /**
+   * Amend price and/or total size. The amended order carries a new client id,
+   * which replaces the old one in the book of tracked orders.
+   */
+  async function amend(clientOrderId, { price = null, count = null }) {
+    const record = orders.get(clientOrderId);
+    if (!record?.orderId) return { ok: false, error: "unknown_order" };
+    const updatedClientOrderId = newClientOrderId();
+    try {
+      const ex = await api.amendOrder(record.orderId, {
+        ticker: record.ticker,
+        side: record.side,
+        action: record.action,
+        count: count ?? record.count,
+        price: price ?? record.price,
+        clientOrderId: record.clientOrderId,
+        updatedClientOrderId
+      });
+      orders.delete(clientOrderId);
+      record.clientOrderId = updatedClientOrderId;
+      record.count = count ?? record.count;
+      record.price = price ?? record.price;
+      orders.set(updatedClientOrderId, record);
+      applyExchangeOrder(record, ex);
+      emitUpdate(record, { previousClientOrderId: clientOrderId });
+      return { ok: true, order: { ...record } };
+    } catch (err) {
+      return { ok: false, error: err.message, order: { ...record } };
+    }
+  }
+
+  /**
+   * Refresh active orders and pull new fills. Call once per loop.
+   */
+  async function sync() {
+    lastError = null;
+
+    for (const record of orders.values()) {
+      if (!ACTIVE_STATUSES.has(record.status)) continue;
+      try {
+        if (record.orderId) {
+          applyExchangeOrder(record, await api.fetchOrder(record.orderId));
+          continue;
+        }
+        // Submit outcome unknown: adopt the exchange's order if it has our client id
+        const listed = await api.fetchOrders({ ticker: record.ticker });
+        const match = listed.find((o) => o.client_order_id === record.clientOrderId);
+        if (match) {
+          applyExchangeOrder(record, match);
+        } else if (Date.now() - (record.updatedAt ?? 0) >= missingAfterMs) {
+          record.status = "rejected";
+          record.updatedAt = Date.now();
+          emitUpdate(record);
+        }
+      } catch (err) {
+        lastError = err.message;
+      }
+    }
+
+    try {
+      // Overlap by a second; fills are deduplicated by id
+      const fresh = await api.fetchFills({ minTs: lastFillTs - 1 });
+      const ordered = [...fresh].sort((a, b) => new Date(a.created_time).getTime() - new Date(b.created_time).getTime());
+      for (const f of ordered) applyFill(f);
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    lastSyncAt = Date.now();
+    return { ok: lastError === null, error: lastError };
+  }
+
+  /**
+   * Load orders and fills kept from an earlier run (fills as getFills() returns them).
+   * Positions are rebuilt from the fills; nothing is sent to onFill / onOrderUpdate.
+   * The next sync() asks for fills from `since` (unix seconds, default the newest fill
+   * restored), so fills made while the bot was down are picked up.
+   */
+  function restore({ orders: savedOrders = [], fills: savedFills = [], since = null } = {}) {
+    for (const o of savedOrders) {
+      if (o?.clientOrderId) orders.set(o.clientOrderId, { ...o });
+    }
+    const sorted = [...savedFills].sort((a, b) => a.time - b.time);
+    for (const f of sorted) addFill({ ...f });
+    const newest = sorted.length ? Math.floor(sorted[sorted.length - 1].time / 1000) : null;
+    if (since !== null || newest !== null) lastFillTs = since ?? newest;
+  }
+
+  /**
+   * Line positions up with what the exchange holds, for tickers `match` accepts.
+   * Covers fills and settlements that happened while the bot was down, and settlements
+   * while it runs (fills alone never take a settled position off). A position the
+   * exchange doesn't have is zeroed; a count that differs is taken over, at the
+   * exchange's cost. Returns [{ ticker, side, local, exchange }] for each difference
+   */
+  async function reconcilePositions({ match = () => true } = {}) {
+    const held = new Map();
+    for (const p of await api.fetchPositions()) {
+      const net = toNumber(p.position) ?? 0;
+      if (net === 0 || !match(p.ticker)) continue;
+      held.set(`${p.ticker}:${net > 0 ? "yes" : "no"}`, { count: Math.abs(net), cost: toNumber(p.market_exposure) });
+    }
+
+    const diffs = [];
+    for (const key of new Set([...positions.keys(), ...held.keys()])) {
+      const [ticker, side] = key.split(":");
+      if (!match(ticker)) continue;
+      const local = positions.get(key) ?? { ticker, side, count: 0, cost: 0, realizedPnl: 0, updatedAt: null };
+      const remote = held.get(key) ?? { count: 0, cost: 0 };
+      if (local.count === remote.count) continue;
+      diffs.push({ ticker, side, local: local.count, exchange: remote.count });
+      const avg = local.count > 0 ? local.cost / local.count : 0;
+      local.cost = remote.count === 0 ? 0 : remote.cost ?? avg * remote.count;
+      local.count = remote.count;
+      local.updatedAt = Date.now();
+      positions.set(key, local);
+    }
+    return diffs;
+  }
+
+  return {
+    submit,
+    cancel,
+    cancelAll,
+    decrease,
+    amend,
+    sync,
+    restore,
+    reconcilePositions,
+    getOrders: () => Array.from(orders.values()).map((o) => ({ ...o })),
+    getOrder: (clientOrderId) => (orders.has(clientOrderId) ? { ...orders.get(clientOrderId) } : null),
+    getOpenOrders({ ticker = null } = {}) {
+      return Array.from(orders.values())
+        .filter((o) => ACTIVE_STATUSES.has(o.status) && (!ticker || o.ticker === ticker))
+        .map((o) => ({ ...o }));
+    },
+    getFills({ ticker = null } = {}) {
+      return Array.from(fills.values())
+        .filter((f) => !ticker || f.ticker === ticker)
+        .sort((a, b) => a.time - b.time)
+        .map((f) => ({ ...f }));
+    },
+    getPositions({ ticker = null, includeFlat = false } = {}) {
+      return Array.from(positions.values())
+        .filter((p) => (!ticker || p.ticker === ticker) && (includeFlat || p.count > 0))
+        .map(positionView);
+    },
+    getPosition(ticker, side = null) {
+      for (const p of positions.values()) {
+        if (p.ticker !== ticker || p.count <= 0) continue;
+        if (side && p.side !== side) continue;
+        return positionView(p);
+      }
+      return null;
+    },
+    getStatus: () => ({ lastSyncAt, lastError, orders: orders.size, fills: fills.size })
+  };
+}
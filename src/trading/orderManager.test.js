@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { NetworkError } from "../data/kalshiClient.js";
+import { createOrderManager } from "./orderManager.js";
+
+const ticker = "KXBTCD-26OCT1915-T100000";
+
+// The submit times out; the exchange lists the order only once `listed` is set
+const setup = (missingAfterMs) => {
+  const exchange = { listed: null };
+  const api = {
+    placeOrder: async () => {
+      throw new NetworkError("timed out", { method: "POST", path: "/trade-api/v2/portfolio/orders" });
+    },
+    fetchOrders: async () => (exchange.listed ? [exchange.listed] : []),
+    fetchFills: async () => []
+  };
+  return { exchange, manager: createOrderManager({ api, missingAfterMs }) };
+};
+
+test("an order not listed yet is not given up on within the grace period", async () => {
+  const { exchange, manager } = setup(60_000);
+  const res = await manager.submit({ ticker, side: "yes", count: 5, price: 40 });
+  assert.equal(res.order.status, "unknown");
+
+  await manager.sync();
+  assert.equal(manager.getOrder(res.order.clientOrderId).status, "unknown");
+
+  exchange.listed = { order_id: "o1", client_order_id: res.order.clientOrderId, status: "resting", fill_count: 0, remaining_count: 5, yes_price: 40 };
+  await manager.sync();
+  const order = manager.getOrder(res.order.clientOrderId);
+  assert.equal(order.status, "resting");
+  assert.equal(order.orderId, "o1");
+});
+
+test("an order still missing after the grace period counts as never placed", async () => {
+  const { manager } = setup(10);
+  const res = await manager.submit({ ticker, side: "yes", count: 5, price: 40 });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await manager.sync();
+  assert.equal(manager.getOrder(res.order.clientOrderId).status, "rejected");
+});
@@ -0,0 +1,445 @@
+import crypto from "node:crypto";
+import { CONFIG } from "../config.js";
+import { fetchMarketByTicker, fetchOrderBook } from "../data/kalshi.js";
+import {
+  DuplicateOrderError,
+  InsufficientBalanceError,
+  KalshiError,
+  MarketClosedError,
+  NotFoundError
+} from "../data/kalshiClient.js";
+import { kalshiFee } from "../engines/fees.js";
+import { readJsonFile, writeJsonAtomic } from "../utils.js";
+
+// A closed market is asked for its result at most this often
+const SETTLE_POLL_MS = 30_000;
+const DAY_MS = 24 * 60 * 60_000;
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+const levelsOf = (raw, side) => (Array.isArray(raw?.[side]) ? raw[side] : [])
+  .map(([p, q]) => [Number(p), Number(q)])
+  .filter(([p, q]) => Number.isFinite(p) && q > 0);
+
+/**
+ * Paper exchange: the Kalshi calls the order manager and portfolio use, simulated
+ *
+ * Orders fill against the real order book (fetched fresh, never modified). An incoming
+ * limit takes whatever the book offers at or through its price as taker; the rest rests
+ * behind the size already bid at its price. Each step() re-reads the book: if the other
+ * side now crosses, the order fills as maker at its own price. Otherwise shrinkage of its
+ * price level is treated as trading, working through the queue ahead first and then
+ * filling the order, so partial fills happen the way they would in the queue. Liquidity
+ * isn't removed from the real book, so two paper orders can fill against the same size.
+ * A resting buy holds its worst-case cost (price plus fee on the unfilled count), so new
+ * buys are checked against the balance left after what other resting orders hold.
+ *
+ * Virtual positions settle on the market's real result once Kalshi publishes it. Orders,
+ * fills and settlements use the exchange's field names, so the order manager, portfolio
+ * ledger and P&L reports run on paper exactly as they do live. State persists to
+ * `statePath` whenever it changes. Finished orders, fills and settlements older than
+ * `retentionDays` are dropped (the balance and positions already carry them), the same
+ * window the portfolio ledger keeps in detail.
+ */
+export function createPaperExchange({
+  startBalance = CONFIG.paper.startBalance,
+  statePath = CONFIG.paper.statePath,
+  getBook = (ticker) => fetchOrderBook({ ticker }),
+  getMarket = fetchMarketByTicker,
+  retentionDays = CONFIG.kalshi.ledgerRetentionDays,
+  now = () => Date.now()
+} = {}) {
+  const saved = readJsonFile(statePath, {});
+  const state = {
+    // cents
+    balance: toNumber(saved.balance) ?? Math.round(startBalance * 100),
+    orders: Array.isArray(saved.orders) ? saved.orders : [],
+    fills: Array.isArray(saved.fills) ? saved.fills : [],
+    settlements: Array.isArray(saved.settlements) ? saved.settlements : [],
+    // `${ticker}:${side}` -> { count, cost (cents) }
+    positions: saved.positions ?? {},
+    // ticker -> { closeTime (ms), checkedAt, result }
+    markets: saved.markets ?? {},
+    nextId: toNumber(saved.nextId) ?? 1
+  };
+
+  const persist = () => writeJsonAtomic(statePath, { updatedAt: iso(now()), ...state });
+
+  const position = (ticker, side) => {
+    const key = `${ticker}:${side}`;
+    state.positions[key] ??= { count: 0, cost: 0 };
+    return state.positions[key];
+  };
+
+  // Buying YES at p is a YES bid at p; selling YES at p is a NO bid at 100 - p
+  const bidSideOf = (o) => (o.action === "buy" ? o.side : o.side === "yes" ? "no" : "yes");
+  const bidPriceOf = (o) => {
+    const own = o.side === "yes" ? o.yes_price : o.no_price;
+    return o.action === "buy" ? own : 100 - own;
+  };
+
+  // Exchange shape; the queue model's bookkeeping shows as queue_position
+  const orderView = (o) => {
+    const { paper_queue_ahead, paper_level_qty, ...fields } = o;
+    return { ...fields, queue_position: o.status === "resting" ? paper_queue_ahead : null };
+  };
+
+  const since = (rows, field, minTs) => rows.filter((r) => minTs === null || new Date(r[field]).getTime() >= minTs * 1000);
+
+  const resting = (ticker = null) => state.orders.filter((o) => o.status === "resting" && (!ticker || o.ticker === ticker));
+
+  // Worst-case cost (cents) of buying `count` at `own`, fee included
+  const worstCost = (count, own) => count * own + Math.round(kalshiFee({ count, price: own / 100 }) * 100);
+
+  // Cash held for resting buys: the worst-case cost of what is still unfilled. It is released
+  // as the order fills (the fill is charged at its actual cost), is canceled, expires or shrinks
+  const heldFor = (o) => (o.action === "buy" ? worstCost(o.remaining_count, o.side === "yes" ? o.yes_price : o.no_price) : 0);
+
+  // Balance not held for resting buys other than `except`
+  const freeBalance = (except = null) => state.balance - resting().filter((o) => o !== except).reduce((acc, o) => acc + heldFor(o), 0);
+
+  const findOrder = (orderId) => {
+    const order = state.orders.find((o) => o.order_id === orderId);
+    if (!order) throw new NotFoundError(`Paper order ${orderId} not found`, { status: 404, code: "not_found" });
+    return order;
+  };
+
+  const recordFill = (order, count, ownPrice, isTaker) => {
+    const fee = Math.round(kalshiFee({ count, price: ownPrice / 100, liquidity: isTaker ? "taker" : "maker" }) * 100);
+    const pos = position(order.ticker, order.side);
+    if (order.action === "buy") {
+      state.balance -= count * ownPrice + fee;
+      pos.count += count;
+      pos.cost += count * ownPrice;
+    } else {
+      const avg = pos.count > 0 ? pos.cost / pos.count : 0;
+      state.balance += count * ownPrice - fee;
+      pos.count -= count;
+      pos.cost -= count * avg;
+    }
+
+    order.fill_count += count;
+    order.remaining_count -= count;
+    order[isTaker ? "taker_fill_count" : "maker_fill_count"] += count;
+    order[isTaker ? "taker_fees" : "maker_fees"] += fee;
+    order.last_update_time = iso(now());
+    if (order.remaining_count === 0) order.status = "executed";
+
+    const yesPrice = order.side === "yes" ? ownPrice : 100 - ownPrice;
+    const id = `paper-fill-${state.nextId++}`;
+    state.fills.push({
+      fill_id: id,
+      trade_id: id,
+      order_id: order.order_id,
+      ticker: order.ticker,
+      side: order.side,
+      action: order.action,
+      count,
+      yes_price: yesPrice,
+      no_price: 100 - yesPrice,
+      is_taker: isTaker,
+      created_time: iso(now())
+    });
+  };
+
+  /**
+   * Levels of the other side that cross the order's bid, best first: [[bidPrice, qty]]
+   */
+  const crossing = (order, raw) => {
+    const opposite = bidSideOf(order) === "yes" ? "no" : "yes";
+    const bid = bidPriceOf(order);
+    return levelsOf(raw, opposite).filter(([p]) => p >= 100 - bid).sort((a, b) => b[0] - a[0]);
+  };
+
+  const levelQty = (order, raw) => levelsOf(raw, bidSideOf(order))
+    .filter(([p]) => p === bidPriceOf(order))
+    .reduce((acc, [, q]) => acc + q, 0);
+
+  /**
+   * Move one resting order along against a fresh book; true if anything about it changed
+   */
+  const work = (order, raw) => {
+    const before = `${order.fill_count}:${order.paper_queue_ahead}:${order.paper_level_qty}`;
+    advance(order, raw);
+    return before !== `${order.fill_count}:${order.paper_queue_ahead}:${order.paper_level_qty}`;
+  };
+
+  const advance = (order, raw) => {
+    // The book moved through the order: maker fill at its own price
+    for (const [, qty] of crossing(order, raw)) {
+      if (order.remaining_count === 0) break;
+      recordFill(order, Math.min(order.remaining_count, qty), order.side === "yes" ? order.yes_price : order.no_price, false);
+    }
+    if (order.remaining_count === 0) return;
+
+    // Size that left the level went to the queue ahead first, then to this order
+    const level = levelQty(order, raw);
+    let traded = Math.max(0, order.paper_level_qty - level);
+    const ahead = Math.min(order.paper_queue_ahead, traded);
+    order.paper_queue_ahead -= ahead;
+    traded -= ahead;
+    if (traded > 0) {
+      recordFill(order, Math.min(order.remaining_count, traded), order.side === "yes" ? order.yes_price : order.no_price, false);
+    }
+    order.paper_level_qty = level;
+  };
+
+  const rememberMarket = async (ticker) => {
+    if (state.markets[ticker]) return state.markets[ticker];
+    const market = await getMarket(ticker);
+    if (!market) throw new NotFoundError(`Market ${ticker} not found`, { status: 404, code: "market_not_found" });
+    state.markets[ticker] = { closeTime: market.close_time ? new Date(market.close_time).getTime() : null, checkedAt: 0, result: null };
+    return state.markets[ticker];
+  };
+
+  // Drop finished orders, fills and settlements past the retention window, and closed
+  // markets nothing is held in any more. true if anything was dropped
+  const prune = () => {
+    if (!(retentionDays > 0)) return false;
+    const cutoff = now() - retentionDays * DAY_MS;
+    const old = (time) => Date.parse(time) < cutoff;
+    const sizes = [state.orders.length, state.fills.length, state.settlements.length];
+    state.orders = state.orders.filter((o) => o.status === "resting" || !old(o.last_update_time));
+    state.fills = state.fills.filter((f) => !old(f.created_time));
+    state.settlements = state.settlements.filter((st) => !old(st.settled_time));
+    let dropped = sizes.some((n, i) => n !== [state.orders, state.fills, state.settlements][i].length);
+
+    const live = new Set([...state.orders.map((o) => o.ticker), ...Object.keys(state.positions).map((key) => key.split(":")[0])]);
+    for (const [ticker, market] of Object.entries(state.markets)) {
+      if (live.has(ticker) || market.closeTime === null || market.closeTime >= cutoff) continue;
+      delete state.markets[ticker];
+      dropped = true;
+    }
+    return dropped;
+  };
+
+  const settle = (ticker, result) => {
+    const yes = position(ticker, "yes");
+    const no = position(ticker, "no");
+    if (yes.count > 0 || no.count > 0) {
+      const revenue = (result === "yes" ? yes.count : no.count) * 100;
+      state.balance += revenue;
+      state.settlements.push({
+        ticker,
+        market_result: result,
+        yes_count: yes.count,
+        yes_total_cost: Math.round(yes.cost),
+        no_count: no.count,
+        no_total_cost: Math.round(no.cost),
+        revenue,
+        settled_time: iso(now())
+      });
+    }
+    delete state.positions[`${ticker}:yes`];
+    delete state.positions[`${ticker}:no`];
+  };
+
+  async function placeOrder({ ticker, side, action, count, price, type = "limit", clientOrderId = null, expirationTs = null }) {
+    const market = await rememberMarket(ticker);
+    if (market.result || (market.closeTime !== null && now() >= market.closeTime)) {
+      throw new MarketClosedError(`Paper order on ${ticker}: market is closed`, { status: 400, code: "market_closed" });
+    }
+    if (clientOrderId && state.orders.some((o) => o.client_order_id === clientOrderId)) {
+      throw new DuplicateOrderError("Paper order: client_order_id already exists", { status: 409, code: "order_already_exists" });
+    }
+    const own = type === "market" ? (action === "buy" ? 99 : 1) : toNumber(price);
+    if (!Number.isInteger(count) || count <= 0 || own === null || own < 1 || own > 99) {
+      throw new KalshiError("Paper order: invalid count or price", { status: 400, code: "invalid_parameters" });
+    }
+    if (action === "buy") {
+      if (worstCost(count, own) > freeBalance()) throw new InsufficientBalanceError("Paper order: insufficient balance", { status: 400, code: "insufficient_balance" });
+    } else if (position(ticker, side).count < count) {
+      throw new KalshiError(`Paper order: cannot sell ${count} ${side}, position is ${position(ticker, side).count}`, { status: 400, code: "invalid_order" });
+    }
+
+    const raw = await getBook(ticker);
+    const created = iso(now());
+    const order = {
+      order_id: `paper-order-${state.nextId++}`,
+      client_order_id: clientOrderId ?? crypto.randomUUID(),
+      user_id: "paper",
+      ticker,
+      side,
+      action,
+      type,
+      status: "resting",
+      yes_price: side === "yes" ? own : 100 - own,
+      no_price: side === "no" ? own : 100 - own,
+      initial_count: count,
+      remaining_count: count,
+      fill_count: 0,
+      taker_fill_count: 0,
+      maker_fill_count: 0,
+      taker_fees: 0,
+      maker_fees: 0,
+      created_time: created,
+      last_update_time: created,
+      expiration_time: expirationTs ? iso(expirationTs * 1000) : null,
+      paper_queue_ahead: 0,
+      paper_level_qty: 0
+    };
+    state.orders.push(order);
+
+    // Take what crosses, each level at its own price
+    for (const [level, qty] of crossing(order, raw)) {
+      if (order.remaining_count === 0) break;
+      const levelOwn = order.action === "buy" ? 100 - level : level;
+      recordFill(order, Math.min(order.remaining_count, qty), levelOwn, true);
+    }
+    if (order.remaining_count > 0 && type === "market") order.status = "canceled";
+    if (order.status === "resting") {
+      order.paper_level_qty = levelQty(order, raw);
+      order.paper_queue_ahead = order.paper_level_qty;
+    }
+    persist();
+    return { order: orderView(order) };
+  }
+
+  async function cancelOrder(orderId) {
+    const order = findOrder(orderId);
+    if (order.status === "resting") {
+      order.remaining_count = 0;
+      order.status = "canceled";
+      order.last_update_time = iso(now());
+      persist();
+    }
+    return { ...order };
+  }
+
+  async function decreaseOrder(orderId, { reduceBy = null, reduceTo = null }) {
+    const order = findOrder(orderId);
+    if (order.status !== "resting") throw new KalshiError(`Paper order is ${order.status}`, { status: 400, code: "order_not_resting" });
+    order.remaining_count = Math.max(0, reduceTo ?? order.remaining_count - reduceBy);
+    if (order.remaining_count === 0) order.status = "canceled";
+    order.last_update_time = iso(now());
+    persist();
+    return { ...order };
+  }
+
+  /**
+   * A new price loses the queue position; a size change alone keeps it
+   */
+  async function amendOrder(orderId, { count, price, updatedClientOrderId }) {
+    const order = findOrder(orderId);
+    if (order.status !== "resting") throw new KalshiError(`Paper order is ${order.status}`, { status: 400, code: "order_not_resting" });
+    if (count <= order.fill_count) throw new KalshiError("Paper amend: count must exceed the filled count", { status: 400, code: "invalid_parameters" });
+    const own = order.side === "yes" ? order.yes_price : order.no_price;
+    if (order.action === "buy" && worstCost(count - order.fill_count, price) > freeBalance(order)) {
+      throw new InsufficientBalanceError("Paper amend: insufficient balance", { status: 400, code: "insufficient_balance" });
+    }
+    order.initial_count = count;
+    order.remaining_count = count - order.fill_count;
+    if (updatedClientOrderId) order.client_order_id = updatedClientOrderId;
+    order.last_update_time = iso(now());
+    if (price !== own) {
+      order.yes_price = order.side === "yes" ? price : 100 - price;
+      order.no_price = 100 - order.yes_price;
+      const raw = await getBook(order.ticker);
+      for (const [level, qty] of crossing(order, raw)) {
+        if (order.remaining_count === 0) break;
+        recordFill(order, Math.min(order.remaining_count, qty), order.action === "buy" ? 100 - level : level, true);
+      }
+      order.paper_level_qty = levelQty(order, raw);
+      order.paper_queue_ahead = order.paper_level_qty;
+    }
+    persist();
+    return { ...order };
+  }
+
+  /**
+   * Advance the simulation: expire orders past their expiration, work resting orders
+   * against fresh books, cancel orders on closed markets and settle positions whose market
+   * has a result. Call once per loop.
+   */
+  async function step() {
+    const errors = [];
+    let changed = false;
+    for (const o of resting()) {
+      if (o.expiration_time && now() >= Date.parse(o.expiration_time)) {
+        o.status = "canceled";
+        o.last_update_time = iso(now());
+        changed = true;
+      }
+    }
+    for (const ticker of [...new Set(resting().map((o) => o.ticker))]) {
+      const market = state.markets[ticker];
+      if (market?.closeTime !== null && market?.closeTime !== undefined && now() >= market.closeTime) {
+        for (const o of resting(ticker)) {
+          o.status = "canceled";
+          o.last_update_time = iso(now());
+        }
+        changed = true;
+        continue;
+      }
+      try {
+        const raw = await getBook(ticker);
+        for (const o of resting(ticker)) {
+          if (work(o, raw)) changed = true;
+        }
+      } catch (err) {
+        errors.push(`${ticker}: ${err.message}`);
+      }
+    }
+
+    const held = new Set(Object.entries(state.positions).filter(([, p]) => p.count > 0).map(([key]) => key.split(":")[0]));
+    // Settlement checks are retried after a restart anyway, so checkedAt alone isn't saved
+    for (const ticker of held) {
+      const market = state.markets[ticker];
+      if (!market || market.closeTime === null || now() < market.closeTime || now() - market.checkedAt < SETTLE_POLL_MS) continue;
+      market.checkedAt = now();
+      try {
+        const live = await getMarket(ticker);
+        const result = String(live?.result ?? "").toLowerCase();
+        if (result === "yes" || result === "no") {
+          market.result = result;
+          settle(ticker, result);
+          changed = true;
+        }
+      } catch (err) {
+        errors.push(`${ticker}: ${err.message}`);
+      }
+    }
+
+    if (prune()) changed = true;
+    if (changed) persist();
+    return { ok: errors.length === 0, error: errors.length ? errors.join("; ") : null };
+  }
+
+  return {
+    placeOrder,
+    fetchOrder: async (orderId) => orderView(findOrder(orderId)),
+    fetchOrders: async ({ ticker = null, status = null } = {}) => state.orders
+      .filter((o) => (!ticker || o.ticker === ticker) && (!status || o.status === status))
+      .map(orderView),
+    cancelOrder: async (orderId) => orderView(await cancelOrder(orderId)),
+    decreaseOrder: async (orderId, opts) => orderView(await decreaseOrder(orderId, opts)),
+    amendOrder: async (orderId, opts) => orderView(await amendOrder(orderId, opts)),
+    fetchFills: async ({ ticker = null, orderId = null, minTs = null } = {}) => since(state.fills, "created_time", minTs)
+      .filter((f) => (!ticker || f.ticker === ticker) && (!orderId || f.order_id === orderId))
+      .map((f) => ({ ...f })),
+    fetchBalance: async () => state.balance,
+    fetchPositions: async () => Object.entries(state.positions)
+      .filter(([, p]) => p.count > 0)
+      .map(([key, p]) => {
+        const [ticker, side] = key.split(":");
+        return { ticker, position: side === "yes" ? p.count : -p.count, market_exposure: Math.round(p.cost) };
+      }),
+    fetchSettlements: async ({ minTs = null } = {}) => since(state.settlements, "settled_time", minTs).map((s) => ({ ...s })),
+    step,
+    getStatus: () => ({
+      balance: state.balance / 100,
+      held: (state.balance - freeBalance()) / 100,
+      resting: resting().length,
+      fills: state.fills.length,
+      settlements: state.settlements.length,
+      positions: Object.entries(state.positions).filter(([, p]) => p.count > 0).length
+    })
+  };
+}
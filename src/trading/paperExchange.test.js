@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createPaperExchange } from "./paperExchange.js";
+
+const T0 = Date.parse("2026-10-19T14:10:00Z");
+const ticker = "KXBTCD-26OCT1915-T100000";
+
+const setup = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-"));
+  const statePath = path.join(dir, "exchange.json");
+  let time = T0;
+  let book = { yes: [[40, 10]], no: [[55, 10]] };
+  const exchange = createPaperExchange({
+    startBalance: 100,
+    statePath,
+    retentionDays: 1,
+    getBook: async () => book,
+    getMarket: async () => ({ ticker, close_time: "2026-10-19T15:00:00Z", result: "" }),
+    now: () => time
+  });
+  return {
+    exchange,
+    statePath,
+    setTime: (ms) => { time = ms; },
+    setBook: (b) => { book = b; }
+  };
+};
+
+test("step() writes the state only when something changed", async () => {
+  const { exchange, statePath, setBook } = setup();
+  await exchange.placeOrder({ ticker, side: "yes", action: "buy", count: 5, price: 40 });
+  fs.utimesSync(statePath, new Date(0), new Date(0));
+
+  await exchange.step();
+  assert.equal(fs.statSync(statePath).mtimeMs, 0);
+
+  // The level ahead of the order trades away: queue position moves
+  setBook({ yes: [[40, 4]], no: [[55, 10]] });
+  await exchange.step();
+  assert.ok(fs.statSync(statePath).mtimeMs > 0);
+});
+
+test("finished orders and fills past the retention window are dropped", async () => {
+  const { exchange, statePath, setTime } = setup();
+  // Crosses the 45c NO bid, i.e. a YES ask of 45: fills at once
+  await exchange.placeOrder({ ticker, side: "yes", action: "buy", count: 2, price: 50 });
+  await exchange.placeOrder({ ticker, side: "yes", action: "buy", count: 1, price: 30, expirationTs: Math.floor((T0 + 60_000) / 1000) });
+  assert.equal(exchange.getStatus().fills, 1);
+  setTime(T0 + 2 * 60_000);
+  await exchange.step();
+  assert.equal(exchange.getStatus().resting, 0);
+
+  setTime(T0 + 2 * 24 * 60 * 60_000);
+  await exchange.step();
+  const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  assert.equal(saved.orders.length, 0);
+  assert.equal(saved.fills.length, 0);
+  // The position itself is kept
+  assert.equal(exchange.getStatus().positions, 1);
+});
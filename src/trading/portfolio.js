@@ -0,0 +1,441 @@
+import { CONFIG } from "../config.js";
+import { fetchBalance, fetchFills, fetchSettlements } from "../data/kalshi.js";
+import { kalshiFee } from "../engines/fees.js";
+import { etDateKey, readJsonFile, writeJsonAtomic } from "../utils.js";
+
+const DEFAULT_API = { fetchBalance, fetchFills, fetchSettlements };
+
+// Balance samples kept in the ledger file
+const MAX_BALANCE_HISTORY = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function fillIdOf(f) {
+  return f.fill_id ?? f.trade_id ?? `${f.order_id}:${f.created_time}:${f.count}`;
+}
+
+/**
+ * "KXBTCD-26FEB0202-T76249.99" -> "KXBTCD-26FEB0202" (one event per settlement hour)
+ */
+export function eventTickerOf(ticker) {
+  const parts = String(ticker || "").split("-");
+  return parts.length >= 2 ? `${parts[0]}-${parts[1]}` : String(ticker || "");
+}
+
+function bump(map, key, field, amount) {
+  const row = map[key] ?? { realized: 0, unrealized: 0, fees: 0, contracts: 0 };
+  row[field] += amount;
+  map[key] = row;
+}
+
+/**
+ * P&L from exchange-shaped fills and settlements (all money in dollars)
+ *
+ * Positions use average cost per ticker and side. A position belongs to the strategy of
+ * the order that opened it; every later sell and its settlement are booked to that
+ * strategy. Fees are estimated with the Kalshi schedule (taker unless the fill says
+ * maker). Settlements use the exchange's revenue and cost when it reports them.
+ * `markCents(ticker, side)` prices what is still open (bid you could sell at); without a
+ * mark an open position is carried at cost.
+ *
+ * `closedTrades` lists every round trip (first buy to flat or settlement) with its
+ * fee-inclusive P&L, oldest first.
+ */
+export function computePnl({ fills = [], settlements = [], strategyOf = () => "unknown", markCents = () => null, now = Date.now() }) {
+  return markPnl(replayLedger({ fills, settlements, strategyOf }), { markCents, now });
+}
+
+/**
+ * The realized part of computePnl: fills and settlements booked in time order, with the
+ * positions still open at the end. Doesn't depend on marks, so it can be kept until the
+ * ledger changes
+ */
+function replayLedger({ fills = [], settlements = [], strategyOf = () => "unknown" }) {
+  const events = [
+    ...fills.map((f) => ({ kind: "fill", time: new Date(f.created_time).getTime(), f })),
+    ...settlements.map((st) => ({ kind: "settlement", time: new Date(st.settled_time).getTime(), st }))
+  ].sort((a, b) => a.time - b.time);
+
+  // `${ticker}:${side}` -> { ticker, side, count, cost (cents), strategy, openedAt, realized ($) }
+  const positions = new Map();
+  const closedTrades = [];
+  const byHour = {};
+  const byTicker = {};
+  const byStrategy = {};
+  const byDay = {};
+  let realized = 0;
+  let fees = 0;
+
+  const book = (ticker, strategy, time, field, amount) => {
+    bump(byHour, eventTickerOf(ticker), field, amount);
+    bump(byTicker, ticker, field, amount);
+    bump(byStrategy, strategy, field, amount);
+    bump(byDay, etDateKey(time), field, amount);
+  };
+
+  for (const ev of events) {
+    if (ev.kind === "fill") {
+      const f = ev.f;
+      const side = f.side === "no" ? "no" : "yes";
+      const price = toNumber(side === "no" ? f.no_price : f.yes_price) ?? 0;
+      const count = toNumber(f.count) ?? 0;
+      const key = `${f.ticker}:${side}`;
+      const pos = positions.get(key) ?? { ticker: f.ticker, side, count: 0, cost: 0, strategy: null, openedAt: null, realized: 0 };
+      if (pos.count === 0) {
+        pos.strategy = strategyOf(f);
+        pos.openedAt = ev.time;
+        pos.realized = 0;
+      }
+
+      const fee = kalshiFee({ count, price: price / 100, liquidity: f.is_taker === false ? "maker" : "taker" });
+      fees += fee;
+      realized -= fee;
+      book(f.ticker, pos.strategy, ev.time, "fees", fee);
+      book(f.ticker, pos.strategy, ev.time, "realized", -fee);
+      book(f.ticker, pos.strategy, ev.time, "contracts", count);
+      pos.realized -= fee;
+
+      if (f.action === "sell") {
+        const avg = pos.count > 0 ? pos.cost / pos.count : price;
+        const closed = Math.min(count, pos.count);
+        const pnl = (closed * (price - avg)) / 100;
+        realized += pnl;
+        book(f.ticker, pos.strategy, ev.time, "realized", pnl);
+        pos.count -= closed;
+        pos.cost -= closed * avg;
+        pos.realized += pnl;
+        if (pos.count === 0 && closed > 0) {
+          closedTrades.push({ ticker: f.ticker, side, strategy: pos.strategy, openedAt: pos.openedAt, closedAt: ev.time, pnl: pos.realized, exit: "sell" });
+        }
+      } else {
+        pos.count += count;
+        pos.cost += count * price;
+      }
+      positions.set(key, pos);
+      continue;
+    }
+
+    const st = ev.st;
+    const result = st.market_result;
+    const held = ["yes", "no"].map((side) => positions.get(`${st.ticker}:${side}`)).filter(Boolean);
+    const strategy = held.find((p) => p.count > 0)?.strategy ?? strategyOf({ ticker: st.ticker });
+
+    const revenue = toNumber(st.revenue);
+    const exchangeCost = toNumber(st.yes_total_cost) !== null || toNumber(st.no_total_cost) !== null
+      ? (toNumber(st.yes_total_cost) ?? 0) + (toNumber(st.no_total_cost) ?? 0)
+      : null;
+
+    let pnl;
+    if (revenue !== null && exchangeCost !== null) {
+      pnl = (revenue - exchangeCost) / 100;
+    } else {
+      pnl = held.reduce((acc, p) => {
+        const payout = p.side === result ? 100 : 0;
+        return acc + (p.count * payout - p.cost) / 100;
+      }, 0);
+    }
+    realized += pnl;
+    book(st.ticker, strategy, ev.time, "realized", pnl);
+    for (const p of held) {
+      if (p.count > 0) {
+        // Split the settlement across sides by what each side paid and won
+        const exchangeSideCost = toNumber(p.side === "yes" ? st.yes_total_cost : st.no_total_cost);
+        const sidePnl = ((p.side === result ? p.count * 100 : 0) - (exchangeSideCost ?? p.cost)) / 100;
+        closedTrades.push({ ticker: st.ticker, side: p.side, strategy: p.strategy, openedAt: p.openedAt, closedAt: ev.time, pnl: p.realized + sidePnl, exit: "settlement" });
+      }
+      positions.delete(`${st.ticker}:${p.side}`);
+    }
+  }
+
+  return { positions: [...positions.values()].filter((p) => p.count > 0), closedTrades, byHour, byTicker, byStrategy, byDay, realized, fees };
+}
+
+const copyRows = (map) => Object.fromEntries(Object.entries(map).map(([key, row]) => [key, { ...row }]));
+
+/**
+ * Mark a replay's open positions (copies its breakdowns, leaves it untouched) into the
+ * computePnl result
+ */
+function markPnl(replayed, { markCents = () => null, now = Date.now() } = {}) {
+  const byHour = copyRows(replayed.byHour);
+  const byTicker = copyRows(replayed.byTicker);
+  const byStrategy = copyRows(replayed.byStrategy);
+  const byDay = copyRows(replayed.byDay);
+  const { realized, fees } = replayed;
+
+  let unrealized = 0;
+  const open = [];
+  for (const p of replayed.positions) {
+    const avg = p.cost / p.count;
+    const mark = markCents(p.ticker, p.side);
+    const pnl = mark === null ? 0 : (p.count * (mark - avg)) / 100;
+    unrealized += pnl;
+    bump(byHour, eventTickerOf(p.ticker), "unrealized", pnl);
+    bump(byTicker, p.ticker, "unrealized", pnl);
+    bump(byStrategy, p.strategy, "unrealized", pnl);
+    open.push({ ticker: p.ticker, side: p.side, count: p.count, avgPrice: avg / 100, mark: mark === null ? null : mark / 100, unrealized: pnl, strategy: p.strategy });
+  }
+
+  const today = byDay[etDateKey(now)] ?? { realized: 0, fees: 0, contracts: 0 };
+
+  return {
+    realized,
+    unrealized,
+    fees,
+    total: realized + unrealized,
+    day: { date: etDateKey(now), realized: today.realized, fees: today.fees, total: today.realized + unrealized },
+    positions: open,
+    closedTrades: replayed.closedTrades,
+    byHour,
+    byTicker,
+    byStrategy,
+    byDay
+  };
+}
+
+/**
+ * Portfolio sync: pulls balance, fills and settlements into a local ledger file,
+ * reconciles exchange fills against the bot's own orders and reports P&L
+ *
+ * `api` defaults to the live Kalshi calls. `orderManager` (optional) supplies the orders
+ * the bot believes it placed, for reconciliation and strategy attribution.
+ *
+ * The ledger keeps `retentionDays` of detail. Fills and settlements of events finished
+ * before that are rolled up into `archive` (realized P&L and fees, by day and strategy),
+ * so totals still count them while per-hour, per-ticker and closed-trade figures cover
+ * the window. Balance samples are kept for the same window, one per change (and the first
+ * of each day). The file is only rewritten when something changed, and the fill replay
+ * behind getPnl() is kept until new fills or settlements arrive.
+ */
+export function createPortfolioSync({
+  api = DEFAULT_API,
+  orderManager = null,
+  ledgerPath = CONFIG.kalshi.ledgerPath,
+  syncIntervalMs = CONFIG.kalshi.portfolioSyncMs,
+  retentionDays = CONFIG.kalshi.ledgerRetentionDays
+} = {}) {
+  const saved = readJsonFile(ledgerPath, {});
+  const ledger = {
+    balanceHistory: Array.isArray(saved.balanceHistory) ? saved.balanceHistory : [],
+    fills: Array.isArray(saved.fills) ? saved.fills : [],
+    settlements: Array.isArray(saved.settlements) ? saved.settlements : [],
+    // orderId -> strategy label, so attribution survives restarts
+    orderStrategies: saved.orderStrategies ?? {},
+    // What rolled out of the window: { before, fills, settlements, realized, fees, byDay, byStrategy }
+    archive: saved.archive ?? null
+  };
+  // Never less than the first sync's look-back, or rolled-up fills would be fetched again
+  const retentionMs = Math.max(1, retentionDays) * DAY_MS;
+
+  const fillIds = new Set(ledger.fills.map(fillIdOf));
+  const settlementIds = new Set(ledger.settlements.map((st) => `${st.ticker}:${st.settled_time}`));
+
+  let lastSyncAt = 0;
+  let lastError = null;
+  let reconciliation = { botFills: 0, externalFills: 0, mismatches: [] };
+  // replayLedger() of the ledger plus the archive; dropped when the ledger changes
+  let replayed = null;
+
+  const latestTs = (rows, field) => rows.reduce((acc, r) => Math.max(acc, Math.floor(new Date(r[field]).getTime() / 1000) || 0), 0);
+  // First sync reaches back a day so today's P&L is complete
+  const initialLookbackTs = () => Math.floor((Date.now() - 24 * 60 * 60 * 1000) / 1000);
+
+  const rememberStrategies = () => {
+    let added = false;
+    for (const o of orderManager?.getOrders() ?? []) {
+      if (o.orderId && !ledger.orderStrategies[o.orderId]) {
+        ledger.orderStrategies[o.orderId] = o.meta?.strategy ?? "bot";
+        added = true;
+      }
+    }
+    return added;
+  };
+
+  const strategyOf = (f) => (f.order_id ? ledger.orderStrategies[f.order_id] : null) ?? "external";
+
+  const reconcile = () => {
+    const byOrder = new Map();
+    for (const f of ledger.fills) {
+      if (!f.order_id) continue;
+      byOrder.set(f.order_id, (byOrder.get(f.order_id) ?? 0) + (toNumber(f.count) ?? 0));
+    }
+
+    let botFills = 0;
+    let externalFills = 0;
+    for (const f of ledger.fills) {
+      if (ledger.orderStrategies[f.order_id]) botFills += 1;
+      else externalFills += 1;
+    }
+
+    // Orders whose reported fill count disagrees with the fills we have for them
+    const mismatches = [];
+    for (const o of orderManager?.getOrders() ?? []) {
+      if (!o.orderId) continue;
+      const fromFills = byOrder.get(o.orderId) ?? 0;
+      if (fromFills !== (o.filledCount ?? 0)) {
+        mismatches.push({ clientOrderId: o.clientOrderId, orderId: o.orderId, orderFilled: o.filledCount ?? 0, fillsFilled: fromFills });
+      }
+    }
+
+    reconciliation = { botFills, externalFills, mismatches };
+  };
+
+  /**
+   * Move the fills and settlements of events whose last row is older than the window, and
+   * that hold nothing any more, into the archive. Returns whether anything moved
+   */
+  const rollUp = (now) => {
+    const cutoff = now - retentionMs;
+    const lastRow = new Map();
+    const note = (ticker, time) => {
+      const event = eventTickerOf(ticker);
+      lastRow.set(event, Math.max(lastRow.get(event) ?? 0, time || 0));
+    };
+    for (const f of ledger.fills) note(f.ticker, new Date(f.created_time).getTime());
+    for (const st of ledger.settlements) note(st.ticker, new Date(st.settled_time).getTime());
+    const old = new Set([...lastRow].filter(([, time]) => time < cutoff).map(([event]) => event));
+    if (!old.size) return false;
+
+    const pick = () => ({
+      fills: ledger.fills.filter((f) => old.has(eventTickerOf(f.ticker))),
+      settlements: ledger.settlements.filter((st) => old.has(eventTickerOf(st.ticker)))
+    });
+    // An event still holding a position (its settlement never came in) stays in the ledger
+    for (const p of replayLedger({ ...pick(), strategyOf }).positions) old.delete(eventTickerOf(p.ticker));
+    if (!old.size) return false;
+    const rows = pick();
+    const done = replayLedger({ ...rows, strategyOf });
+
+    const archive = ledger.archive ?? { before: null, fills: 0, settlements: 0, realized: 0, fees: 0, byDay: {}, byStrategy: {} };
+    archive.before = new Date(cutoff).toISOString();
+    archive.fills += rows.fills.length;
+    archive.settlements += rows.settlements.length;
+    archive.realized += done.realized;
+    archive.fees += done.fees;
+    for (const [target, source] of [[archive.byDay, done.byDay], [archive.byStrategy, done.byStrategy]]) {
+      for (const [key, row] of Object.entries(source)) {
+        for (const field of ["realized", "fees", "contracts"]) bump(target, key, field, row[field]);
+      }
+    }
+    ledger.archive = archive;
+
+    for (const f of rows.fills) {
+      fillIds.delete(fillIdOf(f));
+      delete ledger.orderStrategies[f.order_id];
+    }
+    for (const st of rows.settlements) settlementIds.delete(`${st.ticker}:${st.settled_time}`);
+    ledger.fills = ledger.fills.filter((f) => !old.has(eventTickerOf(f.ticker)));
+    ledger.settlements = ledger.settlements.filter((st) => !old.has(eventTickerOf(st.ticker)));
+    return true;
+  };
+
+  // Archive totals added to a replay of the window
+  const withArchive = (window) => {
+    const archive = ledger.archive;
+    if (!archive) return window;
+    const byDay = copyRows(window.byDay);
+    const byStrategy = copyRows(window.byStrategy);
+    for (const [target, source] of [[byDay, archive.byDay], [byStrategy, archive.byStrategy]]) {
+      for (const [key, row] of Object.entries(source)) {
+        for (const field of ["realized", "fees", "contracts"]) bump(target, key, field, row[field] ?? 0);
+      }
+    }
+    return { ...window, realized: window.realized + archive.realized, fees: window.fees + archive.fees, byDay, byStrategy };
+  };
+
+  const persist = () => {
+    writeJsonAtomic(ledgerPath, { updatedAt: new Date().toISOString(), ...ledger });
+  };
+
+  /**
+   * Pull new data if the sync interval has passed (or `force`)
+   */
+  async function sync({ force = false } = {}) {
+    if (!force && Date.now() - lastSyncAt < syncIntervalMs) return { ok: lastError === null, skipped: true };
+    lastSyncAt = Date.now();
+    lastError = null;
+    let changed = rememberStrategies();
+    let rowsChanged = changed;
+
+    try {
+      const balance = await api.fetchBalance();
+      const last = ledger.balanceHistory[ledger.balanceHistory.length - 1];
+      if (balance !== null && (!last || last.balance !== balance || etDateKey(new Date(last.time).getTime()) !== etDateKey())) {
+        ledger.balanceHistory.push({ time: new Date().toISOString(), balance });
+        const cutoff = Date.now() - retentionMs;
+        const keepFrom = Math.max(ledger.balanceHistory.findIndex((b) => new Date(b.time).getTime() >= cutoff), ledger.balanceHistory.length - MAX_BALANCE_HISTORY);
+        if (keepFrom > 0) ledger.balanceHistory.splice(0, keepFrom);
+        changed = true;
+      }
+
+      // Overlap by a second; rows are deduplicated by id, and rows older than the archive
+      // were counted there
+      const archivedBefore = ledger.archive ? new Date(ledger.archive.before).getTime() : 0;
+      const minFillTs = ledger.fills.length ? latestTs(ledger.fills, "created_time") - 1 : initialLookbackTs();
+      for (const f of await api.fetchFills({ minTs: minFillTs })) {
+        const id = fillIdOf(f);
+        if (fillIds.has(id) || new Date(f.created_time).getTime() < archivedBefore) continue;
+        fillIds.add(id);
+        ledger.fills.push(f);
+        rowsChanged = true;
+      }
+
+      const minSettleTs = ledger.settlements.length ? latestTs(ledger.settlements, "settled_time") - 1 : initialLookbackTs();
+      for (const st of await api.fetchSettlements({ minTs: minSettleTs })) {
+        const id = `${st.ticker}:${st.settled_time}`;
+        if (settlementIds.has(id) || new Date(st.settled_time).getTime() < archivedBefore) continue;
+        settlementIds.add(id);
+        ledger.settlements.push(st);
+        rowsChanged = true;
+      }
+
+      if (rollUp(Date.now())) rowsChanged = true;
+      if (rowsChanged) {
+        replayed = null;
+        reconcile();
+      }
+      if (changed || rowsChanged) persist();
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    return { ok: lastError === null, error: lastError };
+  }
+
+  function getBalance() {
+    const last = ledger.balanceHistory[ledger.balanceHistory.length - 1];
+    return last ? last.balance / 100 : null;
+  }
+
+  /**
+   * Balance at the first sample of today (ET), for a balance-based day change
+   */
+  function getDayStartBalance() {
+    const today = etDateKey();
+    const first = ledger.balanceHistory.find((b) => etDateKey(new Date(b.time).getTime()) === today);
+    return first ? first.balance / 100 : null;
+  }
+
+  return {
+    sync,
+    getBalance,
+    getDayStartBalance,
+    getPnl({ markCents } = {}) {
+      replayed ??= withArchive(replayLedger({ fills: ledger.fills, settlements: ledger.settlements, strategyOf }));
+      return markPnl(replayed, { markCents });
+    },
+    getReconciliation: () => reconciliation,
+    getStatus: () => ({
+      lastSyncAt,
+      lastError,
+      fills: ledger.fills.length,
+      settlements: ledger.settlements.length,
+      archivedBefore: ledger.archive?.before ?? null
+    })
+  };
+}
@@ -0,0 +1,241 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { etDateKey, ensureDir, readJsonFile, writeJsonAtomic } from "../utils.js";
+import { eventTickerOf } from "./portfolio.js";
+
+/**
+ * Risk manager: every entry goes through check() before it is sent
+ *
+ * Exits are exempt by design: a sell only closes contracts already held, so it can't add
+ * exposure, and a halt must not trap a position it would otherwise close. Reprices of a
+ * resting entry skip check() too (the size never grows); while halted the execution
+ * manager only lets them move the price down. The kill switch stops both.
+ *
+ * Per-order limits (size, cost, share of balance) and exposure limits per ticker, per
+ * hourly event and per day block a single order. Session limits (trade count, daily
+ * loss, losing streak) trip a halt that lasts until the next ET trading day. The halt,
+ * the day's trade count and the notional sent today are persisted to `statePath` (or to
+ * the state store, when one is passed), so a restart doesn't reset them. Every block and
+ * halt is appended to `logPath`. An entry counts against the trade count and the day's
+ * notional when it is accepted; what it leaves unfilled is given back when it ends.
+ *
+ * update() is fed once per loop with the account picture: balance, P&L (from the
+ * portfolio ledger), open positions and resting orders (from the order manager).
+ */
+export function createRiskManager({
+  limits = CONFIG.risk,
+  statePath = CONFIG.risk.statePath,
+  logPath = CONFIG.risk.logPath,
+  store = null
+} = {}) {
+  // A store that has nothing yet takes over the counters from the state file
+  const saved = store?.getRisk() ?? readJsonFile(statePath, {});
+  const state = {
+    session: saved.session ?? etDateKey(),
+    tradesToday: saved.tradesToday ?? 0,
+    spentToday: saved.spentToday ?? 0,
+    // { reason, since (ISO), session } - halted for the rest of `session`
+    halt: saved.halt ?? null
+  };
+
+  let account = { balance: null, dayStartBalance: null, dayPnl: null, lossStreak: 0, positions: [], openOrders: [] };
+  let lastBlock = null;
+
+  const persist = () => {
+    const snapshot = { updatedAt: new Date().toISOString(), ...state };
+    if (store) store.record("risk", snapshot);
+    else writeJsonAtomic(statePath, snapshot);
+  };
+
+  const log = (line) => {
+    try {
+      ensureDir(path.dirname(logPath));
+      fs.appendFileSync(logPath, `${new Date().toISOString()} ${line}\n`, "utf8");
+    } catch {
+      // ignore
+    }
+  };
+
+  // New ET day: counters reset and yesterday's halt lifts
+  const rollSession = () => {
+    const today = etDateKey();
+    if (state.session === today) return;
+    state.session = today;
+    state.tradesToday = 0;
+    state.spentToday = 0;
+    if (state.halt && state.halt.session !== today) {
+      log(`RESUME halt "${state.halt.reason}" from ${state.halt.session} lifted`);
+      state.halt = null;
+    }
+    persist();
+  };
+
+  const trip = (reason, detail) => {
+    if (state.halt) return;
+    state.halt = { reason, detail, since: new Date().toISOString(), session: state.session };
+    log(`HALT ${reason} ${detail}`);
+    persist();
+  };
+
+  const dailyLossLimit = () => {
+    const limitsUsd = [];
+    if (limits.maxDailyLossPct > 0 && account.dayStartBalance !== null) limitsUsd.push(limits.maxDailyLossPct * account.dayStartBalance);
+    if (limits.maxDailyLossUsd > 0) limitsUsd.push(limits.maxDailyLossUsd);
+    return limitsUsd.length ? Math.min(...limitsUsd) : null;
+  };
+
+  /**
+   * Refresh the account picture and trip session halts
+   * pnl is computePnl() output; positions / openOrders come from the order manager
+   */
+  function update({ balance = null, dayStartBalance = null, pnl = null, positions = [], openOrders = [] } = {}) {
+    rollSession();
+
+    // Losing streak: consecutive losing round trips closed this session, newest first
+    let lossStreak = 0;
+    const todays = (pnl?.closedTrades ?? []).filter((t) => etDateKey(t.closedAt) === state.session);
+    for (let i = todays.length - 1; i >= 0 && todays[i].pnl < 0; i -= 1) lossStreak += 1;
+
+    account = { balance, dayStartBalance, dayPnl: pnl?.day.total ?? null, lossStreak, positions, openOrders };
+
+    const lossLimit = dailyLossLimit();
+    if (lossLimit !== null && account.dayPnl !== null && account.dayPnl <= -lossLimit) {
+      trip("max_daily_loss", `day P&L ${account.dayPnl.toFixed(2)} <= -${lossLimit.toFixed(2)}`);
+    }
+    if (limits.maxConsecutiveLosses > 0 && lossStreak >= limits.maxConsecutiveLosses) {
+      trip("max_consecutive_losses", `${lossStreak} losing trades in a row`);
+    }
+    if (limits.maxTradesPerDay > 0 && state.tradesToday >= limits.maxTradesPerDay) {
+      trip("max_trades_per_day", `${state.tradesToday} trades today`);
+    }
+  }
+
+  // Open cost ($) of positions plus resting buys, for the tickers `match` accepts
+  const exposure = (match) => {
+    const held = account.positions.filter((p) => match(p.ticker)).reduce((acc, p) => acc + (p.cost ?? 0), 0);
+    const resting = account.openOrders
+      .filter((o) => o.action === "buy" && match(o.ticker))
+      .reduce((acc, o) => acc + ((o.remainingCount ?? o.count) * (o.price ?? 0)) / 100, 0);
+    return held + resting;
+  };
+
+  const contractsIn = (ticker) => account.positions.filter((p) => p.ticker === ticker).reduce((acc, p) => acc + p.count, 0)
+    + account.openOrders.filter((o) => o.action === "buy" && o.ticker === ticker).reduce((acc, o) => acc + (o.remainingCount ?? o.count), 0);
+
+  /**
+   * Would this buy breach a limit? price in cents
+   * Returns { ok: true } or { ok: false, reason, detail }
+   */
+  function check({ ticker, count, price }) {
+    rollSession();
+    const cost = (count * price) / 100;
+    const hour = eventTickerOf(ticker);
+
+    const verdict = (() => {
+      if (state.halt) return { reason: `halted:${state.halt.reason}`, detail: `since ${state.halt.since}` };
+      if (limits.maxContractsPerTrade > 0 && count > limits.maxContractsPerTrade) {
+        return { reason: "max_contracts_per_trade", detail: `${count} > ${limits.maxContractsPerTrade}` };
+      }
+      if (limits.maxCostPerTrade > 0 && cost > limits.maxCostPerTrade) {
+        return { reason: "max_cost_per_trade", detail: `$${cost.toFixed(2)} > $${limits.maxCostPerTrade}` };
+      }
+      if (limits.maxRiskPerTrade > 0 && account.balance !== null && cost > limits.maxRiskPerTrade * account.balance) {
+        return { reason: "max_risk_per_trade", detail: `$${cost.toFixed(2)} > ${(limits.maxRiskPerTrade * 100).toFixed(1)}% of $${account.balance.toFixed(2)}` };
+      }
+      const held = contractsIn(ticker);
+      if (limits.maxContractsPerTicker > 0 && held + count > limits.maxContractsPerTicker) {
+        return { reason: "max_contracts_per_ticker", detail: `${held} + ${count} > ${limits.maxContractsPerTicker} in ${ticker}` };
+      }
+      const hourExposure = exposure((t) => eventTickerOf(t) === hour);
+      if (limits.maxExposurePerHour > 0 && hourExposure + cost > limits.maxExposurePerHour) {
+        return { reason: "max_exposure_per_hour", detail: `$${(hourExposure + cost).toFixed(2)} > $${limits.maxExposurePerHour} in ${hour}` };
+      }
+      if (limits.maxExposurePerDay > 0 && state.spentToday + cost > limits.maxExposurePerDay) {
+        return { reason: "max_exposure_per_day", detail: `$${(state.spentToday + cost).toFixed(2)} > $${limits.maxExposurePerDay}` };
+      }
+      return null;
+    })();
+
+    if (!verdict) return { ok: true };
+    // The same signal is re-checked every loop; log a block once per reason and ticker a minute
+    const repeat = lastBlock && lastBlock.reason === verdict.reason && lastBlock.ticker === ticker && Date.now() - lastBlock.at < 60_000;
+    if (!repeat) {
+      lastBlock = { ...verdict, ticker, count, price, at: Date.now() };
+      log(`BLOCK ${ticker} x${count} @ ${price}c ${verdict.reason} (${verdict.detail})`);
+    }
+    return { ok: false, ...verdict };
+  }
+
+  /**
+   * Most contracts check() would still let through in `ticker` at `price` cents, from the
+   * ticker, hourly and daily exposure limits (per-order limits are the sizer's job).
+   * 0 while halted, null when none of those limits is set
+   */
+  function capacity({ ticker, price }) {
+    rollSession();
+    if (state.halt) return 0;
+    const hour = eventTickerOf(ticker);
+    const caps = [];
+    if (limits.maxContractsPerTicker > 0) caps.push(limits.maxContractsPerTicker - contractsIn(ticker));
+    if (price > 0 && limits.maxExposurePerHour > 0) {
+      caps.push((limits.maxExposurePerHour - exposure((t) => eventTickerOf(t) === hour)) / (price / 100));
+    }
+    if (price > 0 && limits.maxExposurePerDay > 0) caps.push((limits.maxExposurePerDay - state.spentToday) / (price / 100));
+    return caps.length ? Math.max(0, Math.floor(Math.min(...caps) + 1e-9)) : null;
+  }
+
+  /**
+   * Count an order the exchange accepted (price in cents)
+   */
+  function recordTrade({ count, price }) {
+    rollSession();
+    state.tradesToday += 1;
+    state.spentToday += (count * price) / 100;
+    persist();
+    if (limits.maxTradesPerDay > 0 && state.tradesToday >= limits.maxTradesPerDay) {
+      trip("max_trades_per_day", `${state.tradesToday} trades today`);
+    }
+  }
+
+  /**
+   * Give back what an entry didn't fill once it is done (canceled, expired): the unfilled
+   * notional at the price it was counted at, and the trade itself when nothing filled.
+   * An order from an earlier session was already reset with it. A max_trades_per_day halt
+   * the trade tripped lifts when the count drops back under the limit.
+   */
+  function releaseUnfilled({ count, filled, price, placedAt }) {
+    rollSession();
+    if (etDateKey(placedAt) !== state.session || filled >= count) return;
+    state.spentToday = Math.max(0, state.spentToday - ((count - filled) * price) / 100);
+    if (filled === 0) state.tradesToday = Math.max(0, state.tradesToday - 1);
+    if (state.halt?.reason === "max_trades_per_day" && state.tradesToday < limits.maxTradesPerDay) {
+      log(`RESUME halt "max_trades_per_day" lifted, ${state.tradesToday} trades today after an unfilled entry`);
+      state.halt = null;
+    }
+    persist();
+  }
+
+  return {
+    update,
+    check,
+    capacity,
+    recordTrade,
+    releaseUnfilled,
+    isHalted: () => {
+      rollSession();
+      return state.halt !== null;
+    },
+    getStatus: () => ({
+      session: state.session,
+      halted: state.halt !== null,
+      halt: state.halt,
+      tradesToday: state.tradesToday,
+      spentToday: state.spentToday,
+      dayPnl: account.dayPnl,
+      dailyLossLimit: dailyLossLimit(),
+      lossStreak: account.lossStreak,
+      lastBlock
+    })
+  };
+}
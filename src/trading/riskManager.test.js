@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { createRiskManager } from "./riskManager.js";
+
+const setup = (maxTradesPerDay) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-"));
+  return createRiskManager({
+    limits: { ...CONFIG.risk, maxTradesPerDay },
+    statePath: path.join(dir, "risk-state.json"),
+    logPath: path.join(dir, "risk.log")
+  });
+};
+
+test("an entry canceled unfilled gives back its trade and notional and lifts the trade-count halt", () => {
+  const risk = setup(2);
+  risk.recordTrade({ count: 10, price: 40 });
+  risk.recordTrade({ count: 5, price: 60 });
+  assert.equal(risk.getStatus().halt.reason, "max_trades_per_day");
+
+  risk.releaseUnfilled({ count: 5, filled: 0, price: 60, placedAt: Date.now() });
+  const status = risk.getStatus();
+  assert.equal(status.halted, false);
+  assert.equal(status.tradesToday, 1);
+  assert.equal(status.spentToday, 4);
+});
+
+test("a partly filled entry keeps its trade and only gives back the unfilled notional", () => {
+  const risk = setup(10);
+  risk.recordTrade({ count: 10, price: 40 });
+
+  risk.releaseUnfilled({ count: 10, filled: 4, price: 40, placedAt: Date.now() });
+  assert.equal(risk.getStatus().tradesToday, 1);
+  assert.ok(Math.abs(risk.getStatus().spentToday - 1.6) < 1e-9);
+
+  // An entry from an earlier session was already reset with the day
+  risk.releaseUnfilled({ count: 10, filled: 0, price: 40, placedAt: Date.now() - 2 * 86_400_000 });
+  assert.equal(risk.getStatus().tradesToday, 1);
+});
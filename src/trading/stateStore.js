@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { clockNow, ensureDir, readJsonFile, writeJsonAtomic } from "../utils.js";
+
+// Finished orders and fills older than this are dropped when a snapshot is taken
+const KEEP_MS = 48 * 60 * 60 * 1000;
+// Signal changes kept per series
+const MAX_SIGNALS = 200;
+
+const TERMINAL_STATUSES = new Set(["executed", "canceled", "rejected"]);
+
+const emptyState = () => ({
+  // clientOrderId -> order record (orderManager shape)
+  orders: {},
+  // fillId -> fill (orderManager shape)
+  fills: {},
+  // `${ticker}:${side}` -> [{ time, edge, count, clientOrderId }] (entry gate)
+  entries: {},
+  // clientOrderId -> entry still being worked (execution manager)
+  working: {},
+  // `${ticker}:${side}` -> take-profit levels already sold (exit manager)
+  exitLevels: {},
+  // risk manager counters and halt
+  risk: null,
+  // series -> [signal], newest last
+  signals: {},
+  lastReconcile: null
+});
+
+/**
+ * Apply one journal entry to the state
+ */
+function applyEntry(state, { type, data }) {
+  switch (type) {
+    case "order":
+      if (data.previousClientOrderId) delete state.orders[data.previousClientOrderId];
+      state.orders[data.order.clientOrderId] = data.order;
+      break;
+    case "fill":
+      state.fills[data.fill.fillId] = data.fill;
+      break;
+    case "entry": {
+      const key = `${data.ticker}:${data.side}`;
+      state.entries[key] = [...(state.entries[key] ?? []), { time: data.time, edge: data.edge, count: data.count, clientOrderId: data.clientOrderId ?? null }];
+      break;
+    }
+    case "working":
+      if (data.previousClientOrderId) delete state.working[data.previousClientOrderId];
+      if (data.working) state.working[data.working.clientOrderId] = data.working;
+      else delete state.working[data.clientOrderId];
+      break;
+    case "exitLevels":
+      if (data.levels === null) delete state.exitLevels[data.key];
+      else state.exitLevels[data.key] = data.levels;
+      break;
+    case "risk":
+      state.risk = data;
+      break;
+    case "signal": {
+      const list = [...(state.signals[data.series] ?? []), data];
+      state.signals[data.series] = list.slice(-MAX_SIGNALS);
+      break;
+    }
+    case "reconcile":
+      state.lastReconcile = data;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Trading state that survives restarts: orders, fills (positions are rebuilt from them),
+ * entry records, entries still being worked, take-profit levels hit, risk counters and
+ * signal changes
+ *
+ * Append-only journal plus snapshots, in `dir`. Every change is one JSON line in
+ * journal.jsonl ({ seq, time, type, data }) and is applied to the in-memory state. Every
+ * `snapshotEvery` lines the state is written atomically to snapshot.json, old finished
+ * orders and fills are pruned, and the journal starts over. Loading reads the snapshot
+ * and replays journal lines newer than it; a torn last line (crash mid-write) is skipped.
+ */
+export function createStateStore({ dir = CONFIG.state.dir, snapshotEvery = CONFIG.state.snapshotEvery } = {}) {
+  const snapshotPath = path.join(dir, "snapshot.json");
+  const journalPath = path.join(dir, "journal.jsonl");
+
+  const saved = readJsonFile(snapshotPath, null);
+  const state = saved?.state ? { ...emptyState(), ...saved.state } : emptyState();
+  let seq = saved?.seq ?? 0;
+  let sinceSnapshot = 0;
+  let skipped = 0;
+
+  try {
+    const lines = fs.readFileSync(journalPath, "utf8").split("\n").filter(Boolean);
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        skipped += 1;
+        continue;
+      }
+      if (entry.seq <= seq) continue;
+      applyEntry(state, entry);
+      seq = entry.seq;
+      sinceSnapshot += 1;
+    }
+  } catch {
+    // no journal yet
+  }
+  const restored = saved !== null || seq > 0;
+
+  /**
+   * Write the whole state and start a fresh journal
+   */
+  function snapshot() {
+    const cutoff = clockNow() - KEEP_MS;
+    for (const [id, o] of Object.entries(state.orders)) {
+      if (TERMINAL_STATUSES.has(o.status) && (o.updatedAt ?? 0) < cutoff) delete state.orders[id];
+    }
+    for (const [id, f] of Object.entries(state.fills)) {
+      if (f.time < cutoff) delete state.fills[id];
+    }
+    for (const [key, list] of Object.entries(state.entries)) {
+      const kept = list.filter((e) => e.time >= cutoff);
+      if (kept.length) state.entries[key] = kept;
+      else delete state.entries[key];
+    }
+    // Normally dropped by the execution manager when the order ends; this catches strays
+    for (const [id, w] of Object.entries(state.working)) {
+      if (!state.orders[id] && w.placedAt < cutoff) delete state.working[id];
+    }
+    writeJsonAtomic(snapshotPath, { seq, takenAt: new Date(clockNow()).toISOString(), state });
+    ensureDir(dir);
+    fs.writeFileSync(journalPath, "", "utf8");
+    sinceSnapshot = 0;
+  }
+
+  /**
+   * Journal one change and apply it
+   */
+  function record(type, data) {
+    const entry = { seq: seq + 1, time: clockNow(), type, data };
+    ensureDir(dir);
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`, "utf8");
+    seq = entry.seq;
+    applyEntry(state, entry);
+    sinceSnapshot += 1;
+    if (snapshotEvery > 0 && sinceSnapshot >= snapshotEvery) snapshot();
+  }
+
+  return {
+    record,
+    snapshot,
+    restored,
+    getOrders: () => Object.values(state.orders).map((o) => ({ ...o })),
+    getFills: () => Object.values(state.fills).map((f) => ({ ...f })),
+    getEntries: () => structuredClone(state.entries),
+    getWorking: () => Object.values(state.working).map((w) => ({ ...w })),
+    getExitLevels: () => ({ ...state.exitLevels }),
+    getRisk: () => (state.risk ? { ...state.risk } : null),
+    getSignals: (series) => (state.signals[series] ?? []).map((s) => ({ ...s })),
+    getLastSignal: (series) => {
+      const list = state.signals[series] ?? [];
+      return list.length ? { ...list[list.length - 1] } : null;
+    },
+    getStatus: () => ({
+      dir,
+      seq,
+      journalLines: sinceSnapshot,
+      skippedLines: skipped,
+      orders: Object.keys(state.orders).length,
+      fills: Object.keys(state.fills).length,
+      lastReconcile: state.lastReconcile
+    })
+  };
+}
@@ -9,6 +9,31 @@ export function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Wall clock unless a replay installs a virtual one (setClock)
+const systemClock = { now: () => Date.now(), sleep };
+let activeClock = systemClock;
+
+/**
+ * Current time in ms on the active clock
+ */
+export function clockNow() {
+  return activeClock.now();
+}
+
+/**
+ * Wait `ms` on the active clock (a virtual clock moves time forward without waiting)
+ */
+export function clockSleep(ms) {
+  return activeClock.sleep(ms);
+}
+
+/**
+ * Install a { now(), sleep(ms) } clock for the process; null goes back to the wall clock
+ */
+export function setClock(clock) {
+  activeClock = clock ?? systemClock;
+}
+
 export function formatNumber(x, digits = 0) {
   if (x === null || x === undefined || Number.isNaN(x)) return "-";
   return new Intl.NumberFormat("en-US", {
@@ -23,7 +48,7 @@ export function formatPct(x, digits = 2) {
 }
 
 export function getCandleWindowTiming(windowMinutes) {
-  const nowMs = Date.now();
+  const nowMs = clockNow();
   const windowMs = windowMinutes * 60_000;
   const startMs = Math.floor(nowMs / windowMs) * windowMs;
   const endMs = startMs + windowMs;
@@ -64,3 +89,55 @@ export function appendCsvRow(filePath, header, row) {
 
   fs.appendFileSync(filePath, `${line}\n`, "utf8");
 }
+
+// Abramowitz-Stegun 7.1.26 approximation, |error| < 1.5e-7
+export function normalCdf(x) {
+  if (!Number.isFinite(x)) return x > 0 ? 1 : 0;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+export function normalInv(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  // Bisection is plenty for the handful of calls per tick
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 80; i += 1) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Trading-day key (YYYY-MM-DD) in US Eastern time, matching the ET clock in the TUI
+export function etDateKey(ms = clockNow()) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone: "America/New_York",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit"
+    }).format(new Date(ms));
+  } catch {
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+}
+
+export function writeJsonAtomic(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}